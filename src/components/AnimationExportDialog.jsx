@@ -0,0 +1,263 @@
+import React, { useRef, useState } from 'react';
+import { Film, Download, Loader2 } from 'lucide-react';
+import { timelineFrames } from '../fourier';
+import { buildPalette, createGifEncoder } from '../utils/gif';
+import { CAPTION_HEIGHT } from '../utils/figure';
+
+/**
+ * 动画导出对话框
+ * 按时间轴逐帧设置 N 并用导出图像的同一套绘图代码重新渲染，编码为 GIF (纯 JS 编码器) 或 WebM (MediaRecorder)。
+ * renderFrame(n, ctx, width, plotHeight, options) 由父组件提供：先把 N 设为 n，等界面更新后再画这一帧；
+ * 导出结束 (完成、失败或取消) 后调用 restoreFrame() 恢复打开对话框时的 N。关闭对话框时先等正在进行的导出停下。
+ * GIF 的调色板取自首、中、尾三帧；WebM 按帧率实时录制，导出时长约等于动画时长。
+ */
+
+const FORMATS = [
+  { id: 'gif', label: 'GIF' },
+  { id: 'webm', label: 'WebM 视频' },
+];
+
+const WIDTHS = [
+  { id: 480, label: '480 px' },
+  { id: 720, label: '720 px' },
+  { id: 960, label: '960 px' },
+];
+
+const FRAME_RATES = [
+  { id: 10, label: '10 fps' },
+  { id: 15, label: '15 fps' },
+  { id: 25, label: '25 fps' },
+];
+
+// GIF 每帧都要完整编码，帧数过多时文件与耗时都难以接受
+const MAX_FRAMES = 600;
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const webmType = () =>
+  typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+    ? WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null
+    : null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// 逐帧渲染并编码为 GIF；cancelled() 为真时中止并返回 null
+const encodeGif = async ({ canvas, ctx, frames, fps, drawFrame, onProgress, cancelled }) => {
+  const { width, height } = canvas;
+  const samples = [];
+  for (const n of [frames[0], frames[Math.floor(frames.length / 2)], frames[frames.length - 1]]) {
+    if (cancelled()) return null;
+    await drawFrame(n);
+    samples.push(ctx.getImageData(0, 0, width, height).data);
+  }
+  const encoder = createGifEncoder({ width, height, palette: buildPalette(samples), delay: 1000 / fps });
+  for (let i = 0; i < frames.length; i++) {
+    if (cancelled()) return null;
+    await drawFrame(frames[i]);
+    encoder.addFrame(ctx.getImageData(0, 0, width, height).data);
+    onProgress(i + 1);
+  }
+  return new Blob([encoder.finish()], { type: 'image/gif' });
+};
+
+// 按帧率实时录制画布；渲染跟不上帧率时该帧会在视频里停留得久一些
+const recordWebm = async ({ canvas, frames, fps, mimeType, drawFrame, onProgress, cancelled }) => {
+  if (cancelled()) return null;
+  await drawFrame(frames[0]);
+  if (cancelled()) return null;
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 4e6 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size > 0 && chunks.push(e.data);
+  const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+
+  recorder.start();
+  const frameMs = 1000 / fps;
+  const startTime = performance.now();
+  for (let i = 0; i < frames.length; i++) {
+    if (cancelled()) break;
+    if (i > 0) await drawFrame(frames[i]);
+    track.requestFrame();
+    onProgress(i + 1);
+    const wait = startTime + (i + 1) * frameMs - performance.now();
+    if (wait > 0) await sleep(wait);
+  }
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach((t) => t.stop());
+  return cancelled() ? null : new Blob(chunks, { type: 'video/webm' });
+};
+
+export default function AnimationExportDialog({ size, timeline, renderFrame, restoreFrame, fileLabel, onClose }) {
+  const [formatId, setFormatId] = useState('gif');
+  const [outputWidth, setOutputWidth] = useState(720);
+  const [fps, setFps] = useState(15);
+  const [legend, setLegend] = useState(true);
+  const [caption, setCaption] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const cancelRef = useRef(false);
+  // 正在进行的导出任务 (Promise)，关闭对话框时要等它结束
+  const jobRef = useRef(null);
+
+  const mimeType = webmType();
+  const frames = timelineFrames(timeline, fps);
+  const tooLong = formatId === 'gif' && frames.length > MAX_FRAMES;
+  const width = Math.round(size.width);
+  const plotHeight = Math.round(size.height);
+  const height = plotHeight + (caption ? CAPTION_HEIGHT : 0);
+  const scale = outputWidth / width;
+  const outputHeight = Math.round(height * scale);
+  const busy = progress !== null;
+
+  const exportAnimation = async () => {
+    cancelRef.current = false;
+    setError(null);
+    setProgress(0);
+    const canvas = document.createElement('canvas');
+    canvas.width = outputWidth;
+    canvas.height = outputHeight;
+    const ctx = canvas.getContext('2d', { willReadFrequently: formatId === 'gif' });
+    const options = { background: '#ffffff', legend, axisLabels: true, caption };
+    const drawFrame = async (n) => {
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      await renderFrame(n, ctx, width, plotHeight, options);
+    };
+    const job = { canvas, ctx, frames, fps, mimeType, drawFrame, onProgress: setProgress, cancelled: () => cancelRef.current };
+
+    let blob = null;
+    const run = (async () => {
+      try {
+        blob = formatId === 'gif' ? await encodeGif(job) : await recordWebm(job);
+      } catch (err) {
+        setError(`导出失败：${err.message}`);
+      } finally {
+        // 所有帧都画完之后才恢复 N，避免被还在进行的渲染覆盖
+        restoreFrame();
+      }
+    })();
+    jobRef.current = run;
+    await run;
+    jobRef.current = null;
+    setProgress(null);
+    if (blob) {
+      downloadBlob(blob, `${fileLabel}-animation.${formatId}`);
+      onClose();
+    }
+  };
+
+  const close = async () => {
+    cancelRef.current = true;
+    if (jobRef.current) await jobRef.current;
+    onClose();
+  };
+
+  const segmented = (items, value, onChange, columns, disabledId) => (
+    <div className={`grid ${columns} gap-1 p-1 bg-slate-100 rounded-lg`}>
+      {items.map((item) => (
+        <button
+          key={item.id}
+          onClick={() => onChange(item.id)}
+          disabled={busy || item.id === disabledId}
+          className={`py-1.5 text-xs font-medium rounded-md transition-all disabled:opacity-40 ${
+            value === item.id ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+          }`}
+        >
+          {item.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const toggle = (checked, onChange, label) => (
+    <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={checked}
+        disabled={busy}
+        onChange={(e) => onChange(e.target.checked)}
+        className="accent-indigo-600"
+      />
+      {label}
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl max-w-sm w-full shadow-2xl p-6 animate-scaleIn">
+        <div className="flex justify-between items-center mb-4 border-b border-slate-100 pb-4">
+          <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+            <Film className="w-5 h-5 text-indigo-500" /> 导出动画
+          </h3>
+          <button onClick={close} className="text-slate-400 hover:text-slate-600 p-1">
+            ✕
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">格式</p>
+            {segmented(FORMATS, formatId, setFormatId, 'grid-cols-2', mimeType ? null : 'webm')}
+            {!mimeType && <p className="text-[11px] text-slate-400 mt-1.5">当前浏览器不支持录制 WebM 视频。</p>}
+          </div>
+
+          <div>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">尺寸与帧率</p>
+            <div className="space-y-1.5">
+              {segmented(WIDTHS, outputWidth, setOutputWidth, 'grid-cols-3')}
+              {segmented(FRAME_RATES, fps, setFps, 'grid-cols-3')}
+            </div>
+            <p className="text-[11px] text-slate-400 mt-1.5 font-mono">
+              {outputWidth} × {outputHeight} px · {frames.length} 帧 · {(frames.length / fps).toFixed(1)} 秒
+            </p>
+            {tooLong && (
+              <p className="text-[11px] text-amber-600 mt-1">GIF 最多 {MAX_FRAMES} 帧，请缩短时间轴时长或降低帧率。</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider">内容</p>
+            {toggle(legend, setLegend, '图例')}
+            {toggle(caption, setCaption, '说明文字 (函数、N 与误差)')}
+          </div>
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+
+        {busy ? (
+          <div className="mt-6 space-y-2">
+            <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+              <div className="h-full bg-indigo-500 transition-all" style={{ width: `${(progress / frames.length) * 100}%` }} />
+            </div>
+            <div className="flex items-center justify-between text-xs text-slate-500">
+              <span className="flex items-center gap-1">
+                <Loader2 className="w-3 h-3 animate-spin" /> 正在渲染第 {progress} / {frames.length} 帧…
+              </span>
+              <button onClick={() => { cancelRef.current = true; }} className="text-slate-400 hover:text-red-500 transition-colors">
+                取消
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={exportAnimation}
+            disabled={tooLong}
+            className="mt-6 w-full flex items-center justify-center bg-indigo-600 text-white py-2.5 rounded-xl hover:bg-indigo-700 transition-colors font-bold shadow-lg shadow-indigo-200 disabled:opacity-40 disabled:pointer-events-none"
+          >
+            <Download className="w-4 h-4 mr-2" /> 导出
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
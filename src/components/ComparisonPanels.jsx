@@ -0,0 +1,124 @@
+import React, { useEffect, useRef } from 'react';
+import { Trash2 } from 'lucide-react';
+
+/**
+ * 多曲线对比：分屏模式下每条固定的曲线占一行小面板
+ * 各面板与主画布使用同一视图范围 (宽度相同，x 方向逐点对齐)，在面板上拖动或滚轮缩放会同步改变所有视图。
+ */
+
+// 相邻像素的差超过视图高度的这一比例时视为跳跃，断开原函数的连线
+const JUMP_FRACTION = 0.25;
+
+function PinnedPanel({ entry, viewRange, onRemove, onWheelZoom }) {
+  const canvasRef = useRef(null);
+  const wrapperRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const wrapper = wrapperRef.current;
+    if (!canvas || !wrapper) return;
+
+    const render = () => {
+      const dpr = window.devicePixelRatio || 1;
+      const width = wrapper.clientWidth;
+      const height = wrapper.clientHeight;
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      const ctx = canvas.getContext('2d', { alpha: false });
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+
+      const { xMin, xMax, yMin, yMax } = viewRange;
+      const xAt = (px) => xMin + (px / width) * (xMax - xMin);
+      const mapY = (y) => height - ((y - yMin) / (yMax - yMin)) * height;
+
+      // x 轴
+      const yZero = mapY(0);
+      if (yZero >= 0 && yZero <= height) {
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, yZero);
+        ctx.lineTo(width, yZero);
+        ctx.stroke();
+      }
+
+      const trace = (evaluate, color, lineWidth, breakJumps) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        let previous = null;
+        for (let px = 0; px < width; px++) {
+          const y = evaluate(xAt(px));
+          const py = mapY(y);
+          if (previous === null || (breakJumps && Math.abs(y - previous) > JUMP_FRACTION * (yMax - yMin))) {
+            ctx.moveTo(px, py);
+          } else {
+            ctx.lineTo(px, py);
+          }
+          previous = y;
+        }
+        ctx.stroke();
+      };
+
+      trace(entry.original, '#94a3b8', 2, true);
+      trace(entry.approx, entry.color, 2, false);
+    };
+
+    render();
+    const observer = new ResizeObserver(render);
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, [entry, viewRange]);
+
+  // 滚轮缩放以指针所在位置为中心 (React 的 onWheel 是被动监听，无法阻止页面滚动)
+  useEffect(() => {
+    const wrapper = wrapperRef.current;
+    if (!wrapper) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = wrapper.getBoundingClientRect();
+      onWheelZoom((e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height, e);
+    };
+    wrapper.addEventListener('wheel', onWheel, { passive: false });
+    return () => wrapper.removeEventListener('wheel', onWheel);
+  }, [onWheelZoom]);
+
+  return (
+    <div ref={wrapperRef} className="relative h-28">
+      <canvas ref={canvasRef} className="w-full h-full block" />
+      <div
+        className="absolute top-1.5 left-2 flex items-center gap-2 bg-white/90 backdrop-blur-sm rounded-md border border-slate-200 px-2 py-0.5 text-[10px] text-slate-600 max-w-[80%] cursor-default"
+        onPointerDown={(e) => e.stopPropagation()}
+      >
+        <span className="inline-block w-2.5 h-2.5 rounded-sm shrink-0" style={{ backgroundColor: entry.color }} />
+        <span className="truncate" title={entry.label}>{entry.label}</span>
+        <span className="font-mono text-slate-400 shrink-0">RMS {entry.error.rms.toExponential(2)}</span>
+        <button
+          onClick={() => onRemove(entry.id)}
+          className="text-slate-400 hover:text-red-500 transition-colors shrink-0"
+          title="移除"
+        >
+          <Trash2 className="w-3 h-3" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function ComparisonPanels({ entries, viewRange, onRemove, onWheelZoom, onPanStart, onPanMove, onPanEnd }) {
+  return (
+    <div
+      className="shrink-0 max-h-[45%] overflow-y-auto bg-white border-t border-slate-200 divide-y divide-slate-100 touch-none cursor-grab"
+      onPointerDown={onPanStart}
+      onPointerMove={onPanMove}
+      onPointerUp={onPanEnd}
+      onPointerCancel={onPanEnd}
+    >
+      {entries.map((entry) => (
+        <PinnedPanel key={entry.id} entry={entry} viewRange={viewRange} onRemove={onRemove} onWheelZoom={onWheelZoom} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import React, { useEffect, useRef } from 'react';
+import { TrendingDown } from 'lucide-react';
+
+/**
+ * 收敛曲线面板
+ * 对数-对数坐标下绘制误差随 N 的变化 (L2 均方根误差与 L∞ 最大误差)，
+ * 虚线为尾部最小二乘拟合得到的幂律 err ≈ C·N^p，竖线标出当前 N。
+ */
+
+const SERIES = [
+  { key: 'rms', label: 'L2 (RMS)', color: '#6366f1' },
+  { key: 'linf', label: 'L∞ (max)', color: '#f97316' },
+];
+
+// 把拟合斜率写成常见的衰减形式，如 1/√N、1/N²
+export const formatDecay = (p) => {
+  if (!Number.isFinite(p)) return '—';
+  const half = Math.round(p * 2) / 2;
+  if (Math.abs(p - half) < 0.12) {
+    if (half === 0) return '不衰减';
+    if (half === -0.5) return '1/√N';
+    if (half === -1) return '1/N';
+    if (half === -2) return '1/N²';
+    if (half < 0) return `1/N^${-half}`;
+  }
+  return `N^${p.toFixed(2)}`;
+};
+
+export default function ConvergencePanel({ data, currentN, fits }) {
+  const canvasRef = useRef(null);
+  const wrapperRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const wrapper = wrapperRef.current;
+    if (!canvas || !wrapper) return;
+
+    const render = () => {
+      canvas.width = wrapper.clientWidth;
+      canvas.height = wrapper.clientHeight;
+      const ctx = canvas.getContext('2d');
+      const width = canvas.width;
+      const height = canvas.height;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+
+      if (!data || data.length === 0) {
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('暂无数据 (请检查输入)', width / 2, height / 2);
+        return;
+      }
+
+      const padLeft = 36;
+      const padRight = 8;
+      const padTop = 8;
+      const padBottom = 18;
+      const plotW = width - padLeft - padRight;
+      const plotH = height - padTop - padBottom;
+
+      const positive = data.flatMap((d) => SERIES.map((s) => d[s.key])).filter((v) => v > 0);
+      const logYMax = Math.ceil(Math.log10(Math.max(...positive)));
+      const logYMin = Math.min(logYMax - 1, Math.floor(Math.log10(Math.min(...positive))));
+      const logXMax = Math.log10(data[data.length - 1].n);
+
+      const mapX = (n) => padLeft + (Math.log10(n) / logXMax) * plotW;
+      const mapY = (v) => padTop + plotH - ((Math.log10(v) - logYMin) / (logYMax - logYMin)) * plotH;
+
+      // 网格与刻度
+      ctx.strokeStyle = '#f1f5f9';
+      ctx.lineWidth = 1;
+      ctx.fillStyle = '#94a3b8';
+      ctx.font = '9px sans-serif';
+      ctx.beginPath();
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      for (let e = logYMin; e <= logYMax; e++) {
+        const py = mapY(Math.pow(10, e));
+        ctx.moveTo(padLeft, py);
+        ctx.lineTo(padLeft + plotW, py);
+        ctx.fillText(`1e${e}`, padLeft - 4, py);
+      }
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (const n of [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000]) {
+        if (Math.log10(n) > logXMax + 1e-9) break;
+        const px = mapX(n);
+        ctx.moveTo(px, padTop);
+        ctx.lineTo(px, padTop + plotH);
+        ctx.fillText(`${n}`, px, padTop + plotH + 3);
+      }
+      ctx.stroke();
+
+      // 当前 N
+      if (currentN >= 1) {
+        const px = mapX(currentN);
+        ctx.strokeStyle = '#cbd5e1';
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(px, padTop);
+        ctx.lineTo(px, padTop + plotH);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(padLeft, padTop, plotW, plotH);
+      ctx.clip();
+      for (const series of SERIES) {
+        // 误差曲线
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let started = false;
+        for (const d of data) {
+          const v = d[series.key];
+          if (!(v > 0)) continue;
+          if (started) ctx.lineTo(mapX(d.n), mapY(v));
+          else ctx.moveTo(mapX(d.n), mapY(v));
+          started = true;
+        }
+        ctx.stroke();
+
+        // 拟合直线
+        const fit = fits && fits[series.key];
+        if (fit && Number.isFinite(fit.slope)) {
+          const first = data[0].n;
+          const last = data[data.length - 1].n;
+          const at = (n) => Math.pow(10, fit.intercept + fit.slope * Math.log10(n));
+          ctx.setLineDash([4, 3]);
+          ctx.lineWidth = 1;
+          ctx.beginPath();
+          ctx.moveTo(mapX(first), mapY(at(first)));
+          ctx.lineTo(mapX(last), mapY(at(last)));
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
+      }
+      ctx.restore();
+
+      ctx.strokeStyle = '#cbd5e1';
+      ctx.strokeRect(padLeft, padTop, plotW, plotH);
+    };
+
+    render();
+    const observer = new ResizeObserver(render);
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, [data, currentN, fits]);
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 min-w-0">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-slate-100">
+        <h3 className="text-xs font-bold text-slate-600 flex items-center gap-1.5">
+          <TrendingDown className="w-3.5 h-3.5 text-indigo-500" /> 误差收敛 (log-log)
+        </h3>
+      </div>
+      <div ref={wrapperRef} className="flex-1 relative min-h-0">
+        <canvas ref={canvasRef} className="w-full h-full block" />
+      </div>
+      <div className="px-3 py-1.5 text-[10px] text-slate-500 border-t border-slate-100 flex gap-3">
+        {SERIES.map((series) => (
+          <span key={series.key} className="flex items-center gap-1">
+            <span className="inline-block w-2 h-2 rounded-sm" style={{ backgroundColor: series.color }} />
+            {series.label} ∝ <span className="font-mono">{fits ? formatDecay(fits[series.key].slope) : '—'}</span>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
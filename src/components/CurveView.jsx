@@ -0,0 +1,194 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { reconstructCurve } from '../fourier';
+
+/**
+ * 平面曲线视图
+ * 灰线为原曲线 (弧长等距采样)，蓝线为保留模长最大的前 N 项得到的重建曲线。
+ * 开启相量动画时，c_0 之后的各项按模长从大到小首尾相接画成旋转的圆，
+ * 第 k 项每个周期转 k 圈 (k < 0 时反向)，链条末端描出重建曲线。
+ * 坐标沿用 SVG 的方向 (y 轴向下)，按曲线的包围盒自动缩放居中。
+ */
+
+const PADDING = 48;
+
+export default function CurveView({ series, nTerms, showEpicycles, playing, speed }) {
+  const canvasRef = useRef(null);
+  // 动画参数 t ∈ [0, 1)
+  const timeRef = useRef(0);
+  const renderRef = useRef(() => {});
+
+  const reconstruction = useMemo(() => (series ? reconstructCurve(series, nTerms) : null), [series, nTerms]);
+
+  // 重建曲线与原曲线的均方根距离，相对包围盒对角线
+  const deviation = useMemo(() => {
+    if (!series || !reconstruction) return null;
+    const { xs, ys } = series.samples;
+    let sq = 0;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let j = 0; j < series.size; j++) {
+      sq += (xs[j] - reconstruction.xs[j]) ** 2 + (ys[j] - reconstruction.ys[j]) ** 2;
+      minX = Math.min(minX, xs[j]);
+      maxX = Math.max(maxX, xs[j]);
+      minY = Math.min(minY, ys[j]);
+      maxY = Math.max(maxY, ys[j]);
+    }
+    return Math.sqrt(sq / series.size) / Math.hypot(maxX - minX, maxY - minY);
+  }, [series, reconstruction]);
+
+  const propsRef = useRef({});
+  propsRef.current = { series, nTerms, reconstruction, showEpicycles };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const render = () => {
+      const { series: s, nTerms: N, reconstruction: rec, showEpicycles: epicycles } = propsRef.current;
+      const parent = canvas.parentElement;
+      const dpr = window.devicePixelRatio || 1;
+      const width = parent ? parent.clientWidth : canvas.width;
+      const height = parent ? parent.clientHeight : canvas.height;
+      if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+      }
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      if (!s || !rec) {
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('暂无曲线 (请选择形状或导入 SVG)', width / 2, height / 2);
+        return;
+      }
+
+      // 按原曲线的包围盒缩放居中
+      const { xs, ys } = s.samples;
+      let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+      for (let j = 0; j < s.size; j++) {
+        minX = Math.min(minX, xs[j]);
+        maxX = Math.max(maxX, xs[j]);
+        minY = Math.min(minY, ys[j]);
+        maxY = Math.max(maxY, ys[j]);
+      }
+      const scale = Math.min(
+        (width - 2 * PADDING) / Math.max(maxX - minX, 1e-9),
+        (height - 2 * PADDING) / Math.max(maxY - minY, 1e-9)
+      );
+      const midX = (minX + maxX) / 2;
+      const midY = (minY + maxY) / 2;
+      const mapX = (x) => width / 2 + (x - midX) * scale;
+      const mapY = (y) => height / 2 + (y - midY) * scale;
+
+      const tracePath = (px, py, count, close) => {
+        ctx.beginPath();
+        for (let j = 0; j < count; j++) {
+          if (j === 0) ctx.moveTo(mapX(px[j]), mapY(py[j]));
+          else ctx.lineTo(mapX(px[j]), mapY(py[j]));
+        }
+        if (close) ctx.closePath();
+        ctx.stroke();
+      };
+
+      // 原曲线
+      ctx.strokeStyle = '#cbd5e1';
+      ctx.lineWidth = 1.5;
+      ctx.lineJoin = 'round';
+      tracePath(xs, ys, s.size, true);
+
+      // 重建曲线：动画时整条画淡，已描过的部分加粗
+      const t = timeRef.current;
+      ctx.strokeStyle = epicycles ? 'rgba(99, 102, 241, 0.25)' : '#6366f1';
+      ctx.lineWidth = 2;
+      tracePath(rec.xs, rec.ys, s.size, true);
+      if (!epicycles) return;
+
+      const traced = Math.floor(t * s.size) + 1;
+      ctx.strokeStyle = '#6366f1';
+      ctx.lineWidth = 2.5;
+      tracePath(rec.xs, rec.ys, traced, false);
+
+      // 相量链：从重心出发，按模长从大到小
+      let cx = mapX(s.center.re);
+      let cy = mapY(s.center.im);
+      ctx.lineWidth = 1;
+      const limit = Math.min(N, s.terms.length);
+      for (let i = 0; i < limit; i++) {
+        const { k, re, im, amp } = s.terms[i];
+        const angle = 2 * Math.PI * k * t;
+        const c = Math.cos(angle);
+        const sn = Math.sin(angle);
+        const nx = cx + (re * c - im * sn) * scale;
+        const ny = cy + (re * sn + im * c) * scale;
+        const r = amp * scale;
+
+        // 不到半个像素的圆看不见，只累加位置
+        if (r >= 0.5) {
+          ctx.beginPath();
+          ctx.strokeStyle = 'rgba(99, 102, 241, 0.25)';
+          ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+          ctx.stroke();
+
+          ctx.beginPath();
+          ctx.strokeStyle = 'rgba(79, 70, 229, 0.8)';
+          ctx.moveTo(cx, cy);
+          ctx.lineTo(nx, ny);
+          ctx.stroke();
+        }
+        cx = nx;
+        cy = ny;
+      }
+
+      ctx.fillStyle = '#f97316';
+      ctx.beginPath();
+      ctx.arc(cx, cy, 4, 0, 2 * Math.PI);
+      ctx.fill();
+    };
+
+    renderRef.current = render;
+    const observer = new ResizeObserver(render);
+    if (canvas.parentElement) observer.observe(canvas.parentElement);
+    render();
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    renderRef.current();
+  }, [series, reconstruction, showEpicycles]);
+
+  // 播放循环：速度单位为 "周期/秒"
+  useEffect(() => {
+    if (!showEpicycles || !playing) return;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const elapsed = (now - last) / 1000;
+      last = now;
+      timeRef.current = (timeRef.current + speed * elapsed) % 1;
+      renderRef.current();
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [showEpicycles, playing, speed]);
+
+  return (
+    <div className="absolute inset-0 bg-slate-50">
+      <canvas ref={canvasRef} className="w-full h-full block" />
+      {series && (
+        <div className="absolute bottom-4 left-4 bg-white/90 backdrop-blur-sm rounded-lg border border-slate-200 shadow-sm px-3 py-2 text-[11px] text-slate-500 space-y-0.5 pointer-events-none">
+          <p className="flex items-center gap-2">
+            <span className="inline-block w-4 h-0.5 bg-slate-300" /> 原曲线
+            <span className="inline-block w-4 h-0.5 bg-indigo-500 ml-2" /> 前 {Math.min(nTerms, series.terms.length)} 项重建
+          </p>
+          <p className="font-mono">
+            可用 {series.terms.length} 项 · RMS 偏差 {deviation !== null ? `${(deviation * 100).toPrecision(3)}%` : '—'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
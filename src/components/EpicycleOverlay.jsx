@@ -0,0 +1,163 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * 相量 (本轮) 动画层
+ * 叠加在主画布之上：每个谐波画成一个旋转的圆，首尾相接。
+ * 第 n 项 A_n cos(nω(t − t₀) − φ_n) 对应长度 A_n、角速度 nω 的相量，
+ * 所有相量的竖直分量之和 (加上直流 a_0/2) 正好是部分和 S_N(t)。
+ * 链条末端通过虚线投射到主图的 x = t 处，并描出 S_N 的轨迹。
+ */
+
+const CHAIN_MARGIN = 16;
+
+const evaluate = (phasors, t) => {
+  let y = phasors.dc;
+  const base = phasors.omega * (t - phasors.origin);
+  for (const { n, amp, phase } of phasors.terms) {
+    y += amp * Math.cos(n * base - phase);
+  }
+  return y;
+};
+
+export default function EpicycleOverlay({ phasors, viewRange, playing, speed, period }) {
+  const canvasRef = useRef(null);
+  const timeRef = useRef(null);
+  const propsRef = useRef({ phasors, viewRange, speed, period });
+  const renderRef = useRef(() => {});
+  // 轨迹上各采样点的 S_N 值 (每 2 像素一个)，相量或视图改变时清空
+  const trailRef = useRef(null);
+
+  propsRef.current = { phasors, viewRange, speed, period };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const render = () => {
+      const { phasors: ph, viewRange: view } = propsRef.current;
+      const parent = canvas.parentElement;
+      if (parent && (canvas.width !== parent.clientWidth || canvas.height !== parent.clientHeight)) {
+        canvas.width = parent.clientWidth;
+        canvas.height = parent.clientHeight;
+      }
+      const ctx = canvas.getContext('2d');
+      const width = canvas.width;
+      const height = canvas.height;
+      ctx.clearRect(0, 0, width, height);
+      if (!ph) return;
+
+      const { xMin, xMax, yMin, yMax } = view;
+      if (timeRef.current === null || timeRef.current < xMin || timeRef.current > xMax) {
+        timeRef.current = xMin;
+      }
+      const t = timeRef.current;
+
+      const mapX = (val) => ((val - xMin) / (xMax - xMin)) * width;
+      const mapY = (val) => height - ((val - yMin) / (yMax - yMin)) * height;
+      // 每单位 y 对应的像素数；圆在像素空间中绘制，保证是正圆
+      const scale = height / (yMax - yMin);
+
+      // S_N 在 [xMin, t] 上的轨迹
+      ctx.beginPath();
+      ctx.strokeStyle = 'rgba(249, 115, 22, 0.9)';
+      ctx.lineWidth = 3;
+      const endPx = mapX(t);
+      let trail = trailRef.current;
+      if (!trail || trail.phasors !== ph || trail.view !== view || trail.width !== width) {
+        trail = trailRef.current = { phasors: ph, view, width, values: [] };
+      }
+      for (let px = 0; px <= endPx; px += 2) {
+        if (trail.values[px / 2] === undefined) {
+          trail.values[px / 2] = evaluate(ph, xMin + (px / width) * (xMax - xMin));
+        }
+        const py = mapY(trail.values[px / 2]);
+        if (px === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+      }
+      ctx.stroke();
+
+      // 相量链：起点放在左侧，留出所有圆的半径之和
+      const totalRadius = ph.terms.reduce((sum, term) => sum + term.amp, 0) * scale;
+      let cx = Math.min(width * 0.3, Math.max(40, totalRadius + CHAIN_MARGIN));
+      let cy = mapY(ph.dc);
+      const base = ph.omega * (t - ph.origin);
+
+      ctx.lineWidth = 1;
+      for (const { n, amp, phase } of ph.terms) {
+        const r = amp * scale;
+        const theta = n * base - phase;
+        const nx = cx - r * Math.sin(theta);
+        const ny = cy - r * Math.cos(theta);
+
+        // 不到半个像素的圆看不见，只累加位置 (N 很大时高次项几乎都是这样)
+        if (r < 0.5) {
+          cx = nx;
+          cy = ny;
+          continue;
+        }
+
+        ctx.beginPath();
+        ctx.strokeStyle = 'rgba(99, 102, 241, 0.25)';
+        ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.strokeStyle = 'rgba(79, 70, 229, 0.8)';
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(nx, ny);
+        ctx.stroke();
+
+        cx = nx;
+        cy = ny;
+      }
+
+      // 末端投射到主图
+      ctx.beginPath();
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = 'rgba(249, 115, 22, 0.7)';
+      ctx.moveTo(cx, cy);
+      ctx.lineTo(endPx, cy);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.fillStyle = '#f97316';
+      ctx.beginPath();
+      ctx.arc(cx, cy, 3, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.arc(endPx, cy, 4, 0, 2 * Math.PI);
+      ctx.fill();
+    };
+
+    renderRef.current = render;
+    const observer = new ResizeObserver(render);
+    if (canvas.parentElement) observer.observe(canvas.parentElement);
+    render();
+    return () => observer.disconnect();
+  }, []);
+
+  // 参数变化时重绘 (暂停状态下也保持最新)
+  useEffect(() => {
+    renderRef.current();
+  }, [phasors, viewRange]);
+
+  // 播放循环：速度单位为 "周期/秒"
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const { viewRange: view, speed: currentSpeed, period: T } = propsRef.current;
+      const elapsed = (now - last) / 1000;
+      last = now;
+      const next = (timeRef.current ?? view.xMin) + currentSpeed * T * elapsed;
+      timeRef.current = next > view.xMax ? view.xMin : next;
+      renderRef.current();
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing]);
+
+  return <canvas ref={canvasRef} className="absolute inset-0 w-full h-full block pointer-events-none" />;
+}
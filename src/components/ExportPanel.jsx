@@ -0,0 +1,106 @@
+import React, { useMemo, useState } from 'react';
+import { FileDown, Copy, Check, Download } from 'lucide-react';
+import { coefficientsCsv, coefficientsJson, seriesLatex, seriesJs, seriesPython, samplesCsv } from '../utils/exporters';
+
+/**
+ * 数据导出面板
+ * 把当前 N 下的系数、近似式与一个周期上的采样值导出为文本，可预览、复制或下载。
+ * series 的结构见 utils/exporters.js；getSamples() 由父组件提供，返回 { xs, fs, ss }。
+ */
+
+const FORMATS = [
+  { id: 'csv', label: '系数 CSV', ext: 'csv', mime: 'text/csv', build: ({ series }) => coefficientsCsv(series) },
+  { id: 'json', label: '系数 JSON', ext: 'json', mime: 'application/json', build: ({ series }) => coefficientsJson(series) },
+  { id: 'latex', label: 'LaTeX', ext: 'tex', mime: 'text/plain', build: ({ series }) => seriesLatex(series) },
+  { id: 'js', label: 'JavaScript', ext: 'js', mime: 'text/javascript', build: ({ series }) => seriesJs(series) },
+  { id: 'python', label: 'Python', ext: 'py', mime: 'text/x-python', build: ({ series }) => seriesPython(series) },
+  { id: 'samples', label: '采样 CSV', ext: 'csv', mime: 'text/csv', build: ({ getSamples }) => samplesCsv(getSamples()) },
+];
+
+// 预览最多显示的行数
+const PREVIEW_LINES = 12;
+
+export default function ExportPanel({ series, getSamples, fileLabel }) {
+  const [formatId, setFormatId] = useState('csv');
+  const [copied, setCopied] = useState(false);
+
+  const format = FORMATS.find((f) => f.id === formatId);
+  const text = useMemo(
+    () => (series ? format.build({ series, getSamples }) : ''),
+    [format, series, getSamples]
+  );
+
+  const preview = useMemo(() => {
+    const lines = text.split('\n');
+    if (lines.length <= PREVIEW_LINES) return text;
+    return `${lines.slice(0, PREVIEW_LINES).join('\n')}\n… (共 ${lines.length - 1} 行)`;
+  }, [text]);
+
+  const copyText = () => {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(text).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+
+  const downloadText = () => {
+    const blob = new Blob([text], { type: `${format.mime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = `${fileLabel}_${format.id}.${format.ext}`;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  return (
+    <div className="bg-slate-50 p-4 rounded-xl border border-slate-200/60 space-y-3">
+      <label className="text-sm font-bold text-slate-700 flex items-center gap-1.5">
+        <FileDown className="w-4 h-4 text-indigo-500" /> 导出数据
+      </label>
+
+      <div className="grid grid-cols-3 gap-1">
+        {FORMATS.map((item) => (
+          <button
+            key={item.id}
+            onClick={() => setFormatId(item.id)}
+            className={`py-1 text-[10px] font-medium rounded-md border transition-all ${
+              formatId === item.id
+                ? 'bg-indigo-50 border-indigo-200 text-indigo-700'
+                : 'bg-white border-slate-200 text-slate-500 hover:text-slate-700'
+            }`}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {series ? (
+        <pre className="max-h-40 overflow-auto p-2 bg-white border border-slate-200 rounded-lg text-[10px] leading-snug font-mono text-slate-600 whitespace-pre select-text">
+          {preview}
+        </pre>
+      ) : (
+        <p className="text-[10px] text-slate-400 text-center">当前函数无有效系数 (请检查输入)</p>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={copyText}
+          disabled={!series}
+          className="flex items-center justify-center py-2 rounded-lg text-xs font-bold text-slate-600 bg-white border border-slate-200 hover:bg-slate-50 disabled:opacity-40 disabled:pointer-events-none transition-colors"
+        >
+          {copied ? <Check className="w-3.5 h-3.5 mr-1.5 text-emerald-500" /> : <Copy className="w-3.5 h-3.5 mr-1.5" />}
+          {copied ? '已复制' : '复制'}
+        </button>
+        <button
+          onClick={downloadText}
+          disabled={!series}
+          className="flex items-center justify-center py-2 rounded-lg text-xs font-bold text-white bg-indigo-600 hover:bg-indigo-700 shadow-md disabled:opacity-40 disabled:pointer-events-none transition-colors"
+        >
+          <Download className="w-3.5 h-3.5 mr-1.5" /> 下载
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -9,112 +9,423 @@ import {
   Calculator,
   Maximize,
   Delete,
-  Lightbulb
+  Lightbulb,
+  Plus,
+  Trash2,
+  BarChart3,
+  Orbit,
+  TrendingDown,
+  Layers,
+  Upload,
+  PenTool,
+  Hand,
+  Waves,
+  Link2,
+  Check,
+  Loader2,
+  Shapes,
+  Pin,
+  ZoomIn,
+  ZoomOut,
+  BoxSelect,
+  Film
 } from 'lucide-react';
+import { compileConstant, compileExpression } from '../utils/expression';
+import { compilePiecewise, DEFAULT_PIECES } from '../utils/piecewise';
+import { parseCsv, parseWav, makeInterpolator, detectPeriod } from '../utils/sampledData';
+import {
+  PI,
+  TWO_PI,
+  makeInterval,
+  DEFAULT_INTERVAL,
+  waveformValue,
+  analyticCoefficients,
+  highestHarmonic,
+  hasOddHarmonicsOnly,
+  BUILTIN_WAVEFORMS,
+  builtinJumps,
+  SUMMATION_METHODS,
+  summationWeight,
+  fourierValue,
+  ERROR_SAMPLES,
+  errorMetrics,
+  convergenceSteps,
+  GIBBS_OVERSHOOT,
+  findJumps,
+  measureOvershoot,
+  MAX_N,
+  sliderToN,
+  nToSlider,
+  complexFourierSeries,
+  TRANSFORM_PULSES,
+  DEFAULT_TIMELINE,
+  TIMELINE_SCHEDULES,
+  TIMELINE_LOOPS,
+  timelineN,
+  timelineProgress,
+  phaseProgress,
+  advancePhase
+} from '../fourier';
+import { createSketch, isSketchEmpty, paintSegment, smoothSketch, sketchToFunction } from '../utils/drawing';
+import { parsePermalink, buildPermalink, MAX_STRING_LENGTH } from '../utils/permalink';
+import { parseSvgPath, parseSvgDocument, joinSubpaths } from '../utils/svgPath';
+import { CURVE_SHAPES } from '../utils/curveShapes';
+import SpectrumPanel from './SpectrumPanel';
+import EpicycleOverlay from './EpicycleOverlay';
+import ConvergencePanel from './ConvergencePanel';
+import ComparisonPanels from './ComparisonPanels';
+import ProbeOverlay from './ProbeOverlay';
+import SoundPanel from './SoundPanel';
+import ExportPanel from './ExportPanel';
+import ImageExportDialog from './ImageExportDialog';
+import AnimationExportDialog from './AnimationExportDialog';
+import FunctionLibrary from './FunctionLibrary';
+import CurveView from './CurveView';
+import TransformView from './TransformView';
+import { drawLegend, drawAxisLabels, drawCaption, CAPTION_HEIGHT } from '../utils/figure';
 
 /**
  * 傅里叶级数可视化应用 (非线性滑块版)
  * * 变更：
- * 1. 优化：N 值滑块采用非线性映射 (二次曲线)。前 5-10 项的调节非常细腻，后面则加快速度。
- * 2. 优化：自动演示动画也加入了动态步长，后期变化稍快，提升观感。
+ * 1. 优化：N 值滑块采用非线性映射 (三次曲线，见 sliderToN)。N 可取到 MAX_N = 2000，前几十项的调节仍然细腻，后面则加快速度。
+ * 2. 优化：自动演示由时间轴驱动 (见 fourier/timeline.js)：可设起止 N、单程时长、变化节奏 (匀速 / 缓入缓出 / 先慢后快 / 对数) 与循环方式，支持拖动进度条定位。
  */
 
-// --- 辅助数学工具 ---
-
-const PI = Math.PI;
-const TWO_PI = 2 * PI;
-
-// 解析用户输入的函数字符串
-const safeEval = (expr, x) => {
-  try {
-    // 简单的沙箱机制，增强了 max, min, E 等支持
-    const f = new Function(
-        'x', 'PI', 'E', 'sin', 'cos', 'tan', 'abs', 'floor', 'ceil', 'sign', 'pow', 'sqrt', 'max', 'min', 
-        `return ${expr};`
-    );
-    return f(
-        x, Math.PI, Math.E, Math.sin, Math.cos, Math.tan, Math.abs, Math.floor, Math.ceil, Math.sign, Math.pow, Math.sqrt, Math.max, Math.min
-    );
-  } catch (e) {
-    return 0;
-  }
+// --- 界面辅助 ---
+
+// 周期区间预设
+const INTERVAL_PRESETS = [
+  { label: '[-π, π)', start: '-PI', end: 'PI' },
+  { label: '[0, 2π)', start: '0', end: '2*PI' },
+  { label: '[0, 1)', start: '0', end: '1' },
+  { label: '1 ms', start: '0', end: '1e-3' },
+];
+
+// Y 方向基础显示范围
+const BASE_Y_RANGE = [-2.2, 2.2];
+
+// 视图：zoom 为横轴缩放倍数，纵轴缩放倍数为 zoom · yStretch；offsetX / offsetY 为视图中心的平移
+const DEFAULT_VIEW = { zoom: 1, yStretch: 1, offsetX: 0, offsetY: 0 };
+// 每个轴的缩放倍数范围
+const ZOOM_MIN = 0.1;
+const ZOOM_MAX = 50;
+const clampZoom = (z) => Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, z));
+
+// 缩放轴：'both' 等比 / 'x' 只缩放横轴 / 'y' 只缩放纵轴
+const ZOOM_AXES = [
+  { id: 'both', label: 'XY', desc: '横纵等比缩放' },
+  { id: 'x', label: 'X', desc: '只缩放横轴' },
+  { id: 'y', label: 'Y', desc: '只缩放纵轴' },
+];
+// 画布操作说明 (帮助弹窗)
+const CANVAS_SHORTCUTS = [
+  ['拖动', '平移视图'],
+  ['滚轮 / 双指捏合', '以指针 (两指中点) 为中心缩放；Shift 只缩放横轴，Alt 只缩放纵轴'],
+  ['Shift + 拖动', '框选放大'],
+  ['← → ↑ ↓', '平移视图'],
+  ['+ / −', '放大 / 缩小'],
+  ['0', '重置视图'],
+  ['[ / ]', '项数 N 减 1 / 加 1 (按住 Shift 时步长 10)'],
+  ['空格', '播放 / 暂停自动演示'],
+];
+// 只作用于函数图像视图的快捷键 (平移、缩放、重置)
+const VIEW_SHORTCUT_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', '+', '=', '-', '_', '0'];
+const axisFactors = (factor, axes) => [axes === 'y' ? 1 : factor, axes === 'x' ? 1 : factor];
+// 滚轮：Shift 只缩放横轴，Alt 只缩放纵轴
+const wheelAxes = (e, fallback) => (e.shiftKey ? 'x' : e.altKey ? 'y' : fallback);
+
+// 判断一个数是否 (近似) 为 π/2 的整数倍，用于决定网格是否以 π 为单位
+const isHalfPiMultiple = (v) => {
+  const k = v / (PI / 2);
+  return Math.abs(k - Math.round(k)) < 1e-9;
 };
 
-// 数值积分计算傅里叶系数 (针对自定义函数优化)
-const calculateCoefficientsNumerical = (expr, N, period = TWO_PI) => {
-  const L = period / 2;
-  // 优化：根据 N 的大小动态调整步长
-  const step = 0.02; 
-  const coeffs = { a0: 0, an: new Float32Array(N), bn: new Float32Array(N) };
-  
-  // 预计算 x 和 f(x) 值
-  const samples = [];
-  for (let x = -L; x < L; x += step) {
-    samples.push({ x, val: safeEval(expr, x) });
-  }
+// 选取 "好看" 的刻度间距 (1, 2, 5 × 10^k)，使可见范围内约有 targetCount 条网格线
+const niceStep = (range, targetCount = 8) => {
+  const raw = range / targetCount;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const residual = raw / magnitude;
+  if (residual >= 5) return 5 * magnitude;
+  if (residual >= 2) return 2 * magnitude;
+  return magnitude;
+};
 
-  const sampleCount = samples.length;
-  const invL = 1 / L;
-  const constantFactor = invL * step;
+// 导入数据时每个周期的重采样点数 (FFT 长度，须为 2 的幂且远大于 2 × MAX_N)
+const DATA_FFT_SIZE = 16384;
 
-  // 计算 a0
-  let sumA0 = 0;
-  for (let i = 0; i < sampleCount; i++) {
-    sumA0 += samples[i].val;
-  }
-  coeffs.a0 = sumA0 * constantFactor;
+// 导出一个周期采样值时的点数
+const EXPORT_SAMPLES = 512;
 
-  // 计算 an, bn
-  for (let n = 1; n <= N; n++) {
-    let sumAn = 0;
-    let sumBn = 0;
-    const k = (n * PI) * invL; 
-    
-    for (let i = 0; i < sampleCount; i++) {
-      const { x, val } = samples[i];
-      const angle = k * x;
-      sumAn += val * Math.cos(angle);
-      sumBn += val * Math.sin(angle);
-    }
-    coeffs.an[n - 1] = sumAn * constantFactor;
-    coeffs.bn[n - 1] = sumBn * constantFactor;
+// 把数值写成周期区间输入框可以解析的简短形式
+const formatBound = (v) => String(Number(v.toPrecision(8)));
+
+// 第 i 个谐波的显示颜色 (黄金角取色，相邻谐波颜色区分明显)
+const harmonicColor = (i, alpha = 1) => `hsla(${(i * 137.508) % 360}, 70%, 48%, ${alpha})`;
+
+// 谐波分解视图
+const HARMONIC_VIEWS = [
+  { id: 'none', label: '关闭' },
+  { id: 'terms', label: '各次谐波' },
+  { id: 'stack', label: '逐项叠加' },
+];
+
+// 谐波分解最多画出的项数 (N 很大时逐条画出既看不清也太慢)
+const HARMONIC_VIEW_LIMIT = 64;
+
+// 由端点表达式得到周期区间，返回 { interval, error }
+const parseInterval = (startSrc, endSrc) => {
+  const start = compileConstant(startSrc);
+  const end = compileConstant(endSrc);
+  let error = start.error || end.error;
+  if (!error && !(end.value > start.value)) {
+    error = { message: '区间右端点必须大于左端点', position: 0 };
   }
-  return coeffs;
+  return { interval: error ? null : makeInterval(start.value, end.value), error };
 };
 
+// 分段函数行：最多 20 段，每个字段为不太长的字符串
+const isValidPieces = (rows) => Array.isArray(rows) && rows.length <= 20 && rows.every(row =>
+  row && ['start', 'end', 'expr'].every(field => typeof row[field] === 'string' && row[field].length <= MAX_STRING_LENGTH)
+);
+
+// 函数类型：前 7 种为内置波形 (解析系数)
+const WAVE_TYPES = [
+  { id: 'square', label: '方波' },
+  { id: 'triangle', label: '三角波' },
+  { id: 'sawtooth', label: '锯齿波' },
+  { id: 'pulse', label: '脉冲串' },
+  { id: 'halfwave', label: '半波整流' },
+  { id: 'fullwave', label: '全波整流' },
+  { id: 'parabolic', label: '抛物波' },
+  { id: 'custom', label: '自定义' },
+  { id: 'curve', label: '平面曲线' },
+  { id: 'transform', label: '傅里叶变换' },
+];
+
+// 自带视图的模式：平面曲线与傅里叶变换不使用函数图像画布及级数相关的面板
+const OWN_VIEW_TYPES = ['curve', 'transform'];
+
+// 傅里叶变换模式：脉冲宽度 w 的范围，周期 T 以 w 的倍数表示 (对数滑块，log₂(T/w) ∈ [0, PERIOD_RATIO_LOG_MAX])
+const TRANSFORM_WIDTH_MIN = 0.25;
+const TRANSFORM_WIDTH_MAX = 2;
+const PERIOD_RATIO_LOG_MAX = 5;
+// 自动拉长周期时 log₂(T/w) 每秒增加的量
+const PERIOD_STRETCH_RATE = 0.5;
+
+// 内置波形的参数滑块：types 为空时对所有内置波形生效；相移以角度表示，计算时换成弧度
+const WAVE_PARAM_CONTROLS = [
+  { key: 'amplitude', param: 'amp', label: '幅值 A', min: -3, max: 3, step: 0.05, default: 1, format: v => v.toFixed(2) },
+  { key: 'offset', param: 'off', label: '直流偏移', min: -2, max: 2, step: 0.05, default: 0, format: v => v.toFixed(2) },
+  { key: 'phaseDeg', param: 'ph', label: '相移', min: -180, max: 180, step: 1, default: 0, format: v => `${v}°` },
+  { key: 'duty', param: 'du', label: '占空比', min: 0.02, max: 0.98, step: 0.01, default: 0.25, types: ['pulse'], format: v => `${Math.round(v * 100)}%` },
+  { key: 'skew', param: 'sk', label: '上升段占比', min: 0.02, max: 0.98, step: 0.01, default: 0.5, types: ['triangle'], format: v => `${Math.round(v * 100)}%` },
+];
+
+const DEFAULT_WAVE_SETTINGS = Object.fromEntries(WAVE_PARAM_CONTROLS.map(control => [control.key, control.default]));
+
+// 多曲线对比：最多固定的曲线条数及其颜色 (避开当前曲线的蓝紫色、误差的红色与吉布斯标注的琥珀色)
+const PIN_LIMIT = 6;
+const PIN_COLORS = ['#10b981', '#f97316', '#ec4899', '#0ea5e9', '#84cc16', '#a855f7'];
+const COMPARE_MODES = [
+  { id: 'overlay', label: '叠加' },
+  { id: 'panels', label: '分屏' },
+];
+
+// 固定探针最多个数；单击点离已有探针或跳跃点不到 PROBE_SNAP_PX 像素时分别视为移除该探针、吸附到跳跃点
+const PROBE_LIMIT = 8;
+const PROBE_SNAP_PX = 6;
+
+// 自动演示单程时长的范围 (秒)
+const TIMELINE_DURATION_MIN = 1;
+const TIMELINE_DURATION_MAX = 30;
+
+const isValidProbes = (xs) => Array.isArray(xs) && xs.length <= PROBE_LIMIT && xs.every(Number.isFinite);
+
+// 写入分享链接的状态 (导入数据、手绘波形与导入的 SVG 无法放进链接，恢复时回到单一表达式 / 内置形状)
+const PERMALINK_FIELDS = [
+  { key: 'waveType', param: 'w', type: 'enum', values: WAVE_TYPES.map(type => type.id), default: 'square' },
+  ...WAVE_PARAM_CONTROLS.map(({ key, param, min, max, default: value }) => ({ key, param, type: 'number', min, max, default: value })),
+  { key: 'curveShape', param: 'cs', type: 'enum', values: CURVE_SHAPES.map(shape => shape.id), default: 'heart' },
+  { key: 'transformPulse', param: 'fp', type: 'enum', values: TRANSFORM_PULSES.map(pulse => pulse.id), default: 'rect' },
+  { key: 'transformWidth', param: 'fw', type: 'number', min: TRANSFORM_WIDTH_MIN, max: TRANSFORM_WIDTH_MAX, default: 1 },
+  { key: 'periodRatio', param: 'fr', type: 'number', min: 1, max: 2 ** PERIOD_RATIO_LOG_MAX, default: 2 },
+  { key: 'scaleByPeriod', param: 'fn', type: 'bool', default: true },
+  { key: 'nTerms', param: 'n', type: 'int', min: 1, max: MAX_N, default: 5 },
+  { key: 'customMode', param: 'm', type: 'enum', values: ['expr', 'piecewise'], default: 'expr' },
+  { key: 'customExpr', param: 'e', type: 'string', default: 'x * x' },
+  { key: 'pieces', param: 'p', type: 'json', validate: isValidPieces, default: DEFAULT_PIECES },
+  { key: 'intervalStart', param: 'a', type: 'string', default: '-PI' },
+  { key: 'intervalEnd', param: 'b', type: 'string', default: 'PI' },
+  { key: 'summation', param: 's', type: 'enum', values: SUMMATION_METHODS.map(m => m.id), default: 'partial' },
+  { key: 'showRawOverlay', param: 'ro', type: 'bool', default: true },
+  { key: 'showGibbs', param: 'g', type: 'bool', default: true },
+  { key: 'showSpectrum', param: 'sp', type: 'bool', default: true },
+  { key: 'spectrumMode', param: 'sm', type: 'enum', values: ['ab', 'polar'], default: 'ab' },
+  { key: 'spectrumScale', param: 'sc', type: 'enum', values: ['linear', 'log'], default: 'linear' },
+  { key: 'showConvergence', param: 'cv', type: 'bool', default: true },
+  { key: 'showPointwiseError', param: 'pe', type: 'bool', default: false },
+  { key: 'harmonicView', param: 'hv', type: 'enum', values: HARMONIC_VIEWS.map(v => v.id), default: 'none' },
+  { key: 'probes', param: 'pr', type: 'json', validate: isValidProbes, default: [] },
+  { key: 'timelineStart', param: 'ts', type: 'int', min: 1, max: MAX_N, default: DEFAULT_TIMELINE.start },
+  { key: 'timelineEnd', param: 'te', type: 'int', min: 1, max: MAX_N, default: DEFAULT_TIMELINE.end },
+  { key: 'timelineDuration', param: 'td', type: 'number', min: TIMELINE_DURATION_MIN, max: TIMELINE_DURATION_MAX, default: DEFAULT_TIMELINE.duration },
+  { key: 'timelineSchedule', param: 'tc', type: 'enum', values: TIMELINE_SCHEDULES.map(s => s.id), default: DEFAULT_TIMELINE.schedule },
+  { key: 'timelineLoop', param: 'tl', type: 'enum', values: TIMELINE_LOOPS.map(l => l.id), default: DEFAULT_TIMELINE.loop },
+  { key: 'showEpicycles', param: 'ep', type: 'bool', default: false },
+  { key: 'epicycleSpeed', param: 'es', type: 'number', min: 0.05, max: 2, default: 0.25 },
+  { key: 'zoom', param: 'z', type: 'number', min: ZOOM_MIN, max: ZOOM_MAX, default: 1 },
+  { key: 'yStretch', param: 'ys', type: 'number', min: ZOOM_MIN / ZOOM_MAX, max: ZOOM_MAX / ZOOM_MIN, default: 1 },
+  { key: 'offsetX', param: 'x', type: 'number', min: -1e6, max: 1e6, default: 0 },
+  { key: 'offsetY', param: 'y', type: 'number', min: -1e6, max: 1e6, default: 0 },
+];
+
+// 更新地址栏的延迟 (毫秒)，拖动滑块时只在停下后写一次
+const PERMALINK_DELAY = 300;
+
 // --- 主组件 ---
 
 export default function FourierApp() {
   // --- 状态管理 ---
-  const [waveType, setWaveType] = useState('square');
-  const [nTerms, setNTerms] = useState(5);
+  // 分享链接中的初始状态，只在首次渲染时读取
+  const [linked] = useState(() => parsePermalink(window.location.hash, PERMALINK_FIELDS));
+
+  const [waveType, setWaveType] = useState(linked.waveType);
+  const seriesView = !OWN_VIEW_TYPES.includes(waveType);
+  // 内置波形参数 (见 WAVE_PARAM_CONTROLS)
+  const [waveSettings, setWaveSettings] = useState(() =>
+    Object.fromEntries(WAVE_PARAM_CONTROLS.map(control => [control.key, linked[control.key]]))
+  );
+  const [nTerms, setNTerms] = useState(linked.nTerms);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [customExpr, setCustomExpr] = useState('x * x');
-  const [mse, setMse] = useState(0);
+  const [customExpr, setCustomExpr] = useState(linked.customExpr);
+  // 自定义模式：'expr' 单一表达式 / 'piecewise' 分段函数 / 'data' 导入的采样数据 / 'sketch' 手绘
+  const [customMode, setCustomMode] = useState(linked.customMode);
+  const [pieces, setPieces] = useState(linked.pieces);
+  // 导入的采样数据：{ name, data: { t, y }, period }，period 为自动检测结果 (可能为 null)
+  const [sampleData, setSampleData] = useState(null);
+  const [sampleError, setSampleError] = useState(null);
+  // 手绘波形：一个周期的格子取值，sketchTool 为 'draw' 时在画布上拖动即绘制，'pan' 时平移视图
+  const [sketch, setSketch] = useState(createSketch);
+  const [sketchTool, setSketchTool] = useState('draw');
+  // 平面曲线：内置形状 curveShape，或导入的 SVG { name, points } (优先)
+  const [curveShape, setCurveShape] = useState(linked.curveShape);
+  const [importedCurve, setImportedCurve] = useState(null);
+  const [curvePathText, setCurvePathText] = useState('');
+  const [curveError, setCurveError] = useState(null);
+  // 傅里叶变换：脉冲类型与宽度 w，周期 T = periodRatio · w；scaleByPeriod 时谱线画 T·|c_n| 以便与 |F(ω)| 对比
+  const [transformPulse, setTransformPulse] = useState(linked.transformPulse);
+  const [transformWidth, setTransformWidth] = useState(linked.transformWidth);
+  const [periodRatio, setPeriodRatio] = useState(linked.periodRatio);
+  const [scaleByPeriod, setScaleByPeriod] = useState(linked.scaleByPeriod);
+  const [periodStretching, setPeriodStretching] = useState(false);
+  // 周期区间 [a, b)，端点为常量表达式
+  const [intervalStart, setIntervalStart] = useState(linked.intervalStart);
+  const [intervalEnd, setIntervalEnd] = useState(linked.intervalEnd);
   const [showHelp, setShowHelp] = useState(false);
+  // 图像导出对话框：打开时记录画布的逻辑尺寸，null 表示关闭
+  const [imageExportSize, setImageExportSize] = useState(null);
+  const [animationExportSize, setAnimationExportSize] = useState(null);
+  // 自动演示的时间轴 (见 fourier/timeline.js)
+  const [timeline, setTimeline] = useState(() => ({
+    start: linked.timelineStart,
+    end: linked.timelineEnd,
+    duration: linked.timelineDuration,
+    schedule: linked.timelineSchedule,
+    loop: linked.timelineLoop,
+  }));
+  // 分享链接已复制的提示
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // 频谱面板
+  const [showSpectrum, setShowSpectrum] = useState(linked.showSpectrum);
+  const [spectrumMode, setSpectrumMode] = useState(linked.spectrumMode);
+  const [spectrumScale, setSpectrumScale] = useState(linked.spectrumScale);
+
+  // 求和方法：summation 为当前方法，showRawOverlay 时同时画出未加权的部分和
+  const [summation, setSummation] = useState(linked.summation);
+  const [showRawOverlay, setShowRawOverlay] = useState(linked.showRawOverlay);
+
+  // 吉布斯过冲标注
+  const [showGibbs, setShowGibbs] = useState(linked.showGibbs);
+  const [gibbsHistory, setGibbsHistory] = useState([]);
+
+  // 误差：收敛曲线面板与逐点误差曲线
+  const [showConvergence, setShowConvergence] = useState(linked.showConvergence);
+  const [showPointwiseError, setShowPointwiseError] = useState(linked.showPointwiseError);
+
+  // 谐波分解：'none' / 'terms' 各项单独绘制 / 'stack' S_1 … S_N 渐变叠加
+  const [harmonicView, setHarmonicView] = useState(linked.harmonicView);
+  const [highlightedHarmonic, setHighlightedHarmonic] = useState(null);
+
+  // 多曲线对比：固定的配置 [{ id, label, color, original, approx, error }]，original / approx 为求值函数的快照
+  // compareMode 为 'overlay' 叠加在主画布上 / 'panels' 在主画布下方分屏显示
+  const [pinned, setPinned] = useState([]);
+  const [compareMode, setCompareMode] = useState('overlay');
+  const nextPinId = useRef(1);
+
+  // 十字准线与探针：hoverX 为光标处的 x (不在画布上时为 null)，probes 为固定探针 [{ id, x }]
+  const [hoverX, setHoverX] = useState(null);
+  const [probes, setProbes] = useState(() => linked.probes.map((x, i) => ({ id: i + 1, x })));
+  const nextProbeId = useRef(linked.probes.length + 1);
+  // 按下指针的位置，抬起时几乎没有移动则视为单击
+  const pointerDownRef = useRef(null);
+
+  // 相量动画
+  const [showEpicycles, setShowEpicycles] = useState(linked.showEpicycles);
+  const [epicyclePlaying, setEpicyclePlaying] = useState(true);
+  const [epicycleSpeed, setEpicycleSpeed] = useState(linked.epicycleSpeed);
   
   // 视图控制状态
-  const [zoom, setZoom] = useState(1);
-  const [offsetX, setOffsetX] = useState(0);
-  const [offsetY, setOffsetY] = useState(0);
+  const [zoom, setZoom] = useState(linked.zoom);
+  const [yStretch, setYStretch] = useState(linked.yStretch);
+  const [zoomAxes, setZoomAxes] = useState('both');
+  // 框选缩放：按钮开启后 (或按住 Shift) 拖出的矩形放大到整个画布；zoomBox 为正在拖出的矩形 (画布像素)
+  const [boxZoomMode, setBoxZoomMode] = useState(false);
+  const [zoomBox, setZoomBox] = useState(null);
+  const [offsetX, setOffsetX] = useState(linked.offsetX);
+  const [offsetY, setOffsetY] = useState(linked.offsetY);
   const [isDragging, setIsDragging] = useState(false);
   
   const lastMouseX = useRef(0);
   const lastMouseY = useRef(0);
+  // 正在绘制的笔画上一个点 { u, y }，null 表示未在绘制
+  const lastSketchPoint = useRef(null);
   
   // 引用容器以绑定原生事件
   const containerRef = useRef(null);
-  const zoomRef = useRef(zoom);
+  // 当前视图：连续的手势事件之间可能还没重新渲染，视图运算一律读写这里，再同步到状态
+  const viewRef = useRef({ zoom: linked.zoom, yStretch: linked.yStretch, offsetX: linked.offsetX, offsetY: linked.offsetY });
+  // 触摸中的指针 (pointerId -> 屏幕坐标)，两指时为捏合缩放
+  const activePointers = useRef(new Map());
+  const pinchRef = useRef(null);
+  // 框选起点 (画布像素)
+  const boxStartRef = useRef(null);
   
   // 输入框引用，用于插入文本
   const inputRef = useRef(null);
   
   const canvasRef = useRef(null);
-  const animationRef = useRef(null);
+  // 自动演示的播放位置 (见 advancePhase)，逐帧更新不需要触发渲染
+  const playPhase = useRef(0);
+  const timelineRef = useRef(timeline);
+  timelineRef.current = timeline;
+  // 导出动画前的 N，关闭对话框时恢复
+  const exportNRef = useRef(null);
+
+  // --- 周期区间 ---
+  const intervalInput = useMemo(() => parseInterval(intervalStart, intervalEnd), [intervalStart, intervalEnd]);
 
-  // 基础常量范围
-  const BASE_X_RANGE = [-2.0 * PI, 2.0 * PI];
-  const BASE_Y_RANGE = [-2.2, 2.2];
+  // 输入有误时沿用默认区间，保证画面可用
+  const interval = intervalInput.interval || DEFAULT_INTERVAL;
+
+  // 基础常量范围：X 方向显示以区间中点为中心的两个周期
+  const BASE_X_RANGE = useMemo(
+    () => [interval.center - interval.T, interval.center + interval.T],
+    [interval]
+  );
+  const baseXRangeRef = useRef(BASE_X_RANGE);
+  // 打开分享链接时区间与视图同时改变：区间变化后改用这里记录的视图，而不是重置
+  const pendingViewRef = useRef(null);
 
   // 推荐函数列表
   const recommendedFunctions = [
@@ -127,120 +438,339 @@ export default function FourierApp() {
   ];
 
   // --- 非线性映射逻辑 (核心变更) ---
-  
-  // 将滑块位置 (0-100) 映射到 N (1-100)
-  // 使用二次函数 N = 1 + 99 * (slider/100)^2
-  // 效果：滑块在前半段只对应很小的 N 变化，后半段变化加快
-  const sliderToN = useCallback((sliderVal) => {
-    const s = Math.max(0, Math.min(100, parseFloat(sliderVal)));
-    const n = 1 + 99 * Math.pow(s / 100, 2);
-    return Math.round(n);
-  }, []);
-
-  // 将 N (1-100) 逆映射回滑块位置 (0-100)
-  // slider = 100 * sqrt((N-1)/99)
-  const nToSlider = useCallback((n) => {
-    const val = Math.max(1, Math.min(100, n));
-    return 100 * Math.sqrt((val - 1) / 99);
-  }, []);
+  // 滑块位置 (0-100) 与 N (1-MAX_N) 之间为三次映射，见 fourier/slider.js
 
   // 计算当前的 Slider 显示值
-  const currentSliderVal = useMemo(() => nToSlider(nTerms), [nTerms, nToSlider]);
+  const currentSliderVal = useMemo(() => nToSlider(nTerms), [nTerms]);
+
+  const setView = useCallback((view) => {
+    viewRef.current = view;
+    setZoom(view.zoom);
+    setYStretch(view.yStretch);
+    setOffsetX(view.offsetX);
+    setOffsetY(view.offsetY);
+  }, []);
 
-  // --- 同步 Zoom 到 Ref ---
+  // 区间改变后坐标尺度随之改变，重置平移与缩放 (首次渲染时保留链接中的视图)
   useEffect(() => {
-    zoomRef.current = zoom;
-  }, [zoom]);
+    if (baseXRangeRef.current === BASE_X_RANGE) return;
+    baseXRangeRef.current = BASE_X_RANGE;
+    const view = pendingViewRef.current || DEFAULT_VIEW;
+    pendingViewRef.current = null;
+    setView(view);
+  }, [BASE_X_RANGE, setView]);
 
   // --- 核心计算逻辑 ---
 
-  const getOriginalValue = useCallback((x, type) => {
-    // 周期映射
-    let x_periodic = x % TWO_PI;
-    const L = PI;
-    if (x_periodic > L) x_periodic -= TWO_PI;
-    if (x_periodic < -L) x_periodic += TWO_PI;
-
-    switch (type) {
-      case 'square':
-        return x_periodic >= 0 ? 1 : -1;
-      case 'triangle':
-        return 1 - 2 * Math.abs(x_periodic) / PI;
-      case 'sawtooth':
-        return x_periodic / PI;
-      case 'custom':
-        return safeEval(customExpr, x_periodic);
-      default:
-        return 0;
+  // 编译自定义表达式 (每个表达式只编译一次)
+  const compiledExpr = useMemo(() => compileExpression(customExpr), [customExpr]);
+  const compiledPieces = useMemo(() => compilePiecewise(pieces), [pieces]);
+  const sampleFn = useMemo(() => (sampleData ? makeInterpolator(sampleData.data) : null), [sampleData]);
+  const sketchFn = useMemo(() => sketchToFunction(sketch, interval.a, interval.T), [sketch, interval]);
+
+  // 当前自定义函数：{ fn, breakpoints }，fn 为 null 表示输入有误
+  const customSource = useMemo(() => {
+    if (customMode === 'piecewise') {
+      return { fn: compiledPieces.fn, breakpoints: compiledPieces.breakpoints };
+    }
+    if (customMode === 'data') {
+      return { fn: sampleFn, breakpoints: [] };
     }
-  }, [customExpr]);
+    if (customMode === 'sketch') {
+      return { fn: sketchFn, breakpoints: [] };
+    }
+    return { fn: compiledExpr.fn, breakpoints: [] };
+  }, [customMode, compiledExpr, compiledPieces, sampleFn, sketchFn]);
 
-  // 缓存自定义系数 (N=100)
-  const customCoeffs = useMemo(() => {
-    if (waveType === 'custom') {
-      return calculateCoefficientsNumerical(customExpr, 100);
+  // 平面曲线的复傅里叶级数 (与周期区间无关)
+  const curveSeries = useMemo(() => {
+    if (waveType !== 'curve') return null;
+    if (importedCurve) return complexFourierSeries(importedCurve.points);
+    const shape = CURVE_SHAPES.find(item => item.id === curveShape);
+    const { subpaths } = parseSvgPath(shape.path);
+    return complexFourierSeries(joinSubpaths(subpaths));
+  }, [waveType, curveShape, importedCurve]);
+
+  // 内置波形的计算参数 (相移换成弧度)
+  const waveParams = useMemo(() => ({
+    amplitude: waveSettings.amplitude,
+    offset: waveSettings.offset,
+    phase: (waveSettings.phaseDeg * PI) / 180,
+    duty: waveSettings.duty,
+    skew: waveSettings.skew,
+  }), [waveSettings]);
+
+  const getOriginalValue = useCallback(
+    (x, type) => waveformValue(x, type, interval, customSource.fn, waveParams),
+    [customSource, interval, waveParams]
+  );
+
+  // 自定义系数的计算任务 (计算到第 MAX_N 次谐波)，在 Worker 中完成，输入时界面不会卡顿
+  // 表达式与分段函数传源码做自适应数值积分；采样数据与手绘波形先在所选周期上等距重采样，再由 FFT 求系数
+  const coefficientJob = useMemo(() => {
+    if (waveType !== 'custom' || !customSource.fn) return null;
+    let source;
+    if (customMode === 'data' || customMode === 'sketch') {
+      const values = new Float64Array(DATA_FFT_SIZE);
+      for (let j = 0; j < DATA_FFT_SIZE; j++) {
+        values[j] = customSource.fn(interval.a + (j / DATA_FFT_SIZE) * interval.T);
+      }
+      source = { kind: 'samples', values };
+    } else if (customMode === 'piecewise') {
+      source = { kind: 'piecewise', pieces };
+    } else {
+      source = { kind: 'expr', expr: customExpr };
+    }
+    return { source, interval: { a: interval.a, b: interval.b }, harmonics: MAX_N };
+  }, [waveType, customMode, customSource, customExpr, pieces, interval]);
+
+  // 最近一次完成的任务：{ job, coeffs, error }
+  const [coefficientResult, setCoefficientResult] = useState(null);
+  const coefficientWorkerRef = useRef(null);
+
+  useEffect(() => {
+    if (!coefficientJob) return;
+    if (!coefficientWorkerRef.current) {
+      coefficientWorkerRef.current = new Worker(new URL('../workers/coefficientWorker.js', import.meta.url), { type: 'module' });
     }
-    return null;
-  }, [waveType, customExpr]);
+    const worker = coefficientWorkerRef.current;
+    let finished = false;
+    worker.onmessage = (e) => {
+      finished = true;
+      setCoefficientResult({ job: coefficientJob, coeffs: e.data.coeffs || null, error: e.data.error || null });
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finished = true;
+      setCoefficientResult({ job: coefficientJob, coeffs: null, error: e.message || '系数计算失败' });
+    };
+    worker.postMessage(coefficientJob);
+    // 输入改变时任务还没算完：计算是同步的无法中途打断，直接终止 Worker，下一个任务重新创建
+    return () => {
+      if (finished) return;
+      worker.terminate();
+      coefficientWorkerRef.current = null;
+    };
+  }, [coefficientJob]);
+
+  useEffect(() => () => {
+    if (coefficientWorkerRef.current) coefficientWorkerRef.current.terminate();
+    coefficientWorkerRef.current = null;
+  }, []);
+
+  const coefficientsPending = coefficientJob !== null && (!coefficientResult || coefficientResult.job !== coefficientJob);
+  const coefficientError = coefficientJob !== null && coefficientResult && coefficientResult.job === coefficientJob
+    ? coefficientResult.error
+    : null;
+
+  // 当前使用的自定义系数：新任务算完之前沿用上一次的结果 (周期区间相同时)，避免输入时曲线闪烁
+  const customCoeffs = useMemo(() => {
+    if (!coefficientJob || !coefficientResult || !coefficientResult.coeffs) return null;
+    const { a, b } = coefficientResult.job.interval;
+    return a === coefficientJob.interval.a && b === coefficientJob.interval.b ? coefficientResult.coeffs : null;
+  }, [coefficientJob, coefficientResult]);
 
   // 优化的傅里叶求和
-  const getFourierValue = useCallback((x, type, N) => {
-    let sum = 0;
-    
-    if (type === 'square') {
-      for (let n = 1; n <= N; n++) {
-        const k = 2 * n - 1;
-        sum += (Math.sin(k * x) / k);
-      }
-      return sum * (4 / PI);
-    } else if (type === 'triangle') {
-      for (let n = 1; n <= N; n++) {
-        const k = 2 * n - 1;
-        sum += Math.cos(k * x) / (k * k);
-      }
-      return sum * (8 / (PI * PI));
-    } else if (type === 'sawtooth') {
-      for (let n = 1; n <= N; n++) {
-        const sign = (n % 2 === 0) ? -1 : 1;
-        sum += (sign / n) * Math.sin(n * x);
-      }
-      return sum * (2 / PI);
-    } else if (type === 'custom' && customCoeffs) {
-      sum = customCoeffs.a0 / 2;
-      const limit = Math.min(N, customCoeffs.an.length);
-      for (let n = 1; n <= limit; n++) {
-        const idx = n - 1;
-        sum += customCoeffs.an[idx] * Math.cos(n * x) + customCoeffs.bn[idx] * Math.sin(n * x);
-      }
-      return sum;
+  // method 为求和方法，第 k 次谐波乘以 summationWeight(method, k, M)
+  const getFourierValue = useCallback(
+    (x, type, N, method = 'partial') => fourierValue(x, type, N, { interval, coeffs: customCoeffs, method, params: waveParams }),
+    [customCoeffs, interval, waveParams]
+  );
+
+  // --- 频谱数据 ---
+
+  // 当前波形的逐次谐波系数：内置波形取解析解，自定义取数值积分结果
+  const harmonicCoeffs = useMemo(() => {
+    if (waveType === 'custom') return customCoeffs;
+    if (!seriesView) return null;
+    return analyticCoefficients(waveType, highestHarmonic(waveType, MAX_N, waveParams), waveParams);
+  }, [waveType, seriesView, customCoeffs, waveParams]);
+
+  const highestIncluded = highestHarmonic(waveType, nTerms, waveParams);
+
+  const isHarmonicIncluded = useCallback((n) => {
+    if (n === 0) return true;
+    if (n > highestIncluded) return false;
+    return hasOddHarmonicsOnly(waveType, waveParams) ? n % 2 === 1 : true;
+  }, [waveType, waveParams, highestIncluded]);
+
+  // 频谱显示范围：比当前最高谐波多留 1/4，方便看到被截断的部分
+  const spectrumHarmonics = Math.max(16, highestIncluded + Math.ceil(highestIncluded / 4));
+
+  // 相量动画数据：把当前 N 所含的每一项写成 A_n cos(nω(t − origin) − φ_n)
+  // 内置波形的系数相对区间中点，自定义函数的系数相对 x = 0
+  const phasors = useMemo(() => {
+    if (!harmonicCoeffs) return null;
+    const terms = [];
+    const limit = Math.min(highestIncluded, harmonicCoeffs.an.length);
+    for (let n = 1; n <= limit; n++) {
+      if (!isHarmonicIncluded(n)) continue;
+      const a = harmonicCoeffs.an[n - 1];
+      const b = harmonicCoeffs.bn[n - 1];
+      const amp = Math.hypot(a, b) * summationWeight(summation, n, highestIncluded);
+      if (amp < 1e-12) continue;
+      terms.push({ n, amp, phase: Math.atan2(b, a) });
     }
-    return 0;
-  }, [customCoeffs]);
+    return {
+      dc: harmonicCoeffs.a0 / 2,
+      terms,
+      omega: interval.omega,
+      origin: waveType === 'custom' ? 0 : interval.center,
+    };
+  }, [harmonicCoeffs, highestIncluded, isHarmonicIncluded, interval, waveType, summation]);
 
-  // --- 绘图逻辑 ---
+  // --- 误差指标 (在恰好一个周期上计算，与平移缩放无关) ---
 
-  const draw = useCallback(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d', { alpha: false });
-    const width = canvas.width;
-    const height = canvas.height;
+  // 周期 [a, a+T) 上的中点网格及原函数值
+  const periodGrid = useMemo(() => {
+    const xs = new Float64Array(ERROR_SAMPLES);
+    const fs = new Float64Array(ERROR_SAMPLES);
+    for (let i = 0; i < ERROR_SAMPLES; i++) {
+      xs[i] = interval.a + ((i + 0.5) / ERROR_SAMPLES) * interval.T;
+      fs[i] = getOriginalValue(xs[i], waveType);
+    }
+    return { xs, fs };
+  }, [getOriginalValue, waveType, interval]);
 
-    // 背景填充
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, width, height);
+  const errorStats = useMemo(() => {
+    const { xs, fs } = periodGrid;
+    const evalOn = (method) => xs.map((x) => getFourierValue(x, waveType, nTerms, method));
+    const current = errorMetrics(fs, evalOn(summation));
+    const raw = summation === 'partial' ? current : errorMetrics(fs, evalOn('partial'));
+    return { current, raw };
+  }, [periodGrid, getFourierValue, waveType, nTerms, summation]);
+
+  // 误差随 N (1 ~ MAX_N) 的变化，N 按 convergenceSteps 取样 (N > 20 后等比间隔)
+  // 要在整个误差网格上累加到第 MAX_N 次谐波，交给 Worker 计算，结果到达前仍显示上一条曲线
+  const convergenceJob = useMemo(() => {
+    if (!showConvergence || !harmonicCoeffs) return null;
+    const { xs, fs } = periodGrid;
+    const origin = waveType === 'custom' ? 0 : interval.center;
+    const thetas = xs.map((x) => interval.omega * (x - origin));
+    const steps = convergenceSteps(MAX_N);
+    const orders = steps.map((N) => Math.min(highestHarmonic(waveType, N, waveParams), harmonicCoeffs.an.length));
+    return { coeffs: harmonicCoeffs, thetas, fValues: fs, steps, orders, method: summation };
+  }, [showConvergence, harmonicCoeffs, periodGrid, waveType, waveParams, interval, summation]);
 
+  const [convergence, setConvergence] = useState(null);
+  const convergenceWorkerRef = useRef(null);
+
+  useEffect(() => {
+    if (!convergenceJob) {
+      setConvergence(null);
+      return;
+    }
+    if (!convergenceWorkerRef.current) {
+      convergenceWorkerRef.current = new Worker(new URL('../workers/convergenceWorker.js', import.meta.url), { type: 'module' });
+    }
+    const worker = convergenceWorkerRef.current;
+    let finished = false;
+    worker.onmessage = (e) => {
+      finished = true;
+      setConvergence(e.data.convergence || null);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finished = true;
+      setConvergence(null);
+    };
+    worker.postMessage(convergenceJob);
+    return () => {
+      if (finished) return;
+      worker.terminate();
+      convergenceWorkerRef.current = null;
+    };
+  }, [convergenceJob]);
+
+  useEffect(() => () => {
+    if (convergenceWorkerRef.current) convergenceWorkerRef.current.terminate();
+    convergenceWorkerRef.current = null;
+  }, []);
+
+  // --- 吉布斯过冲分析 ---
+
+  // 原函数在一个周期内的跳跃点 (与 N 无关)
+  const jumpPoints = useMemo(
+    () => findJumps((x) => getOriginalValue(x, waveType), interval.a, interval.T),
+    [getOriginalValue, waveType, interval]
+  );
+
+  // 每个跳跃点附近 S_N 的最大过冲 / 欠冲；搜索窗口不超过相邻跳跃点间距的一半
+  const gibbsAnalysis = useMemo(() => {
+    if (jumpPoints.length === 0) return [];
+    const approx = (x) => getFourierValue(x, waveType, nTerms, summation);
+    return jumpPoints.map((jump, i) => {
+      let gap = interval.T;
+      if (jumpPoints.length > 1) {
+        const prev = jumpPoints[(i - 1 + jumpPoints.length) % jumpPoints.length];
+        const next = jumpPoints[(i + 1) % jumpPoints.length];
+        const dPrev = (jump.x - prev.x + interval.T) % interval.T || interval.T;
+        const dNext = (next.x - jump.x + interval.T) % interval.T || interval.T;
+        gap = Math.min(dPrev, dNext);
+      }
+      return { ...jump, ...measureOvershoot(approx, jump, Math.min(interval.T / 4, gap / 2)) };
+    });
+  }, [jumpPoints, getFourierValue, waveType, nTerms, summation, interval]);
+
+  const maxOvershootPct = gibbsAnalysis.reduce(
+    (m, g) => Math.max(m, g.overshoot.pct, g.undershoot.pct),
+    -Infinity
+  );
+
+  // 自动演示时记录过冲随 N 的变化；N 回到已走过的位置 (新一轮或往返的回程) 时丢掉其后的记录
+  const timelineForward = timeline.end >= timeline.start;
+  useEffect(() => {
+    if (!isPlaying || gibbsAnalysis.length === 0) return;
+    setGibbsHistory(prev => {
+      const kept = prev.filter(p => (timelineForward ? p.n < nTerms : p.n > nTerms));
+      return [...kept, { n: nTerms, pct: maxOvershootPct }];
+    });
+  }, [isPlaying, nTerms, gibbsAnalysis, maxOvershootPct, timelineForward]);
+
+  // 过冲迷你图的横轴：时间轴的起止 N (左端为起点 N)
+  const gibbsSparkline = useMemo(() => {
+    const span = timeline.end - timeline.start;
+    const low = Math.min(timeline.start, timeline.end);
+    const high = Math.max(timeline.start, timeline.end);
+    return gibbsHistory
+      .filter(p => p.n >= low && p.n <= high)
+      .map(p => `${span === 0 ? 0 : ((p.n - timeline.start) / span) * 100},${Math.max(0, 30 - Math.max(0, p.pct) * 2)}`)
+      .join(' ');
+  }, [gibbsHistory, timeline.start, timeline.end]);
+
+  // 手绘模式下画布上的拖动用于绘制而不是平移
+  const sketchActive = waveType === 'custom' && customMode === 'sketch' && sketchTool === 'draw';
+
+  // --- 绘图逻辑 ---
+
+  // 当前视图范围 (主画布与相量动画层共用)
+  const viewRange = useMemo(() => {
     // 计算当前 X 视图范围
     const rangeWidth = (BASE_X_RANGE[1] - BASE_X_RANGE[0]) / zoom;
     const xCenter = (BASE_X_RANGE[0] + BASE_X_RANGE[1]) / 2 + offsetX;
-    const currentXMin = xCenter - rangeWidth / 2;
-    const currentXMax = xCenter + rangeWidth / 2;
 
     // 计算当前 Y 视图范围 (加入 offsetY)
-    const rangeHeight = (BASE_Y_RANGE[1] - BASE_Y_RANGE[0]) / zoom;
+    const rangeHeight = (BASE_Y_RANGE[1] - BASE_Y_RANGE[0]) / (zoom * yStretch);
     const yCenter = (BASE_Y_RANGE[0] + BASE_Y_RANGE[1]) / 2 + offsetY;
-    const currentYMin = yCenter - rangeHeight / 2;
-    const currentYMax = yCenter + rangeHeight / 2;
+
+    return {
+      xMin: xCenter - rangeWidth / 2,
+      xMax: xCenter + rangeWidth / 2,
+      yMin: yCenter - rangeHeight / 2,
+      yMax: yCenter + rangeHeight / 2,
+    };
+  }, [BASE_X_RANGE, zoom, yStretch, offsetX, offsetY]);
+
+  // 绘制整个场景。width / height 为逻辑像素，ctx 可以是画布或 SvgContext (导出矢量图)
+  // background 为 null 时背景透明；interactive 为 false 时不画仅用于交互的提示 (如手绘区域)
+  const renderScene = useCallback((ctx, width, height, { background = '#ffffff', interactive = true } = {}) => {
+    // 背景填充
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    const { xMin: currentXMin, xMax: currentXMax, yMin: currentYMin, yMax: currentYMax } = viewRange;
 
     const mapX = (val) => ((val - currentXMin) / (currentXMax - currentXMin)) * width;
     const mapY = (val) => height - ((val - currentYMin) / (currentYMax - currentYMin)) * height;
@@ -250,22 +780,26 @@ export default function FourierApp() {
     ctx.beginPath();
     ctx.strokeStyle = '#f1f5f9';
     
-    // 垂直网格 (PI为单位)
-    const startPi = Math.floor(currentXMin / PI);
-    const endPi = Math.ceil(currentXMax / PI);
+    // 垂直网格：区间端点是 π/2 的整数倍时以 π 为单位，否则使用十进制刻度
+    const piUnits = isHalfPiMultiple(interval.a) && isHalfPiMultiple(interval.b);
+    const gridStep = piUnits ? PI : niceStep(currentXMax - currentXMin);
+    const gridDecimals = Math.max(0, -Math.floor(Math.log10(gridStep)));
+    const startTick = Math.floor(currentXMin / gridStep);
+    const endTick = Math.ceil(currentXMax / gridStep);
     
     ctx.textAlign = "center";
     ctx.textBaseline = "top";
     ctx.font = "10px sans-serif";
     
-    for (let i = startPi; i <= endPi; i++) {
-        const val = i * PI;
+    for (let i = startTick; i <= endTick; i++) {
+        const val = i * gridStep;
         const px = mapX(val);
         ctx.moveTo(px, 0);
         ctx.lineTo(px, height);
-        if (Math.abs(val) < 100) {
+        if (!piUnits || Math.abs(val) < 100) {
             ctx.fillStyle = '#94a3b8';
-            ctx.fillText(`${i}π`, px, mapY(currentYMin) + (height - mapY(currentYMin) < 20 ? -20 : 6));
+            const label = piUnits ? `${i}π` : val.toFixed(gridDecimals);
+            ctx.fillText(label, px, mapY(currentYMin) + (height - mapY(currentYMin) < 20 ? -20 : 6));
         }
     }
     
@@ -298,6 +832,12 @@ export default function FourierApp() {
     }
     ctx.stroke();
 
+    // 手绘时用浅色底标出可绘制的一个周期
+    if (interactive && sketchActive) {
+        ctx.fillStyle = 'rgba(99, 102, 241, 0.06)';
+        ctx.fillRect(mapX(interval.a), 0, mapX(interval.b) - mapX(interval.a), height);
+    }
+
     // 绘制函数
     const step = (currentXMax - currentXMin) / width;
     
@@ -305,6 +845,25 @@ export default function FourierApp() {
     ctx.beginPath();
     ctx.strokeStyle = '#334155';
     ctx.lineWidth = 3;
+
+    // 可见范围内的跳跃位置 (按周期延拓)，在这些位置精确断线：
+    // 自定义函数取分段端点与周期边界，内置波形取解析的跳跃点
+    const jumpXs = [];
+    if (seriesView) {
+        const knots = waveType === 'custom'
+            ? [interval.a, ...customSource.breakpoints]
+            : builtinJumps(waveType, interval, waveParams);
+        const kStart = Math.floor((currentXMin - interval.a) / interval.T) - 1;
+        const kEnd = Math.ceil((currentXMax - interval.a) / interval.T) + 1;
+        for (let k = kStart; k <= kEnd; k++) {
+            for (const b of knots) {
+                const xb = b + k * interval.T;
+                if (xb > currentXMin && xb < currentXMax) jumpXs.push(xb);
+            }
+        }
+        jumpXs.sort((u, v) => u - v);
+    }
+    let jumpIdx = 0;
     
     let isFirst = true;
     for (let px = 0; px < width; px += 2) {
@@ -312,6 +871,21 @@ export default function FourierApp() {
         const y = getOriginalValue(x, waveType);
         
         const py = mapY(y);
+
+        // 跨过分段端点：先画到端点左极限，有跳变则断开，再从右侧值继续
+        while (jumpIdx < jumpXs.length && jumpXs[jumpIdx] <= x) {
+            const xb = jumpXs[jumpIdx++];
+            if (isFirst || (jumpIdx > 1 && xb - jumpXs[jumpIdx - 2] < 1e-9 * interval.T)) continue;
+            const leftY = getOriginalValue(xb - 1e-9 * Math.max(interval.T, Math.abs(xb)), waveType);
+            const rightY = getOriginalValue(xb, waveType);
+            const pxb = mapX(xb);
+            ctx.lineTo(pxb, mapY(leftY));
+            if (Math.abs(leftY - rightY) > 1e-6) {
+                ctx.stroke();
+                ctx.beginPath();
+            }
+            ctx.moveTo(pxb, mapY(rightY));
+        }
         
         if (!isFirst && Math.abs(y - getOriginalValue(x - step*2, waveType)) > 1.5) {
              ctx.stroke();
@@ -326,82 +900,267 @@ export default function FourierApp() {
     }
     ctx.stroke();
 
+    // 谐波分解
+    if (harmonicView !== 'none' && phasors) {
+        const { omega, origin, dc } = phasors;
+        const terms = phasors.terms.slice(0, HARMONIC_VIEW_LIMIT);
+        const phaseAt = (px) => omega * (currentXMin + (px / width) * (currentXMax - currentXMin) - origin);
+
+        if (harmonicView === 'terms') {
+            // 每一项 A_n cos(nθ − φ_n) 单独画成一条淡色曲线，高亮项加粗
+            terms.forEach((term, i) => {
+                const highlighted = highlightedHarmonic === term.n;
+                const dimmed = highlightedHarmonic !== null && !highlighted;
+                ctx.beginPath();
+                ctx.strokeStyle = harmonicColor(i, highlighted ? 1 : dimmed ? 0.12 : 0.45);
+                ctx.lineWidth = highlighted ? 2.5 : 1;
+                for (let px = 0; px < width; px += 2) {
+                    const py = mapY(term.amp * Math.cos(term.n * phaseAt(px) - term.phase));
+                    if (px === 0) ctx.moveTo(px, py);
+                    else ctx.lineTo(px, py);
+                }
+                ctx.stroke();
+            });
+        } else {
+            // S_1, S_2, …, S_N：逐项累加，越早的部分和越淡
+            const count = Math.floor(width / 2) + 1;
+            const sums = new Float64Array(count).fill(dc);
+            terms.forEach((term, i) => {
+                for (let j = 0; j < count; j++) {
+                    sums[j] += term.amp * Math.cos(term.n * phaseAt(j * 2) - term.phase);
+                }
+                const highlighted = highlightedHarmonic === term.n;
+                const fade = 0.08 + 0.5 * ((i + 1) / terms.length);
+                ctx.beginPath();
+                ctx.strokeStyle = harmonicColor(i, highlighted ? 1 : fade);
+                ctx.lineWidth = highlighted ? 2.5 : 1;
+                for (let j = 0; j < count; j++) {
+                    const py = mapY(sums[j]);
+                    if (j === 0) ctx.moveTo(0, py);
+                    else ctx.lineTo(j * 2, py);
+                }
+                ctx.stroke();
+            });
+        }
+    }
+
+    // 逐像素画出 evaluate(x)
+    const traceCurve = (evaluate, strokeStyle, lineWidth, dash) => {
+        ctx.beginPath();
+        ctx.strokeStyle = strokeStyle;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(dash);
+
+        let first = true;
+        for (let px = 0; px < width; px++) {
+            const x = currentXMin + (px / width) * (currentXMax - currentXMin);
+            const py = mapY(evaluate(x));
+
+            if (first) {
+                ctx.moveTo(px, py);
+                first = false;
+            } else {
+                ctx.lineTo(px, py);
+            }
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+    };
+
+    // 多曲线对比 (叠加模式)：固定的原函数画成同色虚线，逼近曲线画成实线
+    if (compareMode === 'overlay') {
+        for (const entry of pinned) {
+            traceCurve(entry.original, `${entry.color}59`, 1.5, [4, 4]);
+            traceCurve(entry.approx, entry.color, 1.75, []);
+        }
+    }
+
     // 傅里叶逼近
-    ctx.beginPath();
+    const drawApproximation = (method, strokeStyle, lineWidth, dash) =>
+        traceCurve((x) => getFourierValue(x, waveType, nTerms, method), strokeStyle, lineWidth, dash);
+
+    // 自定义系数尚未算出时不画逼近曲线
+    const hasApproximation = waveType !== 'custom' || customCoeffs !== null;
+
+    // 叠加模式：先画未加权的部分和作为对照
+    if (hasApproximation && summation !== 'partial' && showRawOverlay) {
+        drawApproximation('partial', 'rgba(148, 163, 184, 0.9)', 1.5, [6, 4]);
+    }
+
     const gradient = ctx.createLinearGradient(0, 0, width, 0);
     gradient.addColorStop(0, '#3b82f6'); 
     gradient.addColorStop(1, '#8b5cf6');
-    ctx.strokeStyle = gradient;
-    ctx.lineWidth = 2;
+    if (hasApproximation) drawApproximation(summation, gradient, 2, []);
 
-    let errorSqSum = 0;
-    let count = 0;
-
-    isFirst = true;
-    for (let px = 0; px < width; px++) {
-        const x = currentXMin + (px / width) * (currentXMax - currentXMin);
-        const fY = getFourierValue(x, waveType, nTerms);
-        const py = mapY(fY);
-        
-        if (count % 5 === 0) {
-             const oY = getOriginalValue(x, waveType);
-             errorSqSum += (oY - fY) * (oY - fY);
+    // 逐点误差 |f − S_N|
+    if (hasApproximation && showPointwiseError) {
+        ctx.beginPath();
+        ctx.strokeStyle = 'rgba(239, 68, 68, 0.8)';
+        ctx.lineWidth = 1.5;
+        for (let px = 0; px < width; px++) {
+            const x = currentXMin + (px / width) * (currentXMax - currentXMin);
+            const err = Math.abs(getOriginalValue(x, waveType) - getFourierValue(x, waveType, nTerms, summation));
+            if (px === 0) ctx.moveTo(px, mapY(err));
+            else ctx.lineTo(px, mapY(err));
         }
-        count++;
+        ctx.stroke();
+    }
 
-        if (isFirst) {
-            ctx.moveTo(px, py);
-            isFirst = false;
-        } else {
+    // 吉布斯过冲标注：在每个可见的跳跃点 (按周期延拓) 旁标出峰值与百分比
+    if (showGibbs) {
+        ctx.font = "bold 11px sans-serif";
+        ctx.textAlign = "center";
+        const annotate = (point, dx, above) => {
+            const px = mapX(point.x + dx);
+            const py = mapY(point.y);
+            const levelY = mapY(point.level);
+            ctx.strokeStyle = '#d97706';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(px - 14, levelY);
+            ctx.lineTo(px + 14, levelY);
+            ctx.moveTo(px, levelY);
             ctx.lineTo(px, py);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#d97706';
+            ctx.beginPath();
+            ctx.arc(px, py, 3, 0, TWO_PI);
+            ctx.fill();
+            ctx.textBaseline = above ? "bottom" : "top";
+            ctx.fillText(`${above ? '+' : '−'}${point.pct.toFixed(2)}%`, px, py + (above ? -6 : 6));
+        };
+        for (const g of gibbsAnalysis) {
+            const kStart = Math.floor((currentXMin - g.x) / interval.T);
+            const kEnd = Math.ceil((currentXMax - g.x) / interval.T);
+            for (let k = kStart; k <= kEnd; k++) {
+                const dx = k * interval.T;
+                if (g.x + dx < currentXMin || g.x + dx > currentXMax) continue;
+                annotate(g.overshoot, dx, true);
+                annotate(g.undershoot, dx, false);
+            }
         }
     }
-    ctx.stroke();
-    
-    if (count > 0) {
-        setMse(errorSqSum / (count / 5));
-    }
 
-  }, [waveType, nTerms, getOriginalValue, getFourierValue, zoom, offsetX, offsetY]);
+  }, [waveType, nTerms, getOriginalValue, getFourierValue, customSource, customCoeffs, waveParams, interval, viewRange, summation, showRawOverlay, showPointwiseError, showGibbs, gibbsAnalysis, harmonicView, highlightedHarmonic, phasors, sketchActive, pinned, compareMode]);
+
+  // 屏幕画布按设备像素比放大，避免高分屏模糊
+  const draw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    const ctx = canvas.getContext('2d', { alpha: false });
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    renderScene(ctx, canvas.width / dpr, canvas.height / dpr);
+  }, [renderScene]);
 
   // --- 事件处理 ---
 
+  // 以画布上的相对位置 (ratioX, ratioY) 为中心，横纵分别放大 factorX、factorY 倍 (该处坐标保持不动)
+  const zoomView = useCallback((ratioX, ratioY, factorX, factorY) => {
+    const view = viewRef.current;
+    const baseXRange = baseXRangeRef.current;
+    const baseWidth = baseXRange[1] - baseXRange[0];
+    const baseHeight = BASE_Y_RANGE[1] - BASE_Y_RANGE[0];
+    const zoomY = view.zoom * view.yStretch;
+    const newZoomX = clampZoom(view.zoom * factorX);
+    const newZoomY = clampZoom(zoomY * factorY);
+    setView({
+      zoom: newZoomX,
+      yStretch: newZoomY / newZoomX,
+      offsetX: view.offsetX + (ratioX - 0.5) * baseWidth * (1 / view.zoom - 1 / newZoomX),
+      offsetY: view.offsetY + (0.5 - ratioY) * baseHeight * (1 / zoomY - 1 / newZoomY),
+    });
+  }, [setView]);
+
+  // 按屏幕像素平移，width / height 为画布尺寸
+  const panView = useCallback((dxPx, dyPx, width, height) => {
+    const view = viewRef.current;
+    const baseXRange = baseXRangeRef.current;
+    setView({
+      ...view,
+      offsetX: view.offsetX - (dxPx / width) * (baseXRange[1] - baseXRange[0]) / view.zoom,
+      offsetY: view.offsetY + (dyPx / height) * (BASE_Y_RANGE[1] - BASE_Y_RANGE[0]) / (view.zoom * view.yStretch),
+    });
+  }, [setView]);
+
+  // 滚轮缩放 (主画布与分屏对比面板共用)：ratioX / ratioY 为指针在画布上的相对位置
+  const handleWheelZoom = useCallback((ratioX, ratioY, e) => {
+    const delta = e.deltaY || e.deltaX;
+    const [factorX, factorY] = axisFactors(delta > 0 ? 0.9 : 1.1, wheelAxes(e, zoomAxes));
+    zoomView(ratioX, ratioY, factorX, factorY);
+  }, [zoomView, zoomAxes]);
+
+  // 平面曲线与傅里叶变换模式下函数图像被自带视图盖住，滚轮不再缩放它
   useEffect(() => {
     const container = containerRef.current;
-    if (!container) return;
+    if (!container || !seriesView) return;
 
     const onWheel = (e) => {
         e.preventDefault();
         const rect = container.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const width = rect.width;
-        
-        const ratio = mouseX / width;
-        const scaleFactor = 0.1;
-        const delta = e.deltaY > 0 ? -scaleFactor : scaleFactor;
-        
-        const currentZoom = zoomRef.current;
-        const newZoom = Math.max(0.1, Math.min(50, currentZoom * (1 + delta)));
-        
-        if (newZoom !== currentZoom) {
-            const baseWidth = BASE_X_RANGE[1] - BASE_X_RANGE[0];
-            const adjustment = (ratio - 0.5) * baseWidth * (1/currentZoom - 1/newZoom);
-            setZoom(newZoom);
-            setOffsetX(prev => prev + adjustment);
-        }
+        handleWheelZoom((e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height, e);
     };
 
     container.addEventListener('wheel', onWheel, { passive: false });
     return () => container.removeEventListener('wheel', onWheel);
-  }, []);
+  }, [handleWheelZoom, seriesView]);
+
+  // 把画布上的矩形 (像素) 放大到整个视图，横纵各自缩放
+  const zoomToBox = (box, width, height) => {
+    const { xMin, xMax, yMin, yMax } = viewRange;
+    const x0 = xMin + (box.left / width) * (xMax - xMin);
+    const x1 = xMin + ((box.left + box.width) / width) * (xMax - xMin);
+    const y1 = yMax - (box.top / height) * (yMax - yMin);
+    const y0 = yMax - ((box.top + box.height) / height) * (yMax - yMin);
+    const baseXRange = baseXRangeRef.current;
+    const newZoomX = clampZoom((baseXRange[1] - baseXRange[0]) / (x1 - x0));
+    const newZoomY = clampZoom((BASE_Y_RANGE[1] - BASE_Y_RANGE[0]) / (y1 - y0));
+    setView({
+      zoom: newZoomX,
+      yStretch: newZoomY / newZoomX,
+      offsetX: (x0 + x1) / 2 - (baseXRange[0] + baseXRange[1]) / 2,
+      offsetY: (y0 + y1) / 2 - (BASE_Y_RANGE[0] + BASE_Y_RANGE[1]) / 2,
+    });
+  };
 
-  const handleMouseDown = (e) => {
+  // 指针位置 -> 周期内相位 u 与函数值 y
+  const pointerToSketch = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const x = viewRange.xMin + ((e.clientX - rect.left) / rect.width) * (viewRange.xMax - viewRange.xMin);
+    const y = viewRange.yMax - ((e.clientY - rect.top) / rect.height) * (viewRange.yMax - viewRange.yMin);
+    return { u: (x - interval.a) / interval.T, y };
+  };
+
+  // 开始拖动平移 (分屏对比面板上总是平移)
+  const startPan = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
     setIsDragging(true);
     lastMouseX.current = e.clientX;
     lastMouseY.current = e.clientY;
   };
+
+  // 指针事件同时覆盖鼠标与手写笔
+  const handlePointerDown = (e) => {
+    if (sketchActive) {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      const point = pointerToSketch(e);
+      lastSketchPoint.current = point;
+      setSketch(prev => paintSegment(prev, point.u, point.y, point.u, point.y));
+      return;
+    }
+    startPan(e);
+  };
   
-  const handleMouseMove = (e) => {
+  const handlePointerMove = (e) => {
+    const last = lastSketchPoint.current;
+    if (last) {
+      const point = pointerToSketch(e);
+      lastSketchPoint.current = point;
+      setSketch(prev => paintSegment(prev, last.u, last.y, point.u, point.y));
+      return;
+    }
     if (!isDragging) return;
     
     const deltaPxX = e.clientX - lastMouseX.current;
@@ -410,16 +1169,220 @@ export default function FourierApp() {
     lastMouseY.current = e.clientY;
     
     const canvas = canvasRef.current;
-    const rangeWidth = (BASE_X_RANGE[1] - BASE_X_RANGE[0]) / zoom;
-    const deltaX = -(deltaPxX / canvas.width) * rangeWidth;
-    setOffsetX(prev => prev + deltaX);
-
-    const rangeHeight = (BASE_Y_RANGE[1] - BASE_Y_RANGE[0]) / zoom;
-    const deltaY = (deltaPxY / canvas.height) * rangeHeight;
-    setOffsetY(prev => prev + deltaY);
+    panView(deltaPxX, deltaPxY, canvas.clientWidth, canvas.clientHeight);
   };
   
-  const handleMouseUp = () => setIsDragging(false);
+  const handlePointerUp = () => {
+    lastSketchPoint.current = null;
+    setIsDragging(false);
+  };
+
+  // --- 十字准线与探针 ---
+
+  const probesEnabled = seriesView && !sketchActive;
+
+  // 光标处的读数；x 落在跳跃点上 (左右两侧取值不同) 时附带左右极限
+  const evaluateProbe = useCallback((x) => {
+    const f = getOriginalValue(x, waveType);
+    const ready = waveType !== 'custom' || customCoeffs !== null;
+    const s = ready ? getFourierValue(x, waveType, nTerms, summation) : null;
+    const eps = 1e-9 * Math.max(interval.T, Math.abs(x));
+    const left = getOriginalValue(x - eps, waveType);
+    const right = getOriginalValue(x + eps, waveType);
+    return { f, s, jump: Math.abs(left - right) > 1e-6 ? { left, right } : null };
+  }, [getOriginalValue, getFourierValue, waveType, customCoeffs, nTerms, summation, interval]);
+
+  const clientToX = (clientX) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      x: viewRange.xMin + ((clientX - rect.left) / rect.width) * (viewRange.xMax - viewRange.xMin),
+      tolerance: (PROBE_SNAP_PX / rect.width) * (viewRange.xMax - viewRange.xMin),
+    };
+  };
+
+  // 单击：点中已有探针则移除，否则新增一个 (靠近跳跃点时吸附过去，便于观察 S_N 收敛到中点)
+  const toggleProbeAt = (clientX) => {
+    const { x, tolerance } = clientToX(clientX);
+    const hit = probes.find(probe => Math.abs(probe.x - x) < tolerance);
+    if (hit) {
+      setProbes(prev => prev.filter(probe => probe.id !== hit.id));
+      return;
+    }
+    let target = x;
+    let best = tolerance;
+    for (const jump of jumpPoints) {
+      const xb = jump.x + Math.round((x - jump.x) / interval.T) * interval.T;
+      if (Math.abs(xb - x) < best) {
+        best = Math.abs(xb - x);
+        target = xb;
+      }
+    }
+    setProbes(prev => [...prev, { id: nextProbeId.current++, x: target }].slice(-PROBE_LIMIT));
+  };
+
+  // 两根手指的距离与中点 (屏幕坐标)
+  const pinchState = () => {
+    const [p, q] = [...activePointers.current.values()];
+    return { distance: Math.hypot(p.x - q.x, p.y - q.y), centerX: (p.x + q.x) / 2, centerY: (p.y + q.y) / 2 };
+  };
+
+  // 主画布的指针事件：单指 (或鼠标) 平移、手绘或框选，双指捏合缩放，单击放置探针
+  const handleCanvasPointerDown = (e) => {
+    activePointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (activePointers.current.size > 2) return;
+    if (activePointers.current.size === 2) {
+      // 第二根手指按下：放弃单指操作，改为捏合
+      e.currentTarget.setPointerCapture(e.pointerId);
+      pinchRef.current = pinchState();
+      pointerDownRef.current = null;
+      boxStartRef.current = null;
+      setZoomBox(null);
+      handlePointerUp();
+      return;
+    }
+    pointerDownRef.current = { x: e.clientX, y: e.clientY };
+    if (!sketchActive && (boxZoomMode || e.shiftKey)) {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      const rect = containerRef.current.getBoundingClientRect();
+      boxStartRef.current = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      return;
+    }
+    handlePointerDown(e);
+  };
+
+  const handleCanvasPointerMove = (e) => {
+    if (activePointers.current.has(e.pointerId)) {
+      activePointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    }
+    const rect = containerRef.current.getBoundingClientRect();
+
+    // 捏合：随两指中点平移，并以中点为中心按两指距离之比缩放
+    const pinch = pinchRef.current;
+    if (pinch && activePointers.current.size >= 2) {
+      const next = pinchState();
+      panView(next.centerX - pinch.centerX, next.centerY - pinch.centerY, rect.width, rect.height);
+      if (pinch.distance > 0 && next.distance > 0) {
+        const [factorX, factorY] = axisFactors(next.distance / pinch.distance, zoomAxes);
+        zoomView((next.centerX - rect.left) / rect.width, (next.centerY - rect.top) / rect.height, factorX, factorY);
+      }
+      pinchRef.current = next;
+      return;
+    }
+
+    const start = boxStartRef.current;
+    if (start) {
+      const x = Math.max(0, Math.min(rect.width, e.clientX - rect.left));
+      const y = Math.max(0, Math.min(rect.height, e.clientY - rect.top));
+      setZoomBox({ left: Math.min(start.x, x), top: Math.min(start.y, y), width: Math.abs(x - start.x), height: Math.abs(y - start.y) });
+      return;
+    }
+
+    // 触屏没有悬停，拖动只用于平移
+    if (probesEnabled && e.pointerType !== 'touch') setHoverX(clientToX(e.clientX).x);
+    handlePointerMove(e);
+  };
+
+  const handleCanvasPointerUp = (e) => {
+    activePointers.current.delete(e.pointerId);
+    const down = pointerDownRef.current;
+    pointerDownRef.current = null;
+
+    if (pinchRef.current) {
+      if (activePointers.current.size < 2) pinchRef.current = null;
+      return;
+    }
+
+    if (boxStartRef.current) {
+      boxStartRef.current = null;
+      setZoomBox(null);
+      // 太小的矩形当作误触
+      if (zoomBox && zoomBox.width > 8 && zoomBox.height > 8) {
+        const rect = containerRef.current.getBoundingClientRect();
+        zoomToBox(zoomBox, rect.width, rect.height);
+        setBoxZoomMode(false);
+      }
+      return;
+    }
+
+    if (down && probesEnabled && Math.hypot(e.clientX - down.x, e.clientY - down.y) < 4) toggleProbeAt(e.clientX);
+    handlePointerUp();
+  };
+
+  const handleCanvasPointerCancel = (e) => {
+    activePointers.current.delete(e.pointerId);
+    if (activePointers.current.size < 2) pinchRef.current = null;
+    pointerDownRef.current = null;
+    boxStartRef.current = null;
+    setZoomBox(null);
+    handlePointerUp();
+  };
+
+  // --- 键盘快捷键 ---
+  // 方向键平移，+ / − 缩放，[ ] 改变 N (Shift 时步长 10)，空格播放 / 暂停自动演示，0 重置视图
+  // 只在画布获得焦点时响应 (监听挂在画布容器上)，不影响页面其他部分的键盘操作；
+  // 焦点在画布内的输入框中或有对话框打开时不响应，焦点在按钮上时空格仍用于按下按钮；
+  // 平面曲线模式只响应 N 与播放，傅里叶变换模式没有 N 与自动演示，全部不响应
+
+  const handleShortcutRef = useRef(null);
+  handleShortcutRef.current = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (showHelp || imageExportSize || animationExportSize) return;
+    if (waveType === 'transform' || (!seriesView && VIEW_SHORTCUT_KEYS.includes(e.key))) return;
+    const container = containerRef.current;
+    if (!container) return;
+    const { clientWidth: width, clientHeight: height } = container;
+    const step = 0.1;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        panView(width * step, 0, width, height);
+        break;
+      case 'ArrowRight':
+        panView(-width * step, 0, width, height);
+        break;
+      case 'ArrowUp':
+        panView(0, height * step, width, height);
+        break;
+      case 'ArrowDown':
+        panView(0, -height * step, width, height);
+        break;
+      case '+':
+      case '=':
+        zoomView(0.5, 0.5, ...axisFactors(1.25, zoomAxes));
+        break;
+      case '-':
+      case '_':
+        zoomView(0.5, 0.5, ...axisFactors(0.8, zoomAxes));
+        break;
+      case '[':
+      case '{':
+        setNTerms(n => Math.max(1, n - (e.key === '{' ? 10 : 1)));
+        break;
+      case ']':
+      case '}':
+        setNTerms(n => Math.min(MAX_N, n + (e.key === '}' ? 10 : 1)));
+        break;
+      case ' ':
+        if (e.target.closest && e.target.closest('button')) return;
+        togglePlaying();
+        break;
+      case '0':
+        resetView();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const onKeyDown = (e) => handleShortcutRef.current(e);
+    container.addEventListener('keydown', onKeyDown);
+    return () => container.removeEventListener('keydown', onKeyDown);
+  }, []);
 
   // --- 键盘输入逻辑 ---
 
@@ -471,58 +1434,445 @@ export default function FourierApp() {
     if (inputRef.current) inputRef.current.focus();
   };
 
+  // --- 分段函数编辑 ---
+
+  const updatePiece = (index, field, value) => {
+    setPieces(prev => prev.map((piece, i) => (i === index ? { ...piece, [field]: value } : piece)));
+  };
+
+  const addPiece = () => {
+    setPieces(prev => {
+      const last = prev[prev.length - 1];
+      return [...prev, { start: last ? last.end : '-PI', end: 'PI', expr: '0' }];
+    });
+  };
+
+  const removePiece = (index) => {
+    setPieces(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // --- 导入采样数据 ---
+
+  // 周期区间设为 [t0, t0 + period)；period 为空时整段数据作为一个周期
+  const applyDataPeriod = (data, period) => {
+    const t0 = data.t[0];
+    setIntervalStart(formatBound(t0));
+    setIntervalEnd(formatBound(period ? t0 + period : data.t[data.t.length - 1]));
+  };
+
+  const handleDataFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const isWav = /\.wav$/i.test(file.name);
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { data, error } = isWav ? parseWav(reader.result) : parseCsv(reader.result);
+      if (error) {
+        setSampleError(error);
+        return;
+      }
+      const period = detectPeriod(data);
+      setSampleData({ name: file.name, data, period });
+      setSampleError(null);
+      applyDataPeriod(data, period);
+    };
+    reader.onerror = () => setSampleError('读取文件失败');
+    if (isWav) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  };
+
+  // --- 平面曲线：导入 SVG ---
+
+  const loadCurve = (name, { subpaths, error }) => {
+    if (error) {
+      setCurveError(error.message);
+      return;
+    }
+    setImportedCurve({ name, points: joinSubpaths(subpaths) });
+    setCurveError(null);
+  };
+
+  const handleSvgFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => loadCurve(file.name, parseSvgDocument(reader.result));
+    reader.onerror = () => setCurveError('读取文件失败');
+    reader.readAsText(file);
+  };
+
+  const selectCurveShape = (id) => {
+    setCurveShape(id);
+    setImportedCurve(null);
+    setCurveError(null);
+  };
+
   useEffect(() => {
     const handleResize = () => {
         if (canvasRef.current && canvasRef.current.parentElement) {
-            canvasRef.current.width = canvasRef.current.parentElement.clientWidth;
-            canvasRef.current.height = canvasRef.current.parentElement.clientHeight;
+            const dpr = window.devicePixelRatio || 1;
+            canvasRef.current.width = Math.round(canvasRef.current.parentElement.clientWidth * dpr);
+            canvasRef.current.height = Math.round(canvasRef.current.parentElement.clientHeight * dpr);
             draw();
         }
     };
-    window.addEventListener('resize', handleResize);
+    // 监听容器尺寸 (窗口缩放、频谱面板开关都会改变画布大小)
+    const observer = new ResizeObserver(handleResize);
+    if (containerRef.current) observer.observe(containerRef.current);
     handleResize();
-    return () => window.removeEventListener('resize', handleResize);
+    return () => observer.disconnect();
   }, [draw]);
 
   useEffect(() => {
     draw();
   }, [draw]);
 
-  // --- 自动演示动画循环 (增加动态步长) ---
+  // --- 自动演示：按时间轴逐帧推进 N ---
+  useEffect(() => {
+    if (!isPlaying) return;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const current = timelineRef.current;
+      const { phase, done } = advancePhase(playPhase.current, (now - last) / 1000, current);
+      last = now;
+      playPhase.current = phase;
+      setNTerms(timelineN(phaseProgress(phase, current.loop), current));
+      if (done) {
+        setIsPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying]);
+
+  // 开始播放时从当前 N 所在的位置继续 (暂停期间手动改过 N 则跳到该 N 第一次出现处)
+  const togglePlaying = () => {
+    if (!isPlaying && timelineN(phaseProgress(playPhase.current, timeline.loop), timeline) !== nTerms) {
+      playPhase.current = timelineProgress(nTerms, timeline);
+    }
+    if (!isPlaying && timeline.loop === 'once' && playPhase.current >= 1) playPhase.current = 0;
+    setIsPlaying(!isPlaying);
+  };
+
+  // 拖动进度条：progress ∈ [0, 1]
+  const scrubTimeline = (progress) => {
+    playPhase.current = progress;
+    setNTerms(timelineN(progress, timeline));
+  };
+
+  const updateTimeline = (key, value) => setTimeline(prev => ({ ...prev, [key]: value }));
+
+  // --- 傅里叶变换：自动拉长周期 (log₂(T/w) 匀速增加，到上限后停止) ---
+  useEffect(() => {
+    if (!periodStretching || waveType !== 'transform') return;
+    let frame;
+    let last = performance.now();
+    // 从开始播放时的周期出发 (播放期间拖动滑块会先停止播放)
+    let ratioLog = Math.log2(periodRatio);
+    const tick = (now) => {
+      ratioLog = Math.min(PERIOD_RATIO_LOG_MAX, ratioLog + PERIOD_STRETCH_RATE * (now - last) / 1000);
+      last = now;
+      setPeriodRatio(2 ** ratioLog);
+      if (ratioLog >= PERIOD_RATIO_LOG_MAX) {
+        setPeriodStretching(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [periodStretching, waveType]);
+
+  // 已经拉到最长时从 T = w 重新开始
+  const togglePeriodStretch = () => {
+    if (!periodStretching && Math.log2(periodRatio) >= PERIOD_RATIO_LOG_MAX - 1e-9) setPeriodRatio(1);
+    setPeriodStretching(!periodStretching);
+  };
+
+  const resetView = () => setView(DEFAULT_VIEW);
+
+  // --- 分享链接 ---
+
+  const permalinkHash = buildPermalink({
+    waveType, ...waveSettings, curveShape, transformPulse, transformWidth, periodRatio, scaleByPeriod, nTerms, customExpr, pieces, intervalStart, intervalEnd,
+    customMode: customMode === 'piecewise' ? 'piecewise' : 'expr',
+    summation, showRawOverlay, showGibbs,
+    showSpectrum, spectrumMode, spectrumScale,
+    showConvergence, showPointwiseError, harmonicView,
+    probes: probes.map(probe => probe.x),
+    timelineStart: timeline.start, timelineEnd: timeline.end, timelineDuration: timeline.duration,
+    timelineSchedule: timeline.schedule, timelineLoop: timeline.loop,
+    showEpicycles, epicycleSpeed, zoom, yStretch, offsetX, offsetY,
+  }, PERMALINK_FIELDS);
+
+  const permalinkUrl = () => {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}${permalinkHash ? `#${permalinkHash}` : ''}`;
+  };
+
+  // 用 replaceState 更新地址栏，不产生新的历史记录
   useEffect(() => {
-    if (isPlaying) {
-      animationRef.current = setInterval(() => {
-        setNTerms(prev => {
-          if (prev >= 100) return 1;
-          
-          // 动态加速：
-          // N < 30: 慢速展示 (步长1)
-          // N >= 30: 快速展示 (步长2)
-          // N >= 70: 极速展示 (步长3)
-          let step = 1;
-          if (prev >= 70) step = 3;
-          else if (prev >= 30) step = 2;
-          
-          return Math.min(100, prev + step);
-        });
-      }, 50);
+    const timer = setTimeout(() => {
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, '', `${pathname}${search}${permalinkHash ? `#${permalinkHash}` : ''}`);
+    }, PERMALINK_DELAY);
+    return () => clearTimeout(timer);
+  }, [permalinkHash]);
+
+  // 在当前页面粘贴另一个链接 (只改变 hash) 时应用其中的状态
+  const applyPermalink = useCallback((state) => {
+    setWaveType(state.waveType);
+    setWaveSettings(Object.fromEntries(WAVE_PARAM_CONTROLS.map(control => [control.key, state[control.key]])));
+    setCurveShape(state.curveShape);
+    setImportedCurve(null);
+    setTransformPulse(state.transformPulse);
+    setTransformWidth(state.transformWidth);
+    setPeriodRatio(state.periodRatio);
+    setScaleByPeriod(state.scaleByPeriod);
+    setNTerms(state.nTerms);
+    setCustomMode(state.customMode);
+    setCustomExpr(state.customExpr);
+    setPieces(state.pieces);
+    setSummation(state.summation);
+    setShowRawOverlay(state.showRawOverlay);
+    setShowGibbs(state.showGibbs);
+    setShowSpectrum(state.showSpectrum);
+    setSpectrumMode(state.spectrumMode);
+    setSpectrumScale(state.spectrumScale);
+    setShowConvergence(state.showConvergence);
+    setShowPointwiseError(state.showPointwiseError);
+    setHarmonicView(state.harmonicView);
+    setProbes(state.probes.map(x => ({ id: nextProbeId.current++, x })));
+    setTimeline({
+      start: state.timelineStart,
+      end: state.timelineEnd,
+      duration: state.timelineDuration,
+      schedule: state.timelineSchedule,
+      loop: state.timelineLoop,
+    });
+    setShowEpicycles(state.showEpicycles);
+    setEpicycleSpeed(state.epicycleSpeed);
+
+    const view = { zoom: state.zoom, yStretch: state.yStretch, offsetX: state.offsetX, offsetY: state.offsetY };
+    const next = parseInterval(state.intervalStart, state.intervalEnd).interval || DEFAULT_INTERVAL;
+    setIntervalStart(state.intervalStart);
+    setIntervalEnd(state.intervalEnd);
+    if (next.a !== interval.a || next.b !== interval.b) {
+      pendingViewRef.current = view;
     } else {
-      clearInterval(animationRef.current);
+      setView(view);
     }
-    return () => clearInterval(animationRef.current);
-  }, [isPlaying]);
+  }, [interval, setView]);
+
+  useEffect(() => {
+    const onHashChange = () => applyPermalink(parsePermalink(window.location.hash, PERMALINK_FIELDS));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [applyPermalink]);
 
-  const resetView = () => {
-      setZoom(1);
-      setOffsetX(0);
-      setOffsetY(0);
+  // 剪贴板不可用 (非安全上下文、权限被拒、页面没有焦点) 时弹出链接，由用户手动复制
+  const copyPermalink = () => {
+    const url = permalinkUrl();
+    const copyManually = () => window.prompt('无法自动复制，请手动复制分享链接：', url);
+    if (!navigator.clipboard) {
+      copyManually();
+      return;
+    }
+    navigator.clipboard.writeText(url).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    }).catch(copyManually);
   };
 
-  const downloadImage = () => {
-    const link = document.createElement('a');
-    link.download = `fourier_N${nTerms}.png`;
-    link.href = canvasRef.current.toDataURL();
-    link.click();
+  // 声音合成：在一个周期上等距取 count 个样本
+  // 去掉直流分量，并按原函数的峰值归一化，使原函数与 S_N 的音量可以直接比较
+  const synthesizePeriod = useCallback((source, count) => {
+    const original = new Float32Array(count);
+    const out = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      const x = interval.a + (i / count) * interval.T;
+      original[i] = getOriginalValue(x, waveType);
+      out[i] = source === 'original' ? original[i] : getFourierValue(x, waveType, nTerms, summation);
+    }
+    const mean = original.reduce((sum, v) => sum + v, 0) / count;
+    const peak = original.reduce((m, v) => Math.max(m, Math.abs(v - mean)), 0);
+    const gain = peak > 1e-12 ? 0.8 / peak : 0;
+    for (let i = 0; i < count; i++) {
+      out[i] = Math.max(-1, Math.min(1, (out[i] - mean) * gain));
+    }
+    return out;
+  }, [interval, getOriginalValue, getFourierValue, waveType, nTerms, summation]);
+
+  // --- 数据导出 ---
+
+  // 当前近似式：只含实际参与求和的谐波，权重与当前求和方法一致
+  const exportSeries = useMemo(() => {
+    if (!harmonicCoeffs) return null;
+    const customNames = {
+      expr: `f(x) = ${customExpr}`,
+      piecewise: '分段函数',
+      data: sampleData ? sampleData.name : '导入数据',
+      sketch: '手绘波形',
+    };
+    const terms = [];
+    const limit = Math.min(highestIncluded, harmonicCoeffs.an.length);
+    for (let n = 1; n <= limit; n++) {
+      if (!isHarmonicIncluded(n)) continue;
+      terms.push({
+        n,
+        a: harmonicCoeffs.an[n - 1],
+        b: harmonicCoeffs.bn[n - 1],
+        weight: summationWeight(summation, n, highestIncluded),
+      });
+    }
+    return {
+      name: waveType === 'custom' ? customNames[customMode] : WAVE_TYPES.find(type => type.id === waveType).label,
+      N: nTerms,
+      interval: { a: interval.a, b: interval.b, T: interval.T },
+      omega: interval.omega,
+      origin: waveType === 'custom' ? 0 : interval.center,
+      summation,
+      a0: harmonicCoeffs.a0,
+      terms,
+    };
+  }, [harmonicCoeffs, highestIncluded, isHarmonicIncluded, summation, waveType, customMode, customExpr, sampleData, nTerms, interval]);
+
+  // 一个周期 [a, b) 上的等距采样
+  const getExportSamples = useCallback(() => {
+    const xs = new Float64Array(EXPORT_SAMPLES);
+    const fs = new Float64Array(EXPORT_SAMPLES);
+    const ss = new Float64Array(EXPORT_SAMPLES);
+    for (let i = 0; i < EXPORT_SAMPLES; i++) {
+      xs[i] = interval.a + (i / EXPORT_SAMPLES) * interval.T;
+      fs[i] = getOriginalValue(xs[i], waveType);
+      ss[i] = getFourierValue(xs[i], waveType, nTerms, summation);
+    }
+    return { xs, fs, ss };
+  }, [interval, getOriginalValue, getFourierValue, waveType, nTerms, summation]);
+
+  // --- 多曲线对比 ---
+
+  const canPin = seriesView && exportSeries !== null && pinned.length < PIN_LIMIT;
+
+  // 固定当前配置：保存原函数与逼近式的求值函数 (闭包里是此刻的系数与参数) 以及误差
+  const pinCurrent = () => {
+    if (!canPin) return;
+    const settings = BUILTIN_WAVEFORMS.includes(waveType)
+      ? WAVE_PARAM_CONTROLS
+          .filter(control => (!control.types || control.types.includes(waveType)) && waveSettings[control.key] !== control.default)
+          .map(control => `${control.label} ${control.format(waveSettings[control.key])}`)
+      : [];
+    const parts = [exportSeries.name, `N = ${nTerms}`];
+    if (summation !== 'partial') parts.push(SUMMATION_METHODS.find(m => m.id === summation).label);
+    if (intervalStart !== INTERVAL_PRESETS[0].start || intervalEnd !== INTERVAL_PRESETS[0].end) {
+      parts.push(`[${intervalStart}, ${intervalEnd})`);
+    }
+    const type = waveType;
+    const N = nTerms;
+    const method = summation;
+    setPinned(prev => [...prev, {
+      id: nextPinId.current++,
+      label: [...parts, ...settings].join(' · '),
+      color: PIN_COLORS.find(color => !prev.some(entry => entry.color === color)),
+      original: (x) => getOriginalValue(x, type),
+      approx: (x) => getFourierValue(x, type, N, method),
+      error: errorStats.current,
+    }]);
+  };
+
+  const removePinned = useCallback((id) => {
+    setPinned(prev => prev.filter(entry => entry.id !== id));
+  }, []);
+
+  // 导出图像：在场景之上叠加图例、坐标轴标签与说明文字
+  const renderFigure = useCallback((ctx, width, plotHeight, { background, legend, axisLabels, caption }) => {
+    if (background && caption) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, plotHeight, width, CAPTION_HEIGHT);
+    }
+    renderScene(ctx, width, plotHeight, { background, interactive: false });
+
+    if (legend) {
+      const method = SUMMATION_METHODS.find(m => m.id === summation);
+      const items = [{ label: '原函数 f(x)', color: '#334155', lineWidth: 3 }];
+      if (harmonicView !== 'none' && phasors && phasors.terms.length > 0) {
+        items.push({ label: harmonicView === 'terms' ? '各次谐波' : '部分和 S_1 … S_N', color: harmonicColor(0, 0.6), lineWidth: 1 });
+      }
+      if (summation !== 'partial' && showRawOverlay) {
+        items.push({ label: '部分和 S_N (未加权)', color: 'rgba(148, 163, 184, 0.9)', lineWidth: 1.5, dash: [6, 4] });
+      }
+      items.push({ label: summation === 'partial' ? `部分和 S_N (N = ${nTerms})` : `${method.label} (N = ${nTerms})`, color: '#6366f1', lineWidth: 2 });
+      if (compareMode === 'overlay') {
+        for (const entry of pinned) items.push({ label: entry.label, color: entry.color, lineWidth: 1.75 });
+      }
+      if (showPointwiseError) {
+        items.push({ label: '|f − S_N|', color: 'rgba(239, 68, 68, 0.8)', lineWidth: 1.5 });
+      }
+      if (showGibbs && gibbsAnalysis.length > 0) {
+        items.push({ label: '吉布斯过冲', color: '#d97706', lineWidth: 1, dash: [3, 3] });
+      }
+      drawLegend(ctx, items, width);
+    }
+
+    if (axisLabels) {
+      const { xMin, xMax, yMin, yMax } = viewRange;
+      drawAxisLabels(ctx, {
+        width,
+        height: plotHeight,
+        xAxisY: plotHeight - ((0 - yMin) / (yMax - yMin)) * plotHeight,
+        yAxisX: ((0 - xMin) / (xMax - xMin)) * width,
+        yLabel: 'f(x)',
+      });
+    }
+
+    if (caption) {
+      const parts = [];
+      if (exportSeries) parts.push(exportSeries.name);
+      parts.push(`N = ${nTerms}`);
+      if (summation !== 'partial') parts.push(SUMMATION_METHODS.find(m => m.id === summation).label);
+      parts.push(`RMS 误差 ${errorStats.current.rms.toExponential(3)}`);
+      parts.push(`最大误差 ${errorStats.current.linf.toExponential(3)}`);
+      drawCaption(ctx, parts.join('  ·  '), width, plotHeight);
+    }
+  }, [renderScene, summation, harmonicView, phasors, showRawOverlay, nTerms, compareMode, pinned, showPointwiseError, showGibbs, gibbsAnalysis, viewRange, exportSeries, errorStats]);
+
+  const openImageExport = () => {
+    const container = containerRef.current;
+    if (!container) return;
+    setImageExportSize({ width: container.clientWidth, height: container.clientHeight });
+  };
+
+  // 导出动画：逐帧把 N 设为时间轴上的值，等 React 提交后用最新的 renderFigure 画出这一帧
+  const renderFigureRef = useRef(renderFigure);
+  renderFigureRef.current = renderFigure;
+
+  const renderAnimationFrame = useCallback(async (n, ctx, width, plotHeight, options) => {
+    setNTerms(n);
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    renderFigureRef.current(ctx, width, plotHeight, options);
+  }, []);
+
+  const openAnimationExport = () => {
+    const container = containerRef.current;
+    if (!container) return;
+    setIsPlaying(false);
+    exportNRef.current = nTerms;
+    setAnimationExportSize({ width: container.clientWidth, height: container.clientHeight });
+  };
+
+  // 由对话框在导出任务结束后调用 (不在关闭时同步恢复，否则仍在渲染的帧会再次改写 N)
+  const restoreAnimationFrame = useCallback(() => {
+    if (exportNRef.current !== null) setNTerms(exportNRef.current);
+  }, []);
+
+  const closeAnimationExport = () => {
+    setAnimationExportSize(null);
+    exportNRef.current = null;
   };
 
   // --- 界面 ---
@@ -550,17 +1900,12 @@ export default function FourierApp() {
             {/* 1. Waveform Selection */}
             <div>
                 <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">函数类型</label>
-                <div className="grid grid-cols-2 gap-2">
-                    {[
-                        { id: 'square', label: '方波' },
-                        { id: 'triangle', label: '三角波' },
-                        { id: 'sawtooth', label: '锯齿波' },
-                        { id: 'custom', label: '自定义' }
-                    ].map(type => (
+                <div className="grid grid-cols-3 gap-2">
+                    {WAVE_TYPES.map(type => (
                         <button
                         key={type.id}
                         onClick={() => setWaveType(type.id)}
-                        className={`px-3 py-2 text-sm font-medium rounded-lg transition-all border ${
+                        className={`px-2 py-2 text-sm font-medium rounded-lg transition-all border ${
                             waveType === type.id 
                             ? 'bg-indigo-50 border-indigo-200 text-indigo-700 shadow-sm' 
                             : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'
@@ -572,6 +1917,45 @@ export default function FourierApp() {
                 </div>
             </div>
 
+            {/* 1.2 内置波形参数：f = 偏移 + A · 波形(相位 − 相移) */}
+            {BUILTIN_WAVEFORMS.includes(waveType) && (
+                <div className="animate-fadeIn space-y-1.5">
+                    <div className="flex items-center justify-between">
+                        <label className="text-xs font-bold text-slate-400 uppercase tracking-wider">波形参数</label>
+                        <button
+                            onClick={() => setWaveSettings(DEFAULT_WAVE_SETTINGS)}
+                            className="text-[10px] text-slate-400 hover:text-indigo-600 flex items-center gap-1 transition-colors"
+                            title="恢复默认参数"
+                        >
+                            <RefreshCw className="w-3 h-3" /> 默认
+                        </button>
+                    </div>
+                    {WAVE_PARAM_CONTROLS.filter(control => !control.types || control.types.includes(waveType)).map(control => (
+                        <div key={control.key} className="flex items-center gap-2">
+                            <span className="text-[11px] text-slate-500 w-16 shrink-0">{control.label}</span>
+                            <input
+                                type="range"
+                                min={control.min}
+                                max={control.max}
+                                step={control.step}
+                                value={waveSettings[control.key]}
+                                onChange={(e) => {
+                                    const value = parseFloat(e.target.value);
+                                    setWaveSettings(settings => ({ ...settings, [control.key]: value }));
+                                }}
+                                className="flex-1 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+                            />
+                            <span className="text-[10px] text-slate-500 font-mono w-10 text-right">{control.format(waveSettings[control.key])}</span>
+                        </div>
+                    ))}
+                    <p className="text-[10px] text-slate-400">
+                        {hasOddHarmonicsOnly(waveType, waveParams)
+                            ? '只含奇次谐波，N 项对应最高 2N − 1 次谐波。'
+                            : '系数为解析式，N 项对应第 1 ~ N 次谐波。'}
+                    </p>
+                </div>
+            )}
+
             {/* 1.5 Recommended Functions (New) */}
             <div>
                 <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block flex items-center gap-1">
@@ -583,6 +1967,7 @@ export default function FourierApp() {
                             key={rec.label}
                             onClick={() => {
                                 setCustomExpr(rec.expr);
+                                setCustomMode('expr');
                                 setWaveType('custom');
                             }}
                             className="group relative px-3 py-2 text-xs font-medium rounded-lg bg-slate-50 border border-slate-200 text-slate-600 hover:bg-indigo-50 hover:border-indigo-200 hover:text-indigo-700 transition-all text-left"
@@ -594,88 +1979,729 @@ export default function FourierApp() {
                 </div>
             </div>
 
+            {/* 我的函数库 */}
+            <FunctionLibrary
+                currentExpr={customExpr}
+                canSave={waveType === 'custom' && customMode === 'expr' && !compiledExpr.error && customExpr.trim() !== ''}
+                onSelect={(entry) => {
+                    setCustomExpr(entry.expr);
+                    setCustomMode('expr');
+                    setWaveType('custom');
+                }}
+            />
+
             {/* Custom Input & Math Keypad */}
             {waveType === 'custom' && (
                 <div className="animate-fadeIn">
-                    <div className="relative group mb-2">
-                        <input 
-                            ref={inputRef}
-                            type="text" 
-                            value={customExpr}
-                            onChange={(e) => setCustomExpr(e.target.value)}
-                            className="w-full pl-3 pr-9 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-mono text-slate-700 bg-slate-50 focus:bg-white transition-colors"
-                            placeholder="输入表达式..."
-                        />
-                        <Calculator className="w-4 h-4 text-slate-400 absolute right-3 top-2.5" />
+                    {/* 单一表达式 / 分段函数 切换 */}
+                    <div className="grid grid-cols-2 gap-1 p-1 mb-2 bg-slate-100 rounded-lg">
+                        {[
+                            { id: 'expr', label: '单一表达式' },
+                            { id: 'piecewise', label: '分段函数' },
+                            { id: 'data', label: '导入数据' },
+                            { id: 'sketch', label: '手绘' }
+                        ].map(mode => (
+                            <button
+                                key={mode.id}
+                                onClick={() => setCustomMode(mode.id)}
+                                className={`py-1 text-xs font-medium rounded-md transition-all ${
+                                    customMode === mode.id
+                                    ? 'bg-white text-indigo-700 shadow-sm'
+                                    : 'text-slate-500 hover:text-slate-700'
+                                }`}
+                            >
+                                {mode.label}
+                            </button>
+                        ))}
                     </div>
+
+                    {customMode === 'expr' ? (
+                        <>
+                            <div className="relative group mb-2">
+                                <input 
+                                    ref={inputRef}
+                                    type="text" 
+                                    value={customExpr}
+                                    onChange={(e) => setCustomExpr(e.target.value)}
+                                    className={`w-full pl-3 pr-9 py-2 border rounded-lg focus:ring-2 outline-none text-sm font-mono text-slate-700 bg-slate-50 focus:bg-white transition-colors ${
+                                        compiledExpr.error
+                                        ? 'border-red-300 focus:ring-red-400'
+                                        : 'border-slate-300 focus:ring-indigo-500'
+                                    }`}
+                                    placeholder="输入表达式..."
+                                />
+                                <Calculator className="w-4 h-4 text-slate-400 absolute right-3 top-2.5" />
+                            </div>
+
+                            {/* 语法错误提示 (带位置标记) */}
+                            {compiledExpr.error && (
+                                <div className="mb-2 px-3 py-2 bg-red-50 border border-red-200 rounded-lg text-[11px] text-red-700">
+                                    <p className="font-medium">
+                                        第 {compiledExpr.error.position + 1} 个字符：{compiledExpr.error.message}
+                                    </p>
+                                    <pre className="mt-1 font-mono text-[11px] leading-tight text-red-600 whitespace-pre overflow-x-auto">
+                                        {customExpr}{'\n'}{' '.repeat(compiledExpr.error.position)}^
+                                    </pre>
+                                </div>
+                            )}
                     
-                    {/* Math Keypad */}
-                    <div className="grid grid-cols-4 gap-1.5 p-2 bg-slate-100 rounded-xl border border-slate-200">
-                        {['x', 'sin(', 'cos(', 'abs(', 'PI', '(', ')', 'pow(', 'sqrt(', '+', '-', '*', '/'].map((token) => (
-                             <button
-                                key={token}
-                                onClick={() => handleInsertToken(token)}
-                                className="bg-white border border-slate-300 rounded hover:bg-indigo-50 hover:border-indigo-200 active:scale-95 transition-all text-xs font-mono font-medium py-2 text-slate-700 shadow-sm"
-                             >
-                                {token.replace('(', '')}
-                             </button>
+                            {/* Math Keypad */}
+                            <div className="grid grid-cols-4 gap-1.5 p-2 bg-slate-100 rounded-xl border border-slate-200">
+                                {['x', 'sin(', 'cos(', 'abs(', 'PI', '(', ')', 'pow(', 'sqrt(', '+', '-', '*', '/'].map((token) => (
+                                     <button
+                                        key={token}
+                                        onClick={() => handleInsertToken(token)}
+                                        className="bg-white border border-slate-300 rounded hover:bg-indigo-50 hover:border-indigo-200 active:scale-95 transition-all text-xs font-mono font-medium py-2 text-slate-700 shadow-sm"
+                                     >
+                                        {token.replace('(', '')}
+                                     </button>
+                                ))}
+                                <button onClick={handleBackspace} className="bg-slate-200 border border-slate-300 rounded hover:bg-red-50 hover:text-red-600 hover:border-red-200 transition-all flex items-center justify-center shadow-sm">
+                                    <Delete className="w-4 h-4" />
+                                </button>
+                                 <button onClick={handleClear} className="col-span-2 bg-slate-200 border border-slate-300 rounded hover:bg-red-50 hover:text-red-600 hover:border-red-200 transition-all text-xs font-bold text-slate-600 shadow-sm">
+                                    清空
+                                </button>
+                            </div>
+                            <p className="text-[10px] text-slate-400 mt-1 text-center">点击按钮插入符号</p>
+                        </>
+                    ) : customMode === 'sketch' ? (
+                        <div className="space-y-2">
+                            <div className="grid grid-cols-2 gap-1 p-1 bg-slate-100 rounded-lg">
+                                {[
+                                    { id: 'draw', label: '绘制', icon: PenTool },
+                                    { id: 'pan', label: '平移视图', icon: Hand }
+                                ].map(tool => (
+                                    <button
+                                        key={tool.id}
+                                        onClick={() => setSketchTool(tool.id)}
+                                        className={`flex items-center justify-center py-1 text-xs font-medium rounded-md transition-all ${
+                                            sketchTool === tool.id
+                                            ? 'bg-white text-indigo-700 shadow-sm'
+                                            : 'text-slate-500 hover:text-slate-700'
+                                        }`}
+                                    >
+                                        <tool.icon className="w-3.5 h-3.5 mr-1" /> {tool.label}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="grid grid-cols-2 gap-1.5">
+                                <button
+                                    onClick={() => setSketch(prev => smoothSketch(prev))}
+                                    disabled={isSketchEmpty(sketch)}
+                                    className="flex items-center justify-center py-1.5 text-[11px] font-medium rounded-md bg-white border border-slate-200 text-slate-600 hover:bg-indigo-50 hover:text-indigo-700 disabled:opacity-40 disabled:pointer-events-none transition-colors"
+                                >
+                                    <Waves className="w-3.5 h-3.5 mr-1" /> 平滑
+                                </button>
+                                <button
+                                    onClick={() => setSketch(createSketch())}
+                                    disabled={isSketchEmpty(sketch)}
+                                    className="flex items-center justify-center py-1.5 text-[11px] font-medium rounded-md bg-white border border-slate-200 text-slate-600 hover:bg-red-50 hover:text-red-600 disabled:opacity-40 disabled:pointer-events-none transition-colors"
+                                >
+                                    <Trash2 className="w-3.5 h-3.5 mr-1" /> 清空
+                                </button>
+                            </div>
+                            <p className="text-[10px] text-slate-400 text-center">
+                                在画布高亮的周期内按住拖动绘制，重新画过某一段即可覆盖；未画到的部分按两侧线性连接
+                            </p>
+                        </div>
+                    ) : customMode === 'data' ? (
+                        <div className="space-y-2">
+                            <label className="w-full flex items-center justify-center py-2 rounded-lg text-xs font-medium text-slate-600 bg-white border border-dashed border-slate-300 hover:bg-indigo-50 hover:border-indigo-200 hover:text-indigo-700 transition-all cursor-pointer">
+                                <Upload className="w-3.5 h-3.5 mr-1.5" /> 选择 CSV / WAV 文件
+                                <input type="file" accept=".csv,.txt,.wav" onChange={handleDataFile} className="hidden" />
+                            </label>
+
+                            {sampleError && (
+                                <div className="px-3 py-2 bg-red-50 border border-red-200 rounded-lg text-[11px] text-red-700">
+                                    {sampleError}
+                                </div>
+                            )}
+
+                            {sampleData ? (
+                                <div className="p-2 bg-slate-50 rounded-lg border border-slate-200 space-y-1.5">
+                                    <p className="text-xs font-medium text-slate-700 truncate" title={sampleData.name}>{sampleData.name}</p>
+                                    <p className="text-[10px] text-slate-500 font-mono">
+                                        {sampleData.data.t.length} 个样本，t ∈ [{formatBound(sampleData.data.t[0])}, {formatBound(sampleData.data.t[sampleData.data.t.length - 1])}]
+                                    </p>
+                                    <p className="text-[10px] text-slate-500 font-mono">
+                                        检测到的周期：{sampleData.period ? formatBound(sampleData.period) : '未检测到'}
+                                    </p>
+                                    <div className="grid grid-cols-2 gap-1.5">
+                                        <button
+                                            onClick={() => applyDataPeriod(sampleData.data, sampleData.period)}
+                                            disabled={!sampleData.period}
+                                            className="py-1 text-[11px] font-medium rounded-md bg-white border border-slate-200 text-slate-600 hover:bg-indigo-50 hover:text-indigo-700 disabled:opacity-40 disabled:pointer-events-none transition-colors"
+                                        >
+                                            使用检测周期
+                                        </button>
+                                        <button
+                                            onClick={() => applyDataPeriod(sampleData.data, null)}
+                                            className="py-1 text-[11px] font-medium rounded-md bg-white border border-slate-200 text-slate-600 hover:bg-indigo-50 hover:text-indigo-700 transition-colors"
+                                        >
+                                            整段作为一个周期
+                                        </button>
+                                    </div>
+                                </div>
+                            ) : (
+                                <p className="text-[10px] text-slate-400 text-center">CSV 每行 "t, y" 或单列 y；WAV 的 t 以秒为单位</p>
+                            )}
+                            <p className="text-[10px] text-slate-400 text-center">在下方“周期区间”中可手动调整所取的一个周期，系数由 FFT 计算</p>
+                        </div>
+                    ) : (
+                        <div className="space-y-2">
+                            {pieces.map((piece, index) => {
+                                const error = compiledPieces.errors[index];
+                                const fieldClass = (field) => `px-2 py-1 border rounded-md outline-none text-xs font-mono text-slate-700 bg-slate-50 focus:bg-white focus:ring-2 transition-colors ${
+                                    error && error.field === field
+                                    ? 'border-red-300 focus:ring-red-400'
+                                    : 'border-slate-300 focus:ring-indigo-500'
+                                }`;
+                                return (
+                                    <div key={index} className="p-2 bg-slate-50 rounded-lg border border-slate-200 space-y-1.5">
+                                        <div className="flex items-center gap-1">
+                                            <input
+                                                type="text"
+                                                value={piece.start}
+                                                onChange={(e) => updatePiece(index, 'start', e.target.value)}
+                                                className={`w-16 ${fieldClass('start')}`}
+                                            />
+                                            <span className="text-[11px] text-slate-500 font-mono whitespace-nowrap">≤ x &lt;</span>
+                                            <input
+                                                type="text"
+                                                value={piece.end}
+                                                onChange={(e) => updatePiece(index, 'end', e.target.value)}
+                                                className={`w-16 ${fieldClass('end')}`}
+                                            />
+                                            <button
+                                                onClick={() => removePiece(index)}
+                                                className="ml-auto p-1 text-slate-400 hover:text-red-600 transition-colors"
+                                                title="删除此段"
+                                            >
+                                                <Trash2 className="w-3.5 h-3.5" />
+                                            </button>
+                                        </div>
+                                        <input
+                                            type="text"
+                                            value={piece.expr}
+                                            onChange={(e) => updatePiece(index, 'expr', e.target.value)}
+                                            className={`w-full ${fieldClass('expr')}`}
+                                            placeholder="该区间上的表达式"
+                                        />
+                                        {error && (
+                                            <p className="text-[10px] text-red-600">
+                                                {error.field === 'expr' ? `第 ${error.position + 1} 个字符：` : ''}{error.message}
+                                            </p>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                            <button
+                                onClick={addPiece}
+                                className="w-full flex items-center justify-center py-1.5 rounded-lg text-xs font-medium text-slate-600 bg-white border border-dashed border-slate-300 hover:bg-indigo-50 hover:border-indigo-200 hover:text-indigo-700 transition-all"
+                            >
+                                <Plus className="w-3.5 h-3.5 mr-1" /> 添加分段
+                            </button>
+                            <p className="text-[10px] text-slate-400 text-center">区间为 [左, 右)，未覆盖的部分取 0，按所选周期延拓</p>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* 平面曲线：内置形状与 SVG 导入 */}
+            {waveType === 'curve' && (
+                <div className="animate-fadeIn space-y-2">
+                    <label className="text-xs font-bold text-slate-400 uppercase tracking-wider block flex items-center gap-1">
+                        <Shapes className="w-3 h-3 text-indigo-500" /> 曲线形状
+                    </label>
+                    <div className="grid grid-cols-3 gap-1.5">
+                        {CURVE_SHAPES.map(shape => (
+                            <button
+                                key={shape.id}
+                                onClick={() => selectCurveShape(shape.id)}
+                                className={`py-1.5 text-xs font-medium rounded-lg border transition-all ${
+                                    !importedCurve && curveShape === shape.id
+                                    ? 'bg-indigo-50 border-indigo-200 text-indigo-700 shadow-sm'
+                                    : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'
+                                }`}
+                            >
+                                {shape.label}
+                            </button>
                         ))}
-                        <button onClick={handleBackspace} className="bg-slate-200 border border-slate-300 rounded hover:bg-red-50 hover:text-red-600 hover:border-red-200 transition-all flex items-center justify-center shadow-sm">
-                            <Delete className="w-4 h-4" />
-                        </button>
-                         <button onClick={handleClear} className="col-span-2 bg-slate-200 border border-slate-300 rounded hover:bg-red-50 hover:text-red-600 hover:border-red-200 transition-all text-xs font-bold text-slate-600 shadow-sm">
-                            清空
+                    </div>
+
+                    <label className="w-full flex items-center justify-center py-2 rounded-lg text-xs font-medium text-slate-600 bg-white border border-dashed border-slate-300 hover:bg-indigo-50 hover:border-indigo-200 hover:text-indigo-700 transition-all cursor-pointer">
+                        <Upload className="w-3.5 h-3.5 mr-1.5" /> 导入 SVG 文件
+                        <input type="file" accept=".svg,image/svg+xml" onChange={handleSvgFile} className="hidden" />
+                    </label>
+                    <textarea
+                        value={curvePathText}
+                        onChange={(e) => setCurvePathText(e.target.value)}
+                        placeholder="或粘贴 path 的 d 属性，如 M0 0 L100 0 L50 80 Z"
+                        rows={3}
+                        spellCheck={false}
+                        className="w-full px-2 py-1.5 border border-slate-300 rounded-lg outline-none text-xs font-mono text-slate-700 bg-slate-50 focus:bg-white focus:ring-2 focus:ring-indigo-500 transition-colors resize-none"
+                    />
+                    <button
+                        onClick={() => loadCurve('粘贴的路径', parseSvgPath(curvePathText))}
+                        disabled={!curvePathText.trim()}
+                        className="w-full py-1.5 rounded-lg text-xs font-medium text-slate-600 bg-white border border-slate-200 hover:bg-indigo-50 hover:text-indigo-700 disabled:opacity-40 disabled:pointer-events-none transition-colors"
+                    >
+                        使用该路径
+                    </button>
+
+                    {curveError && (
+                        <div className="px-3 py-2 bg-red-50 border border-red-200 rounded-lg text-[11px] text-red-700">
+                            {curveError}
+                        </div>
+                    )}
+                    {importedCurve && (
+                        <p className="text-[11px] text-slate-600 truncate" title={importedCurve.name}>当前曲线：{importedCurve.name}</p>
+                    )}
+                    <p className="text-[10px] text-slate-400 text-center">多个子路径按顺序首尾相连，元素的 transform 会被忽略；N 为按半径从大到小保留的旋转圆个数</p>
+                </div>
+            )}
+
+            {/* 傅里叶变换：非周期脉冲与周期拉长 */}
+            {waveType === 'transform' && (
+                <div className="animate-fadeIn space-y-2">
+                    <label className="text-xs font-bold text-slate-400 uppercase tracking-wider block flex items-center gap-1">
+                        <Waves className="w-3 h-3 text-indigo-500" /> 非周期函数
+                    </label>
+                    <div className="grid grid-cols-3 gap-1.5">
+                        {TRANSFORM_PULSES.map(pulse => (
+                            <button
+                                key={pulse.id}
+                                onClick={() => setTransformPulse(pulse.id)}
+                                className={`py-1.5 text-xs font-medium rounded-lg border transition-all ${
+                                    transformPulse === pulse.id
+                                    ? 'bg-indigo-50 border-indigo-200 text-indigo-700 shadow-sm'
+                                    : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'
+                                }`}
+                            >
+                                {pulse.label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <span className="text-[11px] text-slate-500 w-16 shrink-0">宽度 w</span>
+                        <input
+                            type="range"
+                            min={TRANSFORM_WIDTH_MIN}
+                            max={TRANSFORM_WIDTH_MAX}
+                            step="0.05"
+                            value={transformWidth}
+                            onChange={(e) => setTransformWidth(parseFloat(e.target.value))}
+                            className="flex-1 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+                        />
+                        <span className="text-[10px] text-slate-500 font-mono w-10 text-right">{transformWidth.toFixed(2)}</span>
+                    </div>
+
+                    <div className="bg-slate-50 p-3 rounded-xl border border-slate-200/60 space-y-2">
+                        <div className="flex justify-between items-end">
+                            <label className="text-sm font-bold text-slate-700">拉长周期 T</label>
+                            <span className="text-xs font-mono text-indigo-600">T = {(periodRatio * transformWidth).toPrecision(3)} ({periodRatio.toPrecision(3)} w)</span>
+                        </div>
+                        <input
+                            type="range"
+                            min="0"
+                            max={PERIOD_RATIO_LOG_MAX}
+                            step="0.01"
+                            value={Math.log2(periodRatio)}
+                            onChange={(e) => { setPeriodStretching(false); setPeriodRatio(2 ** parseFloat(e.target.value)); }}
+                            className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+                        />
+                        <button
+                            onClick={togglePeriodStretch}
+                            className={`w-full flex items-center justify-center py-1.5 rounded-lg text-xs font-bold transition-all ${
+                                periodStretching
+                                ? 'bg-amber-100 text-amber-700 hover:bg-amber-200'
+                                : 'bg-indigo-600 text-white hover:bg-indigo-700 shadow-md'
+                            }`}
+                        >
+                            {periodStretching ? <Pause className="w-3.5 h-3.5 mr-1.5" /> : <Play className="w-3.5 h-3.5 mr-1.5" />}
+                            {periodStretching ? '暂停' : '自动拉长'}
                         </button>
                     </div>
-                    <p className="text-[10px] text-slate-400 mt-1 text-center">点击按钮插入符号</p>
+
+                    <div className="grid grid-cols-2 gap-1 p-1 bg-slate-100 rounded-lg">
+                        {[[true, 'T·|c_n|'], [false, '|c_n|']].map(([value, label]) => (
+                            <button
+                                key={label}
+                                onClick={() => setScaleByPeriod(value)}
+                                className={`py-1 text-xs font-mono rounded-md transition-all ${
+                                    scaleByPeriod === value
+                                    ? 'bg-white text-indigo-700 shadow-sm'
+                                    : 'text-slate-500 hover:text-slate-700'
+                                }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <p className="text-[10px] text-slate-400">
+                        把脉冲以周期 T 延拓，其级数的谱线位于 nω₀ (ω₀ = 2π/T)，且 T·c_n = F(nω₀)。
+                        T 越大谱线越密，T → ∞ 时离散谱铺满连续谱 |F(ω)|；不乘 T 时各条谱线随 1/T 变矮。
+                    </p>
                 </div>
             )}
 
-            {/* 2. N Slider */}
-            <div className="bg-slate-50 p-4 rounded-xl border border-slate-200/60">
-                <div className="flex justify-between items-end mb-2">
-                    <label className="text-sm font-bold text-slate-700">逼近项数 N</label>
-                    <div className="text-right">
-                        <span className="text-2xl font-bold text-indigo-600 tabular-nums leading-none">{nTerms}</span>
-                        <span className="text-xs text-slate-400 ml-1">项</span>
+            {seriesView && (<>
+                {/* 1.8 Period Interval */}
+                <div>
+                    <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">周期区间 [a, b)</label>
+                    <div className="flex items-center gap-1.5">
+                        <input
+                            type="text"
+                            value={intervalStart}
+                            onChange={(e) => setIntervalStart(e.target.value)}
+                            className="w-full px-2 py-1.5 border border-slate-300 rounded-lg outline-none text-xs font-mono text-slate-700 bg-slate-50 focus:bg-white focus:ring-2 focus:ring-indigo-500 transition-colors"
+                            placeholder="a"
+                        />
+                        <span className="text-slate-400 text-xs">~</span>
+                        <input
+                            type="text"
+                            value={intervalEnd}
+                            onChange={(e) => setIntervalEnd(e.target.value)}
+                            className="w-full px-2 py-1.5 border border-slate-300 rounded-lg outline-none text-xs font-mono text-slate-700 bg-slate-50 focus:bg-white focus:ring-2 focus:ring-indigo-500 transition-colors"
+                            placeholder="b"
+                        />
+                    </div>
+                    {intervalInput.error ? (
+                        <p className="text-[10px] text-red-600 mt-1">{intervalInput.error.message}（暂用 [-π, π)）</p>
+                    ) : (
+                        <p className="text-[10px] text-slate-400 mt-1 font-mono">
+                            T = {interval.T.toPrecision(4)}，ω₀ = 2π/T = {(TWO_PI / interval.T).toPrecision(4)}
+                        </p>
+                    )}
+                    <div className="grid grid-cols-4 gap-1 mt-2">
+                        {INTERVAL_PRESETS.map(preset => (
+                            <button
+                                key={preset.label}
+                                onClick={() => { setIntervalStart(preset.start); setIntervalEnd(preset.end); }}
+                                className={`py-1 text-[10px] font-mono rounded-md border transition-all ${
+                                    intervalStart === preset.start && intervalEnd === preset.end
+                                    ? 'bg-indigo-50 border-indigo-200 text-indigo-700'
+                                    : 'bg-white border-slate-200 text-slate-500 hover:bg-slate-50'
+                                }`}
+                            >
+                                {preset.label}
+                            </button>
+                        ))}
                     </div>
                 </div>
-                {/* 滑块优化：
-                  min=0, max=100, step=0.1 用于提供丝滑的拖动体验。
-                  value={currentSliderVal} 显示转换后的滑块位置。
-                  onChange 调用 sliderToN 将非线性的滑块位置转换回线性的 N 值。
-                */}
-                <input 
-                    type="range" 
-                    min="0" 
-                    max="100" 
-                    step="0.1"
-                    value={currentSliderVal} 
-                    onChange={(e) => setNTerms(sliderToN(e.target.value))}
-                    className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 hover:accent-indigo-500"
-                />
+            </>)}
+
+            {/* 2. N Slider */}
+            {waveType !== 'transform' && (
+                <div className="bg-slate-50 p-4 rounded-xl border border-slate-200/60">
+                    <div className="flex justify-between items-end mb-2">
+                        <label className="text-sm font-bold text-slate-700">逼近项数 N</label>
+                        <div className="text-right">
+                            <span className="text-2xl font-bold text-indigo-600 tabular-nums leading-none">{nTerms}</span>
+                            <span className="text-xs text-slate-400 ml-1">项</span>
+                        </div>
+                    </div>
+                    {/* 滑块优化：
+                      min=0, max=100, step=0.1 用于提供丝滑的拖动体验 (N 最大为 MAX_N)。
+                      value={currentSliderVal} 显示转换后的滑块位置。
+                      onChange 调用 sliderToN 将非线性的滑块位置转换回线性的 N 值。
+                    */}
+                    <input 
+                        type="range" 
+                        min="0" 
+                        max="100" 
+                        step="0.1"
+                        value={currentSliderVal} 
+                        onChange={(e) => setNTerms(sliderToN(e.target.value))}
+                        className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 hover:accent-indigo-500"
+                    />
+                    {waveType === 'custom' && (coefficientsPending || coefficientError) && (
+                        <p className={`mt-2 text-[11px] flex items-center gap-1 ${coefficientError ? 'text-red-600' : 'text-slate-400'}`}>
+                            {coefficientError || (
+                                <>
+                                    <Loader2 className="w-3 h-3 animate-spin" /> 正在计算傅里叶系数 (至 {MAX_N} 次谐波)…
+                                </>
+                            )}
+                        </p>
+                    )}
                 
-                {/* Playback Controls */}
-                <div className="grid grid-cols-2 gap-2 mt-4">
-                    <button 
-                        onClick={() => setIsPlaying(!isPlaying)}
-                        className={`flex items-center justify-center py-2 rounded-lg text-xs font-bold transition-all ${
-                            isPlaying 
-                            ? 'bg-amber-100 text-amber-700 hover:bg-amber-200' 
-                            : 'bg-indigo-600 text-white hover:bg-indigo-700 shadow-md hover:shadow-lg'
-                        }`}
-                    >
-                        {isPlaying ? <Pause className="w-3.5 h-3.5 mr-1.5" /> : <Play className="w-3.5 h-3.5 mr-1.5" />}
-                        {isPlaying ? '暂停演示' : '自动演示'}
-                    </button>
-                    <button 
-                            onClick={() => { setIsPlaying(false); setNTerms(1); }}
-                            className="flex items-center justify-center py-2 rounded-lg text-xs font-bold text-slate-600 bg-white border border-slate-200 hover:bg-slate-50 transition-colors"
-                    >
-                        <RefreshCw className="w-3.5 h-3.5 mr-1.5" /> 重置 N
-                    </button>
+                    {/* Playback Controls */}
+                    <div className="grid grid-cols-2 gap-2 mt-4">
+                        <button 
+                            onClick={togglePlaying}
+                            className={`flex items-center justify-center py-2 rounded-lg text-xs font-bold transition-all ${
+                                isPlaying 
+                                ? 'bg-amber-100 text-amber-700 hover:bg-amber-200' 
+                                : 'bg-indigo-600 text-white hover:bg-indigo-700 shadow-md hover:shadow-lg'
+                            }`}
+                        >
+                            {isPlaying ? <Pause className="w-3.5 h-3.5 mr-1.5" /> : <Play className="w-3.5 h-3.5 mr-1.5" />}
+                            {isPlaying ? '暂停演示' : '自动演示'}
+                        </button>
+                        <button 
+                                onClick={() => { setIsPlaying(false); scrubTimeline(0); }}
+                                className="flex items-center justify-center py-2 rounded-lg text-xs font-bold text-slate-600 bg-white border border-slate-200 hover:bg-slate-50 transition-colors"
+                        >
+                            <RefreshCw className="w-3.5 h-3.5 mr-1.5" /> 重置 N
+                        </button>
+                    </div>
+
+                    {/* 时间轴：进度条、起止 N (与 N 滑块相同的三次映射)、单程时长、节奏与循环方式 */}
+                    <div className="mt-3 space-y-1.5">
+                        <div className="flex items-center gap-2">
+                            <span className="text-[11px] text-slate-500 w-16 shrink-0">进度</span>
+                            <input
+                                type="range"
+                                min="0"
+                                max="1000"
+                                step="1"
+                                value={Math.round(timelineProgress(nTerms, timeline) * 1000)}
+                                onChange={(e) => scrubTimeline(e.target.value / 1000)}
+                                className="flex-1 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+                                aria-label="演示进度"
+                            />
+                            <span className="text-[10px] text-slate-500 font-mono w-10 text-right">{Math.round(timelineProgress(nTerms, timeline) * 100)}%</span>
+                        </div>
+                        {[['start', '起点 N'], ['end', '终点 N']].map(([key, label]) => (
+                            <div key={key} className="flex items-center gap-2">
+                                <span className="text-[11px] text-slate-500 w-16 shrink-0">{label}</span>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="100"
+                                    step="0.1"
+                                    value={nToSlider(timeline[key])}
+                                    onChange={(e) => updateTimeline(key, sliderToN(e.target.value))}
+                                    className="flex-1 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+                                />
+                                <span className="text-[10px] text-slate-500 font-mono w-10 text-right">{timeline[key]}</span>
+                            </div>
+                        ))}
+                        <div className="flex items-center gap-2">
+                            <span className="text-[11px] text-slate-500 w-16 shrink-0">单程时长</span>
+                            <input
+                                type="range"
+                                min={TIMELINE_DURATION_MIN}
+                                max={TIMELINE_DURATION_MAX}
+                                step="0.5"
+                                value={timeline.duration}
+                                onChange={(e) => updateTimeline('duration', parseFloat(e.target.value))}
+                                className="flex-1 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+                            />
+                            <span className="text-[10px] text-slate-500 font-mono w-10 text-right">{timeline.duration.toFixed(1)}s</span>
+                        </div>
+                        <div className="grid grid-cols-4 gap-1 p-1 bg-slate-100 rounded-lg">
+                            {TIMELINE_SCHEDULES.map(item => (
+                                <button
+                                    key={item.id}
+                                    onClick={() => updateTimeline('schedule', item.id)}
+                                    className={`py-0.5 text-[11px] font-medium rounded-md transition-all ${
+                                        timeline.schedule === item.id
+                                        ? 'bg-white text-indigo-700 shadow-sm'
+                                        : 'text-slate-500 hover:text-slate-700'
+                                    }`}
+                                >
+                                    {item.label}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="grid grid-cols-3 gap-1 p-1 bg-slate-100 rounded-lg">
+                            {TIMELINE_LOOPS.map(item => (
+                                <button
+                                    key={item.id}
+                                    onClick={() => updateTimeline('loop', item.id)}
+                                    className={`py-0.5 text-[11px] font-medium rounded-md transition-all ${
+                                        timeline.loop === item.id
+                                        ? 'bg-white text-indigo-700 shadow-sm'
+                                        : 'text-slate-500 hover:text-slate-700'
+                                    }`}
+                                >
+                                    {item.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
                 </div>
-            </div>
+            )}
+            
+            {seriesView && (<>
+                {/* 2.5 Summation Method */}
+                <div>
+                    <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block">求和方法</label>
+                    <div className="grid grid-cols-2 gap-2">
+                        {SUMMATION_METHODS.map(method => (
+                            <button
+                                key={method.id}
+                                onClick={() => setSummation(method.id)}
+                                title={method.desc}
+                                className={`px-3 py-1.5 text-xs font-medium rounded-lg transition-all border ${
+                                    summation === method.id
+                                    ? 'bg-indigo-50 border-indigo-200 text-indigo-700 shadow-sm'
+                                    : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'
+                                }`}
+                            >
+                                {method.label}
+                            </button>
+                        ))}
+                    </div>
+                    {summation !== 'partial' && (
+                        <label className="flex items-center gap-2 mt-2 text-xs text-slate-600 cursor-pointer animate-fadeIn">
+                            <input
+                                type="checkbox"
+                                checked={showRawOverlay}
+                                onChange={(e) => setShowRawOverlay(e.target.checked)}
+                                className="accent-indigo-600"
+                            />
+                            叠加显示原始部分和 (虚线)
+                        </label>
+                    )}
+                    <label className="flex items-center gap-2 mt-2 text-xs text-slate-600 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={showGibbs}
+                            onChange={(e) => setShowGibbs(e.target.checked)}
+                            className="accent-indigo-600"
+                        />
+                        标注间断点处的吉布斯过冲
+                    </label>
+                </div>
+
+                {/* 2.8 Harmonic Decomposition */}
+                <div>
+                    <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block flex items-center gap-1">
+                        <Layers className="w-3 h-3" /> 谐波分解
+                    </label>
+                    <div className="grid grid-cols-3 gap-1 p-1 bg-slate-100 rounded-lg">
+                        {HARMONIC_VIEWS.map(view => (
+                            <button
+                                key={view.id}
+                                onClick={() => { setHarmonicView(view.id); setHighlightedHarmonic(null); }}
+                                className={`py-1 text-xs font-medium rounded-md transition-all ${
+                                    harmonicView === view.id
+                                    ? 'bg-white text-indigo-700 shadow-sm'
+                                    : 'text-slate-500 hover:text-slate-700'
+                                }`}
+                            >
+                                {view.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* 2.9 多曲线对比 */}
+                <div>
+                    <label className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 block flex items-center gap-1">
+                        <Pin className="w-3 h-3" /> 多曲线对比
+                    </label>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={pinCurrent}
+                            disabled={!canPin}
+                            className="flex-1 flex items-center justify-center py-1.5 rounded-lg text-xs font-medium text-slate-600 bg-white border border-slate-200 hover:bg-indigo-50 hover:text-indigo-700 disabled:opacity-40 disabled:pointer-events-none transition-colors"
+                        >
+                            <Pin className="w-3.5 h-3.5 mr-1" /> 固定当前曲线
+                        </button>
+                        <div className="grid grid-cols-2 gap-1 p-1 bg-slate-100 rounded-lg">
+                            {COMPARE_MODES.map(mode => (
+                                <button
+                                    key={mode.id}
+                                    onClick={() => setCompareMode(mode.id)}
+                                    className={`px-2 py-0.5 text-xs font-medium rounded-md transition-all ${
+                                        compareMode === mode.id
+                                        ? 'bg-white text-indigo-700 shadow-sm'
+                                        : 'text-slate-500 hover:text-slate-700'
+                                    }`}
+                                >
+                                    {mode.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    {pinned.length > 0 ? (
+                        <div className="mt-2 space-y-1">
+                            {pinned.map(entry => (
+                                <div key={entry.id} className="flex items-center gap-2 text-[11px] text-slate-600">
+                                    <span className="inline-block w-2.5 h-2.5 rounded-sm shrink-0" style={{ backgroundColor: entry.color }} />
+                                    <span className="flex-1 truncate" title={entry.label}>{entry.label}</span>
+                                    <span className="font-mono text-[10px] text-slate-400 shrink-0">{entry.error.rms.toExponential(2)}</span>
+                                    <button
+                                        onClick={() => removePinned(entry.id)}
+                                        className="text-slate-400 hover:text-red-500 transition-colors shrink-0"
+                                        title="移除"
+                                    >
+                                        <Trash2 className="w-3 h-3" />
+                                    </button>
+                                </div>
+                            ))}
+                            <button
+                                onClick={() => setPinned([])}
+                                className="text-[10px] text-slate-400 hover:text-red-500 transition-colors"
+                            >
+                                全部清除
+                            </button>
+                        </div>
+                    ) : (
+                        <p className="text-[10px] text-slate-400 mt-1.5">
+                            固定后再改变波形、N 或求和方法，即可与当前曲线同屏对比 (最多 {PIN_LIMIT} 条)；分屏面板与主画布共享缩放和平移。
+                        </p>
+                    )}
+                </div>
+            </>)}
+
+            {/* 3. Epicycles */}
+            {waveType !== 'transform' && (
+                <div className="bg-slate-50 p-4 rounded-xl border border-slate-200/60">
+                    <div className="flex justify-between items-center">
+                        <label className="text-sm font-bold text-slate-700 flex items-center gap-1.5">
+                            <Orbit className="w-4 h-4 text-indigo-500" /> 相量动画
+                        </label>
+                        <button
+                            onClick={() => setShowEpicycles(!showEpicycles)}
+                            className={`relative w-9 h-5 rounded-full transition-colors ${showEpicycles ? 'bg-indigo-600' : 'bg-slate-300'}`}
+                            title={showEpicycles ? '关闭相量动画' : '开启相量动画'}
+                        >
+                            <span className={`absolute top-0.5 left-0.5 w-4 h-4 bg-white rounded-full shadow transition-transform ${showEpicycles ? 'translate-x-4' : ''}`} />
+                        </button>
+                    </div>
+                    {showEpicycles && (
+                        <div className="mt-3 space-y-2 animate-fadeIn">
+                            <div className="flex items-center gap-2">
+                                <button
+                                    onClick={() => setEpicyclePlaying(!epicyclePlaying)}
+                                    className="flex items-center justify-center px-3 py-1.5 rounded-lg text-xs font-bold text-slate-600 bg-white border border-slate-200 hover:bg-slate-50 transition-colors shrink-0"
+                                >
+                                    {epicyclePlaying ? <Pause className="w-3.5 h-3.5 mr-1" /> : <Play className="w-3.5 h-3.5 mr-1" />}
+                                    {epicyclePlaying ? '暂停' : '播放'}
+                                </button>
+                                <input
+                                    type="range"
+                                    min="0.05"
+                                    max="2"
+                                    step="0.05"
+                                    value={epicycleSpeed}
+                                    onChange={(e) => setEpicycleSpeed(parseFloat(e.target.value))}
+                                    className="flex-1 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+                                />
+                                <span className="text-[10px] text-slate-500 font-mono w-14 text-right">{epicycleSpeed.toFixed(2)} 周/秒</span>
+                            </div>
+                            <p className="text-[10px] text-slate-400">
+                                {waveType === 'curve'
+                                    ? '每个圆对应一项 c_k e^{2πikt}，按半径从大到小相接；末端描出重建曲线。'
+                                    : <>每个圆对应一个谐波，圆的个数随 N 变化；末端的高度即部分和 S<sub>N</sub>(t)。</>}
+                            </p>
+                        </div>
+                    )}
+                </div>
+            )}
+            
+            {seriesView && (<>
+                {/* 4. Sound */}
+                <SoundPanel synthesize={synthesizePeriod} fileLabel={`fourier_${waveType}_N${nTerms}`} />
+
+                {/* 导出数据 */}
+                <ExportPanel series={exportSeries} getSamples={getExportSamples} fileLabel={`fourier_${waveType}_N${nTerms}`} />
+            </>)}
             
             {/* Info Box */}
             <div className="bg-indigo-50 rounded-xl p-4 border border-indigo-100">
@@ -707,17 +2733,96 @@ export default function FourierApp() {
       <div className="flex-1 flex flex-col relative bg-slate-100/50">
         
         {/* Top Bar Overlay */}
-        <div className="absolute top-0 left-0 right-0 p-4 flex justify-between items-start pointer-events-none z-10">
+        <div className={`absolute top-0 left-0 right-0 p-4 flex justify-between items-start pointer-events-none z-10 ${(showSpectrum || showConvergence) && seriesView ? 'lg:right-80' : ''}`}>
+            {!seriesView ? <div /> : (
             <div className="bg-white/90 backdrop-blur-md p-3 rounded-xl shadow-sm border border-slate-200/60 pointer-events-auto">
-                <h2 className="text-sm font-bold text-slate-700 flex items-center gap-2">
-                    MSE (均方误差)
-                    <span className="bg-slate-100 px-2 py-0.5 rounded text-slate-600 font-mono text-xs">
-                        {mse.toFixed(6)}
+                <h2 className="text-sm font-bold text-slate-700">误差 (一个周期)</h2>
+                <div className="mt-1.5 grid grid-cols-[auto_auto] gap-x-3 gap-y-0.5 text-xs">
+                    <span className="text-slate-500">L2 (RMS)</span>
+                    <span className="font-mono text-slate-700">{errorStats.current.rms.toExponential(3)}</span>
+                    <span className="text-slate-500">L∞ (max)</span>
+                    <span className="font-mono text-slate-700">{errorStats.current.linf.toExponential(3)}</span>
+                    <span className="text-slate-500">相对能量</span>
+                    <span className="font-mono text-slate-700">
+                        {Number.isFinite(errorStats.current.rel) ? `${(errorStats.current.rel * 100).toPrecision(3)}%` : '—'}
                     </span>
-                </h2>
+                </div>
+                {summation !== 'partial' && showRawOverlay && (
+                    <div className="mt-1.5 pt-1.5 border-t border-slate-100 space-y-0.5 text-[11px] font-mono">
+                        <p className="text-indigo-600">
+                            {SUMMATION_METHODS.find(m => m.id === summation).label} RMS: {errorStats.current.rms.toExponential(3)}
+                        </p>
+                        <p className="text-slate-400">部分和 RMS: {errorStats.raw.rms.toExponential(3)}</p>
+                    </div>
+                )}
+                <label className="flex items-center gap-1.5 mt-1.5 text-[11px] text-slate-500 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={showPointwiseError}
+                        onChange={(e) => setShowPointwiseError(e.target.checked)}
+                        className="accent-red-500"
+                    />
+                    显示逐点误差 |f − S<sub>N</sub>|
+                </label>
+                {showGibbs && gibbsAnalysis.length > 0 && (
+                    <div className="mt-2 pt-2 border-t border-slate-100 text-[11px]">
+                        <p className="font-bold text-amber-700 flex items-center gap-2">
+                            吉布斯过冲
+                            <span className="bg-amber-50 px-2 py-0.5 rounded font-mono">{maxOvershootPct.toFixed(2)}%</span>
+                        </p>
+                        <p className="text-slate-400 mt-0.5">
+                            {gibbsAnalysis.length} 个间断点 · 理论值 ≈ {(GIBBS_OVERSHOOT * 100).toFixed(2)}%
+                        </p>
+                        {gibbsHistory.length > 1 && (
+                            <svg viewBox="0 0 100 30" className="w-40 h-10 mt-1" preserveAspectRatio="none">
+                                {/* 理论值参考线 */}
+                                <line x1="0" x2="100" y1={30 - (GIBBS_OVERSHOOT * 100) * 2} y2={30 - (GIBBS_OVERSHOOT * 100) * 2} stroke="#fcd34d" strokeWidth="0.6" strokeDasharray="2 2" />
+                                <polyline
+                                    fill="none"
+                                    stroke="#d97706"
+                                    strokeWidth="1.2"
+                                    points={gibbsSparkline}
+                                />
+                            </svg>
+                        )}
+                    </div>
+                )}
             </div>
+            )}
 
             <div className="flex gap-2 pointer-events-auto">
+                 {seriesView && (<>
+                 <button 
+                    onClick={() => setShowSpectrum(!showSpectrum)}
+                    className={`p-2 rounded-lg shadow-sm border transition-all ${
+                        showSpectrum
+                        ? 'bg-indigo-50 border-indigo-200 text-indigo-600'
+                        : 'bg-white border-slate-200 text-slate-600 hover:text-indigo-600 hover:bg-slate-50'
+                    }`}
+                    title="谐波频谱"
+                 >
+                    <BarChart3 className="w-5 h-5" />
+                 </button>
+                 <button 
+                    onClick={() => setShowConvergence(!showConvergence)}
+                    className={`p-2 rounded-lg shadow-sm border transition-all ${
+                        showConvergence
+                        ? 'bg-indigo-50 border-indigo-200 text-indigo-600'
+                        : 'bg-white border-slate-200 text-slate-600 hover:text-indigo-600 hover:bg-slate-50'
+                    }`}
+                    title="误差收敛曲线"
+                 >
+                    <TrendingDown className="w-5 h-5" />
+                 </button>
+                 </>)}
+                 <button 
+                    onClick={copyPermalink}
+                    className="p-2 bg-white rounded-lg shadow-sm border border-slate-200 text-slate-600 hover:text-indigo-600 hover:bg-slate-50 transition-all"
+                    title="复制分享链接"
+                 >
+                    {linkCopied ? <Check className="w-5 h-5 text-emerald-500" /> : <Link2 className="w-5 h-5" />}
+                 </button>
+                 {seriesView && (<>
                  <button 
                     onClick={resetView}
                     className="p-2 bg-white rounded-lg shadow-sm border border-slate-200 text-slate-600 hover:text-indigo-600 hover:bg-slate-50 transition-all tooltip-trigger"
@@ -726,36 +2831,259 @@ export default function FourierApp() {
                     <Maximize className="w-5 h-5" />
                  </button>
                  <button 
-                    onClick={downloadImage}
+                    onClick={openImageExport}
                     className="p-2 bg-white rounded-lg shadow-sm border border-slate-200 text-slate-600 hover:text-indigo-600 hover:bg-slate-50 transition-all"
-                    title="下载图像"
+                    title="导出图像"
                  >
                     <Download className="w-5 h-5" />
                  </button>
+                 <button 
+                    onClick={openAnimationExport}
+                    className="p-2 bg-white rounded-lg shadow-sm border border-slate-200 text-slate-600 hover:text-indigo-600 hover:bg-slate-50 transition-all"
+                    title="导出动画 (GIF / WebM)"
+                 >
+                    <Film className="w-5 h-5" />
+                 </button>
+                 </>)}
             </div>
         </div>
 
-        {/* Canvas Area */}
-        <div 
-            ref={containerRef}
-            className={`flex-1 relative overflow-hidden ${isDragging ? 'cursor-grabbing' : 'cursor-grab'}`}
-            onMouseDown={handleMouseDown}
-            onMouseMove={handleMouseMove}
-            onMouseUp={handleMouseUp}
-            onMouseLeave={handleMouseUp}
-        >
-             <canvas 
-                ref={canvasRef}
-                className="w-full h-full block touch-none"
-             />
+        <div className="flex-1 flex flex-col lg:flex-row min-h-0">
+        {/* Canvas Area + 分屏对比面板 */}
+        <div className="flex-1 flex flex-col min-h-0 min-w-0">
+            {/* Canvas Area */}
+            <div 
+                ref={containerRef}
+                tabIndex={0}
+                role="application"
+                aria-roledescription="函数图像"
+                aria-label={`${WAVE_TYPES.find(w => w.id === waveType).label}，N = ${nTerms}${seriesView ? `，RMS 误差 ${errorStats.current.rms.toExponential(2)}` : ''}`}
+                aria-describedby="canvas-shortcuts"
+                className={`flex-1 relative overflow-hidden min-h-0 min-w-0 touch-none outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-400 ${sketchActive ? 'cursor-crosshair' : isDragging ? 'cursor-grabbing' : boxZoomMode ? 'cursor-zoom-in' : 'cursor-grab'}`}
+                onPointerDown={handleCanvasPointerDown}
+                onPointerMove={handleCanvasPointerMove}
+                onPointerUp={handleCanvasPointerUp}
+                onPointerCancel={handleCanvasPointerCancel}
+                onPointerLeave={() => setHoverX(null)}
+            >
+                 <canvas 
+                    ref={canvasRef}
+                    className="w-full h-full block touch-none"
+                 />
+                 <p id="canvas-shortcuts" className="sr-only">
+                    方向键平移，加号与减号缩放，0 重置视图，左右方括号增减项数 N (按住 Shift 时步长为 10)，空格播放或暂停自动演示。
+                    拖动平移，双指捏合缩放，按住 Shift 拖动框选放大。
+                 </p>
+                 {showEpicycles && seriesView && (
+                    <EpicycleOverlay
+                        phasors={phasors}
+                        viewRange={viewRange}
+                        playing={epicyclePlaying}
+                        speed={epicycleSpeed}
+                        period={interval.T}
+                    />
+                 )}
              
-             {/* Dynamic Labels */}
-             <div className="absolute bottom-4 right-4 bg-white/80 px-2 py-1 rounded text-[10px] text-slate-500 font-mono pointer-events-none backdrop-blur-sm">
-                Scale: {zoom.toFixed(2)}x
-             </div>
+                 {/* Harmonic Legend：点击高亮某一项 */}
+                 {harmonicView !== 'none' && phasors && phasors.terms.length > 0 && (
+                    <div
+                        className="absolute bottom-4 left-4 max-w-[60%] bg-white/90 backdrop-blur-sm rounded-lg border border-slate-200 shadow-sm p-2 cursor-default"
+                        onPointerDown={(e) => e.stopPropagation()}
+                    >
+                        <p className="text-[10px] text-slate-400 mb-1">
+                            {harmonicView === 'terms' ? '点击高亮某次谐波' : '颜色对应加入该次谐波后的部分和'}
+                            {phasors.terms.length > HARMONIC_VIEW_LIMIT && ` (仅显示前 ${HARMONIC_VIEW_LIMIT} 项)`}
+                        </p>
+                        <div className="flex flex-wrap gap-1 max-h-20 overflow-y-auto">
+                            {phasors.terms.slice(0, HARMONIC_VIEW_LIMIT).map((term, i) => (
+                                <button
+                                    key={term.n}
+                                    onClick={() => setHighlightedHarmonic(highlightedHarmonic === term.n ? null : term.n)}
+                                    className={`flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-mono border transition-all ${
+                                        highlightedHarmonic === term.n
+                                        ? 'border-slate-400 bg-slate-100 text-slate-800'
+                                        : 'border-transparent text-slate-500 hover:bg-slate-50'
+                                    }`}
+                                >
+                                    <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: harmonicColor(i) }} />
+                                    n={term.n}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                 )}
+
+                 {probesEnabled && (
+                    <ProbeOverlay
+                        hoverX={isDragging ? null : hoverX}
+                        probes={probes}
+                        viewRange={viewRange}
+                        evaluate={evaluateProbe}
+                        approxLabel={summation === 'partial' ? 'S_N(x)' : `${SUMMATION_METHODS.find(m => m.id === summation).label}(x)`}
+                        onRemove={(id) => setProbes(prev => prev.filter(probe => probe.id !== id))}
+                        onClear={() => setProbes([])}
+                    />
+                 )}
+
+                 {/* 多曲线对比图例 (叠加模式) */}
+                 {compareMode === 'overlay' && pinned.length > 0 && seriesView && (
+                    <div className="absolute bottom-10 right-4 max-w-[45%] bg-white/90 backdrop-blur-sm rounded-lg border border-slate-200 shadow-sm px-2.5 py-2 text-[10px] text-slate-600 space-y-0.5 pointer-events-none">
+                        <p className="flex items-center gap-2">
+                            <span className="inline-block w-3 h-0.5 shrink-0 bg-gradient-to-r from-blue-500 to-violet-500" />
+                            <span className="truncate">当前 (N = {nTerms})</span>
+                            <span className="ml-auto pl-2 font-mono text-slate-400 shrink-0">RMS {errorStats.current.rms.toExponential(2)}</span>
+                        </p>
+                        {pinned.map(entry => (
+                            <p key={entry.id} className="flex items-center gap-2">
+                                <span className="inline-block w-3 h-0.5 shrink-0" style={{ backgroundColor: entry.color }} />
+                                <span className="truncate">{entry.label}</span>
+                                <span className="ml-auto pl-2 font-mono text-slate-400 shrink-0">RMS {entry.error.rms.toExponential(2)}</span>
+                            </p>
+                        ))}
+                    </div>
+                 )}
+
+                 {/* 框选放大的矩形 */}
+                 {zoomBox && (
+                    <div
+                        className="absolute border border-dashed border-blue-500 bg-blue-500/10 pointer-events-none"
+                        style={{ left: zoomBox.left, top: zoomBox.top, width: zoomBox.width, height: zoomBox.height }}
+                    />
+                 )}
+
+                 {/* 缩放工具条 */}
+                 {seriesView && (
+                    <div
+                        className="absolute right-4 top-1/2 -translate-y-1/2 flex flex-col bg-white/90 backdrop-blur-sm rounded-lg border border-slate-200 shadow-sm overflow-hidden cursor-default"
+                        onPointerDown={(e) => e.stopPropagation()}
+                    >
+                        <button
+                            onClick={() => zoomView(0.5, 0.5, ...axisFactors(1.25, zoomAxes))}
+                            className="p-2 text-slate-500 hover:bg-slate-100 hover:text-slate-700 transition-colors"
+                            title="放大 (+)"
+                            aria-label="放大"
+                        >
+                            <ZoomIn className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={() => zoomView(0.5, 0.5, ...axisFactors(0.8, zoomAxes))}
+                            className="p-2 text-slate-500 hover:bg-slate-100 hover:text-slate-700 transition-colors border-t border-slate-100"
+                            title="缩小 (−)"
+                            aria-label="缩小"
+                        >
+                            <ZoomOut className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={() => setBoxZoomMode(!boxZoomMode)}
+                            className={`p-2 transition-colors border-t border-slate-100 ${boxZoomMode ? 'bg-blue-50 text-blue-600' : 'text-slate-500 hover:bg-slate-100 hover:text-slate-700'}`}
+                            title="框选放大 (也可按住 Shift 拖动)"
+                            aria-label="框选放大"
+                            aria-pressed={boxZoomMode}
+                        >
+                            <BoxSelect className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={() => setZoomAxes(ZOOM_AXES[(ZOOM_AXES.findIndex(a => a.id === zoomAxes) + 1) % ZOOM_AXES.length].id)}
+                            className="p-2 text-[10px] font-bold font-mono text-slate-500 hover:bg-slate-100 hover:text-slate-700 transition-colors border-t border-slate-100"
+                            title={`缩放方向：${ZOOM_AXES.find(a => a.id === zoomAxes).desc} (点击切换)`}
+                            aria-label={`缩放方向：${ZOOM_AXES.find(a => a.id === zoomAxes).desc}`}
+                        >
+                            {ZOOM_AXES.find(a => a.id === zoomAxes).label}
+                        </button>
+                    </div>
+                 )}
+
+                 {/* Dynamic Labels */}
+                 <div className="absolute bottom-4 right-4 bg-white/80 px-2 py-1 rounded text-[10px] text-slate-500 font-mono pointer-events-none backdrop-blur-sm">
+                    Scale: {Math.abs(yStretch - 1) < 1e-9 ? `${zoom.toFixed(2)}x` : `X ${zoom.toFixed(2)}x · Y ${(zoom * yStretch).toFixed(2)}x`}
+                    {probesEnabled && probes.length === 0 && <span className="font-sans"> · 单击放置探针</span>}
+                 </div>
+
+                 {waveType === 'curve' && (
+                    <div className="absolute inset-0" onPointerDown={(e) => e.stopPropagation()}>
+                        <CurveView
+                            series={curveSeries}
+                            nTerms={nTerms}
+                            showEpicycles={showEpicycles}
+                            playing={epicyclePlaying}
+                            speed={epicycleSpeed}
+                        />
+                    </div>
+                 )}
+
+                 {waveType === 'transform' && (
+                    <div className="absolute inset-0" onPointerDown={(e) => e.stopPropagation()}>
+                        <TransformView
+                            pulse={transformPulse}
+                            width={transformWidth}
+                            period={periodRatio * transformWidth}
+                            scaleByPeriod={scaleByPeriod}
+                        />
+                    </div>
+                 )}
+            </div>
+            {compareMode === 'panels' && pinned.length > 0 && seriesView && (
+                <ComparisonPanels
+                    entries={pinned}
+                    viewRange={viewRange}
+                    onRemove={removePinned}
+                    onWheelZoom={handleWheelZoom}
+                    onPanStart={startPan}
+                    onPanMove={handlePointerMove}
+                    onPanEnd={handlePointerUp}
+                />
+            )}
+        </div>
+
+        {/* Side Panels: Spectrum & Convergence */}
+        {(showSpectrum || showConvergence) && seriesView && (
+            <div className="flex flex-row lg:flex-col bg-white border-t lg:border-t-0 lg:border-l border-slate-200 h-64 lg:h-auto lg:w-80 shrink-0 divide-x lg:divide-x-0 lg:divide-y divide-slate-200">
+                {showSpectrum && (
+                    <SpectrumPanel
+                        coeffs={harmonicCoeffs}
+                        harmonicCount={spectrumHarmonics}
+                        isIncluded={isHarmonicIncluded}
+                        highestIncluded={highestIncluded}
+                        mode={spectrumMode}
+                        scale={spectrumScale}
+                        onModeChange={setSpectrumMode}
+                        onScaleChange={setSpectrumScale}
+                    />
+                )}
+                {showConvergence && (
+                    <ConvergencePanel
+                        data={convergence && convergence.points}
+                        currentN={nTerms}
+                        fits={convergence && convergence.fits}
+                    />
+                )}
+            </div>
+        )}
         </div>
       </div>
 
+      {/* 图像导出 */}
+      {imageExportSize && (
+        <ImageExportDialog
+            size={imageExportSize}
+            renderFigure={renderFigure}
+            fileLabel={`fourier_${waveType}_N${nTerms}`}
+            onClose={() => setImageExportSize(null)}
+        />
+      )}
+
+      {/* 动画导出 */}
+      {animationExportSize && (
+        <AnimationExportDialog
+            size={animationExportSize}
+            timeline={timeline}
+            renderFrame={renderAnimationFrame}
+            restoreFrame={restoreAnimationFrame}
+            fileLabel={`fourier_${waveType}_N${timeline.start}-${timeline.end}`}
+            onClose={closeAnimationExport}
+        />
+      )}
+
       {/* Help Modal */}
       {showHelp && (
         <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex items-center justify-center p-4">
@@ -783,8 +3111,31 @@ export default function FourierApp() {
                         </li>
                         <li className="flex gap-2">
                             <span className="font-bold text-indigo-600 shrink-0">三角波:</span>
-                            <span>只包含奇次谐波，但幅度随 1/n² 衰减。收敛非常快。</span>
+                            <span>只包含奇次谐波，但幅度随 1/n² 衰减。收敛非常快。上升段占比偏离 50% 时出现偶次谐波。</span>
+                        </li>
+                        <li className="flex gap-2">
+                            <span className="font-bold text-indigo-600 shrink-0">脉冲串:</span>
+                            <span>占空比为 d 时 a<sub>n</sub> = 2sin(nπd)/(nπ)，频谱包络为 sinc 形状，脉冲越窄高次谐波越强。</span>
                         </li>
+                        <li className="flex gap-2">
+                            <span className="font-bold text-indigo-600 shrink-0">整流正弦:</span>
+                            <span>连续但有尖角，系数随 1/n² 衰减；全波整流只剩余弦项。</span>
+                        </li>
+                        <li className="flex gap-2">
+                            <span className="font-bold text-indigo-600 shrink-0">傅里叶变换:</span>
+                            <span>非周期函数以周期 T 延拓后 T·c<sub>n</sub> = F(nω₀)，ω₀ = 2π/T。T → ∞ 时谱线间距趋于 0，级数变为积分 F(ω) = ∫ f(t)e<sup>−iωt</sup> dt。</span>
+                        </li>
+                    </ul>
+
+                    <h4 className="font-bold text-slate-800 pt-2">操作</h4>
+                    <p className="text-xs text-slate-400">键盘快捷键在点击画布 (或用 Tab 键选中画布) 后生效。</p>
+                    <ul className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+                        {CANVAS_SHORTCUTS.map(([keys, desc]) => (
+                            <React.Fragment key={keys}>
+                                <span className="font-mono text-slate-700 whitespace-nowrap">{keys}</span>
+                                <span>{desc}</span>
+                            </React.Fragment>
+                        ))}
                     </ul>
                 </div>
                 <button 
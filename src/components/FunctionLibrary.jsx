@@ -0,0 +1,179 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BookMarked, Save, Pencil, Trash2, ChevronUp, ChevronDown, Upload, Download, Check, X } from 'lucide-react';
+import { loadLibrary, saveLibrary, serializeLibrary, parseLibraryFile, mergeLibrary, createEntryId } from '../utils/library';
+
+/**
+ * 我的函数库
+ * 保存自定义表达式 (名称 + 说明)，支持重命名、删除、调整顺序，
+ * 整个库可导出为 JSON 文件，也可导入他人分发的预设包。
+ * currentExpr / canSave 为当前输入的表达式及其是否有效，onSelect(entry) 载入某个条目。
+ */
+
+const inputClass = 'w-full px-2 py-1 border border-slate-300 rounded-md outline-none text-xs text-slate-700 bg-white focus:ring-2 focus:ring-indigo-500';
+
+// 名称与说明的编辑表单
+function EntryForm({ initial, onSubmit, onCancel }) {
+  const [label, setLabel] = useState(initial.label);
+  const [desc, setDesc] = useState(initial.desc);
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (label.trim()) onSubmit({ label: label.trim(), desc: desc.trim() });
+      }}
+      className="p-2 bg-white rounded-lg border border-indigo-200 space-y-1.5"
+    >
+      <input autoFocus value={label} onChange={(e) => setLabel(e.target.value)} placeholder="名称" className={inputClass} />
+      <input value={desc} onChange={(e) => setDesc(e.target.value)} placeholder="说明 (可选)" className={inputClass} />
+      <div className="flex justify-end gap-1">
+        <button type="button" onClick={onCancel} className="p-1 text-slate-400 hover:text-slate-600" title="取消">
+          <X className="w-3.5 h-3.5" />
+        </button>
+        <button type="submit" disabled={!label.trim()} className="p-1 text-indigo-600 hover:text-indigo-800 disabled:opacity-40" title="确定">
+          <Check className="w-3.5 h-3.5" />
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function FunctionLibrary({ currentExpr, canSave, onSelect }) {
+  const [entries, setEntries] = useState(loadLibrary);
+  // 正在编辑的条目 id，'new' 表示保存当前表达式
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    saveLibrary(entries);
+  }, [entries]);
+
+  const addEntry = ({ label, desc }) => {
+    setEntries((prev) => [...prev, { id: createEntryId(), label, expr: currentExpr, desc }]);
+    setEditing(null);
+  };
+
+  const renameEntry = (id, { label, desc }) => {
+    setEntries((prev) => prev.map((entry) => (entry.id === id ? { ...entry, label, desc } : entry)));
+    setEditing(null);
+  };
+
+  const removeEntry = (id) => setEntries((prev) => prev.filter((entry) => entry.id !== id));
+
+  const moveEntry = (index, delta) => {
+    setEntries((prev) => {
+      const target = index + delta;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = prev.slice();
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const exportLibrary = () => {
+    const blob = new Blob([serializeLibrary(entries)], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = 'fourier_library.json';
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const importLibrary = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { entries: incoming, error } = parseLibraryFile(reader.result);
+      if (error) {
+        setMessage({ type: 'error', text: error });
+        return;
+      }
+      const merged = mergeLibrary(entries, incoming);
+      setEntries(merged);
+      setMessage({ type: 'info', text: `已导入 ${merged.length - entries.length} 个函数` });
+    };
+    reader.onerror = () => setMessage({ type: 'error', text: '读取文件失败' });
+    reader.readAsText(file);
+  };
+
+  const iconButton = 'p-1 text-slate-400 hover:text-indigo-600 transition-colors disabled:opacity-30 disabled:pointer-events-none';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-xs font-bold text-slate-400 uppercase tracking-wider flex items-center gap-1">
+          <BookMarked className="w-3 h-3 text-indigo-500" /> 我的函数库
+        </label>
+        <div className="flex items-center">
+          <button onClick={() => fileInputRef.current && fileInputRef.current.click()} className={iconButton} title="导入 JSON">
+            <Upload className="w-3.5 h-3.5" />
+          </button>
+          <button onClick={exportLibrary} disabled={entries.length === 0} className={iconButton} title="导出 JSON">
+            <Download className="w-3.5 h-3.5" />
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={importLibrary} className="hidden" />
+        </div>
+      </div>
+
+      {message && (
+        <p className={`mb-2 text-[11px] ${message.type === 'error' ? 'text-red-600' : 'text-emerald-600'}`}>{message.text}</p>
+      )}
+
+      <div className="space-y-1.5">
+        {entries.map((entry, index) => (
+          editing === entry.id ? (
+            <EntryForm
+              key={entry.id}
+              initial={entry}
+              onSubmit={(fields) => renameEntry(entry.id, fields)}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <div
+              key={entry.id}
+              className="group flex items-center rounded-lg bg-slate-50 border border-slate-200 hover:bg-indigo-50 hover:border-indigo-200 transition-all"
+            >
+              <button onClick={() => onSelect(entry)} className="flex-1 min-w-0 px-3 py-2 text-left" title={entry.desc || entry.expr}>
+                <span className="block truncate text-xs font-medium text-slate-600 group-hover:text-indigo-700">{entry.label}</span>
+                <span className="block truncate text-[10px] text-slate-400 font-mono group-hover:text-indigo-400">{entry.expr}</span>
+              </button>
+              <div className="flex items-center pr-1 opacity-60 group-hover:opacity-100 transition-opacity">
+                <button onClick={() => moveEntry(index, -1)} disabled={index === 0} className={iconButton} title="上移">
+                  <ChevronUp className="w-3.5 h-3.5" />
+                </button>
+                <button onClick={() => moveEntry(index, 1)} disabled={index === entries.length - 1} className={iconButton} title="下移">
+                  <ChevronDown className="w-3.5 h-3.5" />
+                </button>
+                <button onClick={() => setEditing(entry.id)} className={iconButton} title="重命名">
+                  <Pencil className="w-3.5 h-3.5" />
+                </button>
+                <button onClick={() => removeEntry(entry.id)} className="p-1 text-slate-400 hover:text-red-600 transition-colors" title="删除">
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            </div>
+          )
+        ))}
+
+        {editing === 'new' ? (
+          <EntryForm initial={{ label: '', desc: '' }} onSubmit={addEntry} onCancel={() => setEditing(null)} />
+        ) : (
+          <button
+            onClick={() => setEditing('new')}
+            disabled={!canSave}
+            className="w-full flex items-center justify-center py-1.5 rounded-lg text-xs font-medium text-slate-600 bg-white border border-dashed border-slate-300 hover:bg-indigo-50 hover:border-indigo-200 hover:text-indigo-700 disabled:opacity-40 disabled:pointer-events-none transition-all"
+            title={canSave ? currentExpr : '请先输入有效的自定义表达式'}
+          >
+            <Save className="w-3.5 h-3.5 mr-1" /> 保存当前表达式
+          </button>
+        )}
+        {entries.length === 0 && editing !== 'new' && (
+          <p className="text-[10px] text-slate-400 text-center">保存的函数存放在本机浏览器中，可导出为 JSON 分享</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Image, Download } from 'lucide-react';
+import { SvgContext } from '../utils/svgContext';
+import { CAPTION_HEIGHT } from '../utils/figure';
+
+/**
+ * 图像导出对话框
+ * SVG 为矢量输出，与屏幕使用同一套绘图代码重新渲染；PNG 以 2× / 4× 分辨率渲染。
+ * renderFigure(ctx, width, plotHeight, options) 由父组件提供，
+ * options = { background, legend, axisLabels, caption }；caption 为真时图下方额外占 CAPTION_HEIGHT。
+ */
+
+const FORMATS = [
+  { id: 'svg', label: 'SVG 矢量' },
+  { id: 'png2', label: 'PNG 2×', scale: 2 },
+  { id: 'png4', label: 'PNG 4×', scale: 4 },
+];
+
+const BACKGROUNDS = [
+  { id: 'white', label: '白色', value: '#ffffff' },
+  { id: 'transparent', label: '透明', value: null },
+];
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export default function ImageExportDialog({ size, renderFigure, fileLabel, onClose }) {
+  const [formatId, setFormatId] = useState('svg');
+  const [backgroundId, setBackgroundId] = useState('white');
+  const [legend, setLegend] = useState(true);
+  const [axisLabels, setAxisLabels] = useState(true);
+  const [caption, setCaption] = useState(true);
+
+  const format = FORMATS.find((f) => f.id === formatId);
+  const width = Math.round(size.width);
+  const plotHeight = Math.round(size.height);
+  const height = plotHeight + (caption ? CAPTION_HEIGHT : 0);
+  const options = {
+    background: BACKGROUNDS.find((b) => b.id === backgroundId).value,
+    legend,
+    axisLabels,
+    caption,
+  };
+
+  const exportImage = () => {
+    if (format.id === 'svg') {
+      const svg = new SvgContext(width, height);
+      renderFigure(svg, width, plotHeight, options);
+      downloadBlob(new Blob([svg.toString()], { type: 'image/svg+xml' }), `${fileLabel}.svg`);
+    } else {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * format.scale;
+      canvas.height = height * format.scale;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(format.scale, format.scale);
+      renderFigure(ctx, width, plotHeight, options);
+      canvas.toBlob((blob) => blob && downloadBlob(blob, `${fileLabel}@${format.scale}x.png`), 'image/png');
+    }
+    onClose();
+  };
+
+  const toggle = (checked, onChange, label) => (
+    <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="accent-indigo-600"
+      />
+      {label}
+    </label>
+  );
+
+  const segmented = (items, value, onChange, columns) => (
+    <div className={`grid ${columns} gap-1 p-1 bg-slate-100 rounded-lg`}>
+      {items.map((item) => (
+        <button
+          key={item.id}
+          onClick={() => onChange(item.id)}
+          className={`py-1.5 text-xs font-medium rounded-md transition-all ${
+            value === item.id ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+          }`}
+        >
+          {item.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl max-w-sm w-full shadow-2xl p-6 animate-scaleIn">
+        <div className="flex justify-between items-center mb-4 border-b border-slate-100 pb-4">
+          <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+            <Image className="w-5 h-5 text-indigo-500" /> 导出图像
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600 p-1">
+            ✕
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">格式</p>
+            {segmented(FORMATS, formatId, setFormatId, 'grid-cols-3')}
+            <p className="text-[11px] text-slate-400 mt-1.5 font-mono">
+              {format.scale ? `${width * format.scale} × ${height * format.scale} px` : `${width} × ${height} (矢量)`}
+            </p>
+          </div>
+
+          <div>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">背景</p>
+            {segmented(BACKGROUNDS, backgroundId, setBackgroundId, 'grid-cols-2')}
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider">内容</p>
+            {toggle(legend, setLegend, '图例')}
+            {toggle(axisLabels, setAxisLabels, '坐标轴标签')}
+            {toggle(caption, setCaption, '说明文字 (函数、N 与误差)')}
+          </div>
+        </div>
+
+        <button
+          onClick={exportImage}
+          className="mt-6 w-full flex items-center justify-center bg-indigo-600 text-white py-2.5 rounded-xl hover:bg-indigo-700 transition-colors font-bold shadow-lg shadow-indigo-200"
+        >
+          <Download className="w-4 h-4 mr-2" /> 导出
+        </button>
+      </div>
+    </div>
+  );
+}
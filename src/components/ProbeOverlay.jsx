@@ -0,0 +1,136 @@
+import React from 'react';
+import { Crosshair, Trash2 } from 'lucide-react';
+
+/**
+ * 十字准线与固定探针
+ * 悬停时显示光标处的 x、f(x)、S_N(x) 与逐点误差；单击画布固定的探针停在原来的 x 上，
+ * 读数随 N、求和方法等变化实时更新。x 恰在跳跃点时另外给出左右极限及其中点 (S_N 在该处收敛到中点)。
+ * 位置用百分比表示，视图平移缩放时无需重新测量画布。
+ */
+
+const PROBE_COLOR = '#0d9488';
+
+// x 写成 π 的倍数：能化成分母不超过 12 的分数时写成分数形式，否则保留三位小数
+const formatPiMultiple = (x) => {
+  const r = x / Math.PI;
+  for (let q = 1; q <= 12; q++) {
+    const p = Math.round(r * q);
+    if (Math.abs(r - p / q) > 1e-9) continue;
+    if (p === 0) return '0';
+    const sign = p < 0 ? '−' : '';
+    const num = Math.abs(p) === 1 ? 'π' : `${Math.abs(p)}π`;
+    return q === 1 ? `${sign}${num}` : `${sign}${num}/${q}`;
+  }
+  return `${r.toFixed(3)}π`;
+};
+
+const formatValue = (v) => (v === null || !Number.isFinite(v) ? '—' : v.toFixed(4));
+
+// 读数表格的一行
+function Reading({ label, value, className = '' }) {
+  return (
+    <>
+      <span className="text-slate-400">{label}</span>
+      <span className={`font-mono text-right ${className}`}>{value}</span>
+    </>
+  );
+}
+
+function Readout({ x, reading, approxLabel }) {
+  const { f, s, jump } = reading;
+  return (
+    <div className="grid grid-cols-[auto_auto] gap-x-3 gap-y-0.5">
+      <Reading label="x" value={`${formatPiMultiple(x)} (${x.toFixed(4)})`} className="text-slate-700" />
+      <Reading label="f(x)" value={formatValue(f)} className="text-slate-700" />
+      {jump && <Reading label="左 / 右极限" value={`${formatValue(jump.left)} / ${formatValue(jump.right)}`} className="text-slate-500" />}
+      {jump && <Reading label="中点" value={formatValue((jump.left + jump.right) / 2)} className="text-amber-600" />}
+      <Reading label={approxLabel} value={formatValue(s)} className="text-indigo-600" />
+      <Reading
+        label={jump ? '|中点 − S_N|' : '|f − S_N|'}
+        value={s === null ? '—' : Math.abs((jump ? (jump.left + jump.right) / 2 : f) - s).toExponential(2)}
+        className="text-red-500"
+      />
+    </div>
+  );
+}
+
+export default function ProbeOverlay({ hoverX, probes, viewRange, evaluate, approxLabel, onRemove, onClear }) {
+  const { xMin, xMax, yMin, yMax } = viewRange;
+  const xPct = (x) => ((x - xMin) / (xMax - xMin)) * 100;
+  const yPct = (y) => ((yMax - y) / (yMax - yMin)) * 100;
+  const visible = (x) => x >= xMin && x <= xMax;
+
+  const hover = hoverX !== null && visible(hoverX) ? { x: hoverX, reading: evaluate(hoverX) } : null;
+  const pinned = probes.map((probe, i) => ({ ...probe, index: i + 1, reading: evaluate(probe.x) }));
+
+  // 函数值所在的点 (超出视图的不画)
+  const markers = (x, { f, s }, color) => (
+    <>
+      {Number.isFinite(f) && <circle cx={`${xPct(x)}%`} cy={`${yPct(f)}%`} r="3.5" fill="#334155" />}
+      {s !== null && Number.isFinite(s) && <circle cx={`${xPct(x)}%`} cy={`${yPct(s)}%`} r="3.5" fill={color} stroke="#ffffff" strokeWidth="1" />}
+    </>
+  );
+
+  return (
+    <>
+      <svg className="absolute inset-0 w-full h-full pointer-events-none overflow-hidden">
+        {pinned.filter((probe) => visible(probe.x)).map((probe) => (
+          <g key={probe.id}>
+            <line x1={`${xPct(probe.x)}%`} x2={`${xPct(probe.x)}%`} y1="0" y2="100%" stroke={PROBE_COLOR} strokeWidth="1.5" strokeDasharray="5 4" />
+            {markers(probe.x, probe.reading, PROBE_COLOR)}
+            <text x={`${xPct(probe.x)}%`} y="100%" dx="4" dy="-28" fontSize="11" fontWeight="bold" fill={PROBE_COLOR}>P{probe.index}</text>
+          </g>
+        ))}
+        {hover && (
+          <g>
+            <line x1={`${xPct(hover.x)}%`} x2={`${xPct(hover.x)}%`} y1="0" y2="100%" stroke="#64748b" strokeWidth="1" strokeDasharray="3 3" />
+            {Number.isFinite(hover.reading.f) && (
+              <line x1="0" x2="100%" y1={`${yPct(hover.reading.f)}%`} y2={`${yPct(hover.reading.f)}%`} stroke="#94a3b8" strokeWidth="1" strokeDasharray="3 3" />
+            )}
+            {markers(hover.x, hover.reading, '#6366f1')}
+          </g>
+        )}
+      </svg>
+
+      {/* 悬停读数：靠右时翻到准线左侧 */}
+      {hover && (
+        <div
+          className="absolute top-1/2 bg-white/95 backdrop-blur-sm rounded-lg border border-slate-200 shadow-sm px-2.5 py-1.5 text-[10px] pointer-events-none"
+          style={{
+            left: `${xPct(hover.x)}%`,
+            transform: `translate(${xPct(hover.x) > 65 ? 'calc(-100% - 10px)' : '10px'}, -50%)`,
+          }}
+        >
+          <Readout x={hover.x} reading={hover.reading} approxLabel={approxLabel} />
+        </div>
+      )}
+
+      {/* 探针列表 */}
+      {pinned.length > 0 && (
+        <div
+          className="absolute top-4 left-1/2 -translate-x-1/2 max-w-[60%] max-h-[40%] overflow-y-auto bg-white/95 backdrop-blur-sm rounded-lg border border-slate-200 shadow-sm px-2.5 py-1.5 text-[10px] cursor-default z-10"
+          onPointerDown={(e) => e.stopPropagation()}
+          onPointerMove={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between gap-4 mb-1">
+            <span className="font-bold flex items-center gap-1" style={{ color: PROBE_COLOR }}>
+              <Crosshair className="w-3 h-3" /> 探针
+            </span>
+            <button onClick={onClear} className="text-slate-400 hover:text-red-500 transition-colors">全部清除</button>
+          </div>
+          <div className="flex flex-wrap gap-x-4 gap-y-1.5">
+            {pinned.map((probe) => (
+              <div key={probe.id} className="flex items-start gap-1.5">
+                <span className="font-bold" style={{ color: PROBE_COLOR }}>P{probe.index}</span>
+                <Readout x={probe.x} reading={probe.reading} approxLabel={approxLabel} />
+                <button onClick={() => onRemove(probe.id)} className="text-slate-400 hover:text-red-500 transition-colors" title="移除探针">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
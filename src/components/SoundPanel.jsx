@@ -0,0 +1,174 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Volume2, Square, Play, Download } from 'lucide-react';
+import { encodeWav, tilePeriod } from '../utils/wav';
+
+/**
+ * 声音面板
+ * 以给定基频把一个周期的原函数或部分和 S_N 合成为声音：
+ *  - Web Audio 循环播放一个周期的缓冲区，N 或信号源变化时立即替换
+ *  - 导出 2 秒的 16 位 PCM WAV 文件
+ * synthesize(source, count) 由父组件提供，返回一个周期 count 个样本 (已归一化到 [-1, 1])。
+ */
+
+const SAMPLE_RATE = 44100;
+const EXPORT_SECONDS = 2;
+
+const SOURCES = [
+  { id: 'original', label: '原函数' },
+  { id: 'fourier', label: '部分和 S_N' },
+];
+
+export default function SoundPanel({ synthesize, fileLabel }) {
+  const [playing, setPlaying] = useState(false);
+  const [source, setSource] = useState('fourier');
+  const [frequency, setFrequency] = useState(220);
+  const [volume, setVolume] = useState(0.3);
+  // 无法播放时的提示 (浏览器不支持 Web Audio，或自动播放策略阻止了音频)
+  const [notice, setNotice] = useState(null);
+
+  const audioRef = useRef({ context: null, gain: null, node: null });
+
+  // 播放 / 参数变化：重新生成一个周期的缓冲区并循环播放
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!playing) {
+      if (audio.node) {
+        audio.node.stop();
+        audio.node = null;
+      }
+      return;
+    }
+
+    if (!audio.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) {
+        setPlaying(false);
+        setNotice('当前浏览器不支持 Web Audio，无法播放');
+        return;
+      }
+      audio.context = new AudioContextClass();
+      audio.gain = audio.context.createGain();
+      audio.gain.connect(audio.context.destination);
+    }
+    const ctx = audio.context;
+    if (ctx.state === 'suspended') {
+      ctx.resume().catch(() => {
+        setPlaying(false);
+        setNotice('浏览器阻止了音频播放，请再点击一次“播放”');
+      });
+    }
+
+    const count = Math.max(2, Math.round(ctx.sampleRate / frequency));
+    const period = synthesize(source, count);
+    const buffer = ctx.createBuffer(1, count, ctx.sampleRate);
+    buffer.copyToChannel(period, 0);
+
+    const node = ctx.createBufferSource();
+    node.buffer = buffer;
+    node.loop = true;
+    node.connect(audio.gain);
+    node.start();
+    if (audio.node) audio.node.stop();
+    audio.node = node;
+  }, [playing, synthesize, source, frequency]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (audio.gain) audio.gain.gain.value = volume;
+  }, [volume, playing]);
+
+  // 卸载时释放音频设备
+  useEffect(() => () => {
+    const audio = audioRef.current;
+    if (audio.node) audio.node.stop();
+    if (audio.context) audio.context.close();
+  }, []);
+
+  const downloadWav = () => {
+    const count = Math.max(2, Math.round(SAMPLE_RATE / frequency));
+    const period = synthesize(source, count);
+    // 导出文件不受播放音量影响，保持归一化后的电平
+    const samples = tilePeriod(period, SAMPLE_RATE * EXPORT_SECONDS);
+    const blob = new Blob([encodeWav(samples, SAMPLE_RATE)], { type: 'audio/wav' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = `${fileLabel}_${source === 'fourier' ? 'SN' : 'original'}_${Math.round(frequency)}Hz.wav`;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  return (
+    <div className="bg-slate-50 p-4 rounded-xl border border-slate-200/60 space-y-3">
+      <div className="flex justify-between items-center">
+        <label className="text-sm font-bold text-slate-700 flex items-center gap-1.5">
+          <Volume2 className="w-4 h-4 text-indigo-500" /> 声音
+        </label>
+        <div className="flex p-0.5 bg-slate-200/70 rounded-md">
+          {SOURCES.map((item) => (
+            <button
+              key={item.id}
+              onClick={() => setSource(item.id)}
+              className={`px-2 py-0.5 text-[10px] font-medium rounded transition-all ${
+                source === item.id ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <span className="text-[10px] text-slate-500 w-8">基频</span>
+        <input
+          type="range"
+          min="50"
+          max="1000"
+          step="1"
+          value={frequency}
+          onChange={(e) => setFrequency(parseFloat(e.target.value))}
+          className="flex-1 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+        />
+        <span className="text-[10px] text-slate-500 font-mono w-12 text-right">{frequency} Hz</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <span className="text-[10px] text-slate-500 w-8">音量</span>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.01"
+          value={volume}
+          onChange={(e) => setVolume(parseFloat(e.target.value))}
+          className="flex-1 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+        />
+        <span className="text-[10px] text-slate-500 font-mono w-12 text-right">{Math.round(volume * 100)}%</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={() => {
+            setNotice(null);
+            setPlaying(!playing);
+          }}
+          className={`flex items-center justify-center py-2 rounded-lg text-xs font-bold transition-all ${
+            playing
+              ? 'bg-amber-100 text-amber-700 hover:bg-amber-200'
+              : 'bg-indigo-600 text-white hover:bg-indigo-700 shadow-md'
+          }`}
+        >
+          {playing ? <Square className="w-3.5 h-3.5 mr-1.5" /> : <Play className="w-3.5 h-3.5 mr-1.5" />}
+          {playing ? '停止' : '播放'}
+        </button>
+        <button
+          onClick={downloadWav}
+          className="flex items-center justify-center py-2 rounded-lg text-xs font-bold text-slate-600 bg-white border border-slate-200 hover:bg-slate-50 transition-colors"
+        >
+          <Download className="w-3.5 h-3.5 mr-1.5" /> 下载 WAV
+        </button>
+      </div>
+      {notice && <p className="text-[11px] text-amber-600">{notice}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+import React, { useEffect, useRef } from 'react';
+import { BarChart3 } from 'lucide-react';
+
+/**
+ * 谐波频谱面板
+ * 上下两张柱状图：
+ *  - 'ab' 模式：a_n 与 b_n
+ *  - 'polar' 模式：幅值 A_n = √(a_n² + b_n²) 与相位 φ_n = atan2(b_n, a_n)
+ *    (a_n cos θ + b_n sin θ = A_n cos(θ − φ_n))
+ * n = 0 处的柱为直流分量 a_0/2。当前 N 所包含的谐波高亮显示。
+ */
+
+const LOG_FLOOR = 1e-6;
+
+const COLORS = {
+  included: '#6366f1',
+  excluded: '#cbd5e1',
+  axis: '#cbd5e1',
+  grid: '#f1f5f9',
+  label: '#94a3b8',
+  title: '#475569',
+};
+
+// 在指定矩形区域内绘制一张柱状图
+// values[n] 为第 n 次谐波的值 (n = 0 为直流)，null 表示不绘制
+const drawBars = (ctx, rect, values, { title, isIncluded, scale, symmetric, fixedMax, tickLabel }) => {
+  const { x, y, w, h } = rect;
+  const count = values.length;
+  const padLeft = 34;
+  const padTop = 16;
+  const padBottom = 14;
+  const plotX = x + padLeft;
+  const plotW = w - padLeft - 6;
+  const plotY = y + padTop;
+  const plotH = h - padTop - padBottom;
+
+  ctx.fillStyle = COLORS.title;
+  ctx.font = 'bold 10px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(title, x + 4, y + 2);
+
+  const finite = values.filter((v) => v !== null && Number.isFinite(v));
+  const peak = Math.max(...finite.map((v) => Math.abs(v)), 1e-12);
+
+  // 数值 -> 像素高度
+  let mapV;
+  let baseline;
+  if (scale === 'log') {
+    const logMax = Math.ceil(Math.log10(peak));
+    const logMin = Math.max(Math.log10(LOG_FLOOR), logMax - 6);
+    mapV = (v) => {
+      const lv = Math.max(logMin, Math.log10(Math.max(Math.abs(v), LOG_FLOOR)));
+      return plotY + plotH - ((lv - logMin) / (logMax - logMin)) * plotH;
+    };
+    baseline = plotY + plotH;
+
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.strokeStyle = COLORS.grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let e = logMin; e <= logMax; e += 2) {
+      const py = plotY + plotH - ((e - logMin) / (logMax - logMin)) * plotH;
+      ctx.moveTo(plotX, py);
+      ctx.lineTo(plotX + plotW, py);
+      ctx.fillStyle = COLORS.label;
+      ctx.fillText(`1e${e}`, plotX - 4, py);
+    }
+    ctx.stroke();
+  } else {
+    // fixedMax 给定时使用固定量程 (如相位 ±π)
+    const tick = fixedMax || peak;
+    const top = fixedMax || peak * 1.1;
+    const bottom = symmetric ? -top : 0;
+    mapV = (v) => plotY + plotH - ((v - bottom) / (top - bottom)) * plotH;
+    baseline = mapV(0);
+
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = COLORS.label;
+    ctx.fillText(tickLabel ? tickLabel(tick) : tick.toPrecision(2), plotX - 4, mapV(tick));
+    if (symmetric) ctx.fillText(tickLabel ? tickLabel(-tick) : (-tick).toPrecision(2), plotX - 4, mapV(-tick));
+  }
+
+  // 坐标轴
+  ctx.strokeStyle = COLORS.axis;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(plotX, plotY);
+  ctx.lineTo(plotX, plotY + plotH);
+  ctx.moveTo(plotX, baseline);
+  ctx.lineTo(plotX + plotW, baseline);
+  ctx.stroke();
+
+  // 柱子
+  const slot = plotW / count;
+  const barW = Math.max(1, slot * 0.7);
+  for (let n = 0; n < count; n++) {
+    const v = values[n];
+    if (v === null || !Number.isFinite(v)) continue;
+    const px = plotX + n * slot + (slot - barW) / 2;
+    const py = mapV(v);
+    ctx.fillStyle = isIncluded(n) ? COLORS.included : COLORS.excluded;
+    ctx.fillRect(px, Math.min(py, baseline), barW, Math.max(1, Math.abs(baseline - py)));
+  }
+
+  // 横轴刻度：约 6 个
+  ctx.fillStyle = COLORS.label;
+  ctx.font = '9px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  const tickEvery = Math.max(1, Math.ceil(count / 6));
+  for (let n = 0; n < count; n += tickEvery) {
+    ctx.fillText(`${n}`, plotX + (n + 0.5) * slot, plotY + plotH + 2);
+  }
+};
+
+export default function SpectrumPanel({ coeffs, harmonicCount, isIncluded, highestIncluded, mode, scale, onModeChange, onScaleChange }) {
+  const canvasRef = useRef(null);
+  const wrapperRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const wrapper = wrapperRef.current;
+    if (!canvas || !wrapper) return;
+
+    const render = () => {
+      canvas.width = wrapper.clientWidth;
+      canvas.height = wrapper.clientHeight;
+      const ctx = canvas.getContext('2d');
+      const width = canvas.width;
+      const height = canvas.height;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+
+      if (!coeffs) {
+        ctx.fillStyle = COLORS.label;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('暂无系数 (请检查输入)', width / 2, height / 2);
+        return;
+      }
+
+      const count = Math.min(harmonicCount, coeffs.an.length) + 1;
+      const top = [];
+      const bottom = [];
+      for (let n = 0; n < count; n++) {
+        const a = n === 0 ? coeffs.a0 / 2 : coeffs.an[n - 1];
+        const b = n === 0 ? 0 : coeffs.bn[n - 1];
+        if (mode === 'polar') {
+          const amp = Math.hypot(a, b);
+          top.push(amp);
+          bottom.push(amp > 1e-9 ? Math.atan2(b, a) : null);
+        } else {
+          top.push(a);
+          bottom.push(n === 0 ? null : b);
+        }
+      }
+
+      const half = { x: 0, w: width, h: height / 2 };
+      if (mode === 'polar') {
+        drawBars(ctx, { ...half, y: 0 }, top, { title: '幅值 Aₙ', isIncluded, scale, symmetric: false });
+        drawBars(ctx, { ...half, y: height / 2 }, bottom, {
+          title: '相位 φₙ (rad)',
+          isIncluded,
+          scale: 'linear',
+          symmetric: true,
+          fixedMax: Math.PI,
+          tickLabel: (v) => (v > 0 ? 'π' : '-π'),
+        });
+      } else {
+        drawBars(ctx, { ...half, y: 0 }, top, { title: 'aₙ (cos)', isIncluded, scale, symmetric: scale !== 'log' });
+        drawBars(ctx, { ...half, y: height / 2 }, bottom, { title: 'bₙ (sin)', isIncluded, scale, symmetric: scale !== 'log' });
+      }
+    };
+
+    render();
+    const observer = new ResizeObserver(render);
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, [coeffs, harmonicCount, isIncluded, mode, scale]);
+
+  const toggleClass = (active) => `px-2 py-0.5 text-[10px] font-medium rounded-md transition-all ${
+    active ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+  }`;
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 min-w-0">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-slate-100">
+        <h3 className="text-xs font-bold text-slate-600 flex items-center gap-1.5">
+          <BarChart3 className="w-3.5 h-3.5 text-indigo-500" /> 谐波频谱
+        </h3>
+        <div className="flex gap-1">
+          <div className="flex p-0.5 bg-slate-100 rounded-md">
+            <button onClick={() => onModeChange('ab')} className={toggleClass(mode === 'ab')}>aₙ/bₙ</button>
+            <button onClick={() => onModeChange('polar')} className={toggleClass(mode === 'polar')}>幅/相</button>
+          </div>
+          <div className="flex p-0.5 bg-slate-100 rounded-md">
+            <button onClick={() => onScaleChange('linear')} className={toggleClass(scale === 'linear')}>线性</button>
+            <button onClick={() => onScaleChange('log')} className={toggleClass(scale === 'log')}>对数</button>
+          </div>
+        </div>
+      </div>
+      <div ref={wrapperRef} className="flex-1 relative min-h-0">
+        <canvas ref={canvasRef} className="w-full h-full block" />
+      </div>
+      <p className="px-3 py-1.5 text-[10px] text-slate-400 border-t border-slate-100">
+        <span className="inline-block w-2 h-2 rounded-sm bg-indigo-500 mr-1 align-middle" />
+        已包含：最高 {highestIncluded} 次谐波
+        {scale === 'log' && '，对数坐标显示 |值|'}
+      </p>
+    </div>
+  );
+}
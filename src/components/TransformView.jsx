@@ -0,0 +1,194 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { TRANSFORM_PULSES, pulseValue, pulseTransform, periodicExtension, lineSpectrum } from '../fourier';
+
+/**
+ * 傅里叶变换视图
+ * 上方为时域：以周期 T 延拓的 f_T(t) (蓝) 与单个脉冲 f(t) (灰虚线)，竖虚线标出一个周期 [−T/2, T/2)；
+ * 下方为频域：连续谱 |F(ω)| (灰) 与延拓函数的离散谱线 (橙，位于 nω₀，ω₀ = 2π/T)。
+ * scaleByPeriod 时谱线高度为 T·|c_n|，T 增大时谱线变密并贴合 |F(ω)|；否则画 |c_n|，连续谱相应画成 |F(ω)|/T。
+ */
+
+// 频域显示范围 ω ∈ [−OMEGA_MAX, OMEGA_MAX] (rad/s)，对所有脉冲与宽度固定，便于比较谱的宽窄
+const OMEGA_MAX = 40;
+const PADDING = { left: 48, right: 24, top: 28, bottom: 28 };
+// 时域与频域面板的高度比例
+const TIME_FRACTION = 0.4;
+const CURVE_SAMPLES = 800;
+
+// 坐标轴刻度：步长取 1、2、5 × 10^k 中使刻度数接近 target 的一个
+const niceStep = (span, target) => {
+  const raw = span / target;
+  const base = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map((m) => m * base).find((step) => step >= raw);
+};
+
+export default function TransformView({ pulse, width, period, scaleByPeriod }) {
+  const canvasRef = useRef(null);
+  const wrapperRef = useRef(null);
+
+  const spectrum = useMemo(() => lineSpectrum(pulse, width, period, OMEGA_MAX), [pulse, width, period]);
+  const info = TRANSFORM_PULSES.find((p) => p.id === pulse);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const wrapper = wrapperRef.current;
+    if (!canvas || !wrapper) return;
+
+    const render = () => {
+      const dpr = window.devicePixelRatio || 1;
+      const w = wrapper.clientWidth;
+      const h = wrapper.clientHeight;
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+      ctx.font = '11px sans-serif';
+
+      const plotLeft = PADDING.left;
+      const plotWidth = w - PADDING.left - PADDING.right;
+      const split = h * TIME_FRACTION;
+
+      // 一块面板的坐标映射与坐标轴
+      const panel = (top, bottom, [xMin, xMax], [yMin, yMax], xTicks, xLabel, yLabel) => {
+        const plotTop = top + PADDING.top;
+        const plotHeight = bottom - top - PADDING.top - PADDING.bottom;
+        const mapX = (x) => plotLeft + ((x - xMin) / (xMax - xMin)) * plotWidth;
+        const mapY = (y) => plotTop + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+
+        ctx.strokeStyle = '#cbd5e1';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(plotLeft, mapY(0));
+        ctx.lineTo(plotLeft + plotWidth, mapY(0));
+        ctx.moveTo(mapX(0), plotTop);
+        ctx.lineTo(mapX(0), plotTop + plotHeight);
+        ctx.stroke();
+
+        ctx.fillStyle = '#94a3b8';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (const { value, label } of xTicks) {
+          ctx.fillText(label, mapX(value), Math.min(mapY(0), plotTop + plotHeight) + 4);
+        }
+        ctx.textAlign = 'right';
+        ctx.fillText(xLabel, plotLeft + plotWidth, plotTop + plotHeight + 14);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(yLabel, mapX(0) + 6, plotTop);
+        return { mapX, mapY, xMin, xMax };
+      };
+
+      const traceCurve = ({ mapX, mapY, xMin, xMax }, fn, color, lineWidth, dash = []) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        for (let i = 0; i <= CURVE_SAMPLES; i++) {
+          const x = xMin + ((xMax - xMin) * i) / CURVE_SAMPLES;
+          if (i === 0) ctx.moveTo(mapX(x), mapY(fn(x)));
+          else ctx.lineTo(mapX(x), mapY(fn(x)));
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+      };
+
+      // --- 时域 ---
+      const tMax = 1.25 * period;
+      const tStep = niceStep(2 * tMax, 8);
+      const tTicks = [];
+      for (let t = Math.ceil(-tMax / tStep) * tStep; t <= tMax; t += tStep) {
+        if (Math.abs(t) > 1e-9) tTicks.push({ value: t, label: String(+t.toPrecision(3)) });
+      }
+      // 周期较短时相邻各段重叠，延拓后的函数可能高于单个脉冲
+      const extension = periodicExtension(pulse, width, period);
+      let highest = 1;
+      for (let i = 0; i <= CURVE_SAMPLES; i++) highest = Math.max(highest, extension(-period / 2 + (period * i) / CURVE_SAMPLES));
+      const yLow = pulse === 'wavepacket' ? -1.15 * highest : -0.15 * highest;
+      const time = panel(0, split, [-tMax, tMax], [yLow, 1.2 * highest], tTicks, 't', 'f(t)');
+
+      ctx.strokeStyle = '#e2e8f0';
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      for (const edge of [-period / 2, period / 2]) {
+        ctx.moveTo(time.mapX(edge), PADDING.top);
+        ctx.lineTo(time.mapX(edge), split - PADDING.bottom);
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      traceCurve(time, extension, '#6366f1', 2);
+      traceCurve(time, (t) => pulseValue(pulse, t, width), '#64748b', 1.5, [5, 4]);
+
+      ctx.fillStyle = '#64748b';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText('T', time.mapX(0) + (time.mapX(period / 2) - time.mapX(0)) / 2, PADDING.top + 12);
+
+      // --- 频域 ---
+      const { omega0, magnitudes } = spectrum;
+      const scale = scaleByPeriod ? period : 1;
+      let peak = 0;
+      for (let i = 0; i <= CURVE_SAMPLES; i++) {
+        peak = Math.max(peak, Math.abs(pulseTransform(pulse, -OMEGA_MAX + (2 * OMEGA_MAX * i) / CURVE_SAMPLES, width)));
+      }
+      const yMax = (1.15 * peak) / (scaleByPeriod ? 1 : period);
+      const omegaTicks = [];
+      for (let omega = -OMEGA_MAX; omega <= OMEGA_MAX; omega += 10) {
+        if (omega !== 0) omegaTicks.push({ value: omega, label: String(omega) });
+      }
+      const freq = panel(split, h, [-OMEGA_MAX, OMEGA_MAX], [0, yMax], omegaTicks, 'ω', scaleByPeriod ? '|F(ω)|, T·|c_n|' : '|F(ω)|/T, |c_n|');
+
+      traceCurve(freq, (omega) => Math.abs(pulseTransform(pulse, omega, width)) / (scaleByPeriod ? 1 : period), '#94a3b8', 2);
+
+      // 谱线：太密时省略圆点
+      const dots = omega0 * (plotWidth / (2 * OMEGA_MAX)) > 6;
+      ctx.strokeStyle = 'rgba(249, 115, 22, 0.85)';
+      ctx.fillStyle = '#f97316';
+      ctx.lineWidth = 1.5;
+      for (let n = -(magnitudes.length - 1); n < magnitudes.length; n++) {
+        const omega = n * omega0;
+        if (Math.abs(omega) > OMEGA_MAX) continue;
+        const x = freq.mapX(omega);
+        const y = freq.mapY(scale * magnitudes[Math.abs(n)]);
+        ctx.beginPath();
+        ctx.moveTo(x, freq.mapY(0));
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        if (dots) {
+          ctx.beginPath();
+          ctx.arc(x, y, 2.5, 0, 2 * Math.PI);
+          ctx.fill();
+        }
+      }
+    };
+
+    render();
+    const observer = new ResizeObserver(render);
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, [pulse, width, period, scaleByPeriod, spectrum]);
+
+  const lineCount = 2 * Math.floor(OMEGA_MAX / spectrum.omega0) + 1;
+
+  return (
+    <div ref={wrapperRef} className="absolute inset-0 bg-slate-50">
+      <canvas ref={canvasRef} className="w-full h-full block" />
+      <div className="absolute bottom-10 right-4 bg-white/90 backdrop-blur-sm rounded-lg border border-slate-200 shadow-sm px-3 py-2 text-[11px] text-slate-500 space-y-0.5 pointer-events-none">
+        <p className="flex items-center gap-2">
+          <span className="inline-block w-4 h-0.5 bg-indigo-500" /> 周期延拓 f_T(t)
+          <span className="inline-block w-4 h-0.5 border-t border-dashed border-slate-500 ml-2" /> 单个脉冲 f(t)
+        </p>
+        <p className="flex items-center gap-2">
+          <span className="inline-block w-4 h-0.5 bg-slate-400" /> {scaleByPeriod ? '|F(ω)|' : '|F(ω)|/T'}
+          <span className="inline-block w-0.5 h-3 bg-orange-500 ml-2" /> {scaleByPeriod ? 'T·|c_n|' : '|c_n|'}
+        </p>
+        <p className="font-mono">{info.formula}</p>
+        <p className="font-mono">
+          T = {period.toPrecision(3)} · ω₀ = 2π/T = {spectrum.omega0.toPrecision(3)} · 可见谱线 {lineCount} 条
+        </p>
+      </div>
+    </div>
+  );
+}
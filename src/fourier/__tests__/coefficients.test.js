@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PI,
+  makeInterval,
+  waveformValue,
+  calculateCoefficientsNumerical,
+  analyticCoefficients,
+  highestHarmonic,
+  coefficientsFromSamples,
+  builtinJumps,
+} from '../index.js';
+
+const H = 40;
+
+// 逐项比较两组系数，返回最大绝对误差
+const maxDifference = (p, q, count) => {
+  let max = Math.abs(p.a0 - q.a0);
+  for (let i = 0; i < count; i++) {
+    max = Math.max(max, Math.abs(p.an[i] - q.an[i]), Math.abs(p.bn[i] - q.bn[i]));
+  }
+  return max;
+};
+
+// 在 [-π, π) 上数值积分与解析系数的比较
+// 跳跃点无需事先给出 (方波在 0 处、锯齿波在 ±π 处)，数值积分会自行扫描
+const TYPES = ['square', 'triangle', 'sawtooth'];
+
+for (const type of TYPES) {
+  test(`numerical coefficients match analytic ones for ${type}`, () => {
+    const numerical = calculateCoefficientsNumerical((x) => waveformValue(x, type), H, [-PI, PI]);
+    const analytic = analyticCoefficients(type, H);
+    assert.ok(maxDifference(numerical, analytic, H) < 1e-8);
+  });
+
+  // 直接对含跳跃的采样做 FFT 只有 O(1/M) 精度
+  test(`FFT coefficients match analytic ones for ${type}`, () => {
+    const size = 4096;
+    const values = Array.from({ length: size }, (_, j) => waveformValue(-PI + (j / size) * 2 * PI, type));
+    const sampled = coefficientsFromSamples(values, H, -PI, 2 * PI);
+    const analytic = analyticCoefficients(type, H);
+    assert.ok(maxDifference(sampled, analytic, H) < 2e-3);
+  });
+}
+
+// 带参数的内置波形：幅值、偏移、相移、占空比与斜度都体现在解析系数中
+const PARAMETRIC = [
+  ['pulse', { duty: 0.2 }],
+  ['halfwave', {}],
+  ['fullwave', {}],
+  ['parabolic', {}],
+  ['triangle', { skew: 0.8 }],
+  ['square', { amplitude: 2.5, offset: -0.5, phase: 1 }],
+  ['pulse', { amplitude: -1, offset: 0.3, phase: -2.2, duty: 0.65 }],
+];
+
+for (const [type, params] of PARAMETRIC) {
+  test(`numerical coefficients match analytic ones for ${type} ${JSON.stringify(params)}`, () => {
+    const fn = (x) => waveformValue(x, type, undefined, null, params);
+    const numerical = calculateCoefficientsNumerical(fn, H, [-PI, PI]);
+    const analytic = analyticCoefficients(type, H, params);
+    assert.ok(maxDifference(numerical, analytic, H) < 1e-8);
+  });
+}
+
+test('jumps of the built-in waveforms follow the phase shift and duty cycle', () => {
+  const interval = makeInterval(0, 2);
+  assert.deepEqual(builtinJumps('triangle', interval), []);
+  assert.deepEqual(builtinJumps('sawtooth', interval), [0]);
+  const [first, second] = builtinJumps('pulse', interval, { duty: 0.25, phase: PI / 2 });
+  assert.ok(Math.abs(first - 1.25) < 1e-12 && Math.abs(second - 1.75) < 1e-12);
+  for (const x of [first, second]) {
+    const left = waveformValue(x - 1e-9, 'pulse', interval, null, { duty: 0.25, phase: PI / 2 });
+    const right = waveformValue(x + 1e-9, 'pulse', interval, null, { duty: 0.25, phase: PI / 2 });
+    assert.equal(Math.abs(right - left), 1);
+  }
+});
+
+test('numerical coefficients stay accurate for thousands of harmonics', () => {
+  const count = 2000;
+  const numerical = calculateCoefficientsNumerical((x) => waveformValue(x, 'square'), count, [-PI, PI], [0]);
+  const analytic = analyticCoefficients('square', count);
+  assert.ok(numerical.an instanceof Float64Array);
+  assert.ok(maxDifference(numerical, analytic, count) < 1e-8);
+});
+
+test('numerical coefficients of a function with a kink', () => {
+  // x² 在 [-π, π) 上：a0 = 2π²/3，a_n = 4(−1)ⁿ/n²
+  const coeffs = calculateCoefficientsNumerical((x) => x * x, H, [-PI, PI]);
+  assert.ok(Math.abs(coeffs.a0 - (2 * PI * PI) / 3) < 1e-8);
+  for (let n = 1; n <= H; n++) {
+    assert.ok(Math.abs(coeffs.an[n - 1] - (4 * (n % 2 ? -1 : 1)) / (n * n)) < 1e-8);
+    assert.ok(Math.abs(coeffs.bn[n - 1]) < 1e-8);
+  }
+});
+
+test('analytic coefficients contain only the expected harmonics', () => {
+  const square = analyticCoefficients('square', 6);
+  assert.deepEqual(Array.from(square.an), [0, 0, 0, 0, 0, 0]);
+  assert.equal(square.bn[1], 0);
+  assert.ok(Math.abs(square.bn[0] - 4 / PI) < 1e-12);
+
+  const triangle = analyticCoefficients('triangle', 6);
+  assert.deepEqual(Array.from(triangle.bn), [0, 0, 0, 0, 0, 0]);
+  assert.ok(Math.abs(triangle.an[2] - 8 / (9 * PI * PI)) < 1e-12);
+
+  const sawtooth = analyticCoefficients('sawtooth', 2);
+  assert.ok(sawtooth.bn[0] > 0 && sawtooth.bn[1] < 0);
+});
+
+test('numerical coefficients on a non-standard interval', () => {
+  // f(x) = 1 + cos(2πx) + 0.5 sin(4πx) 在 [0, 1) 上
+  const interval = makeInterval(0, 1);
+  const fn = (x) => 1 + Math.cos(2 * PI * x) + 0.5 * Math.sin(4 * PI * x);
+  const coeffs = calculateCoefficientsNumerical(fn, 4, [interval.a, interval.b]);
+  assert.ok(Math.abs(coeffs.a0 - 2) < 1e-6);
+  assert.ok(Math.abs(coeffs.an[0] - 1) < 1e-6);
+  assert.ok(Math.abs(coeffs.bn[1] - 0.5) < 1e-6);
+  assert.ok(Math.abs(coeffs.an[2]) < 1e-6 && Math.abs(coeffs.bn[3]) < 1e-6);
+});
+
+test('highest harmonic counts odd harmonics for square and triangle', () => {
+  assert.equal(highestHarmonic('square', 5), 9);
+  assert.equal(highestHarmonic('triangle', 1), 1);
+  assert.equal(highestHarmonic('sawtooth', 5), 5);
+  assert.equal(highestHarmonic('custom', 7), 7);
+  // 非对称三角波同时含偶次谐波
+  assert.equal(highestHarmonic('triangle', 5, { skew: 0.7 }), 5);
+  assert.equal(highestHarmonic('square', 5, { phase: 1, amplitude: 3 }), 9);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resampleClosedCurve, complexFourierSeries, curvePoint, reconstructCurve } from '../index.js';
+
+const SQUARE = [[0, 0], [100, 0], [100, 100], [0, 100]];
+
+// 圆心 (cx, cy)、半径 r 的正 count 边形 (逆时针，起点在 θ = 0)
+const polygon = (count, r, cx = 0, cy = 0) =>
+  Array.from({ length: count }, (_, i) => [cx + r * Math.cos((2 * Math.PI * i) / count), cy + r * Math.sin((2 * Math.PI * i) / count)]);
+
+test('closed curves are resampled at equal arc length', () => {
+  const { xs, ys } = resampleClosedCurve(SQUARE, 16);
+  // 周长 400，每 25 取一点，第 4、8、12 个点正好是顶点
+  assert.deepEqual([xs[1], ys[1]], [25, 0]);
+  assert.deepEqual([xs[4], ys[4]], [100, 0]);
+  assert.deepEqual([xs[10], ys[10]], [50, 100]);
+  assert.deepEqual([xs[14], ys[14]], [0, 50]);
+  assert.equal(resampleClosedCurve([[1, 1], [1, 1]], 16), null);
+  assert.equal(resampleClosedCurve([[1, 1]], 16), null);
+});
+
+test('a circle is a single rotating term around its centre', () => {
+  const series = complexFourierSeries(polygon(720, 40, 10, -5), 256);
+  assert.ok(Math.abs(series.center.re - 10) < 1e-9 && Math.abs(series.center.im + 5) < 1e-9);
+  const [first, second] = series.terms;
+  assert.equal(first.k, 1);
+  assert.ok(Math.abs(first.amp - 40) < 0.01);
+  assert.ok(second.amp < 1e-3 * first.amp);
+});
+
+test('terms are sorted by magnitude', () => {
+  const { terms } = complexFourierSeries(SQUARE, 256);
+  assert.equal(terms.length, 255);
+  assert.ok(terms.every((term, i) => i === 0 || term.amp <= terms[i - 1].amp));
+});
+
+test('reconstruction with every term reproduces the samples', () => {
+  const series = complexFourierSeries(SQUARE, 128);
+  const { xs, ys } = reconstructCurve(series, series.terms.length);
+  for (let j = 0; j < 128; j++) {
+    assert.ok(Math.abs(xs[j] - series.samples.xs[j]) < 1e-9);
+    assert.ok(Math.abs(ys[j] - series.samples.ys[j]) < 1e-9);
+  }
+});
+
+test('inverse FFT reconstruction agrees with direct evaluation', () => {
+  const series = complexFourierSeries(SQUARE, 128);
+  for (const N of [1, 3, 10]) {
+    const { xs, ys } = reconstructCurve(series, N);
+    for (const j of [0, 17, 64, 100]) {
+      const { x, y } = curvePoint(series, N, j / 128);
+      assert.ok(Math.abs(x - xs[j]) < 1e-9 && Math.abs(y - ys[j]) < 1e-9);
+    }
+  }
+});
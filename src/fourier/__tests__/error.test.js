@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PI,
+  GIBBS_OVERSHOOT,
+  ERROR_SAMPLES,
+  waveformValue,
+  fourierValue,
+  errorMetrics,
+  fitPowerLaw,
+  convergenceSteps,
+  convergenceCurve,
+  analyticCoefficients,
+  highestHarmonic,
+  findJumps,
+  measureOvershoot,
+} from '../index.js';
+
+test('error metrics of simple signals', () => {
+  const f = [1, 1, 1, 1];
+  const { rms, linf, rel } = errorMetrics(f, [1, 1, 1, 3]);
+  assert.equal(rms, 1);
+  assert.equal(linf, 2);
+  assert.equal(rel, 1);
+  assert.ok(Number.isNaN(errorMetrics([0, 0], [0, 0]).rel));
+});
+
+test('power-law fit recovers the exponent', () => {
+  const points = Array.from({ length: 50 }, (_, i) => ({ n: i + 1, rms: 3 * Math.pow(i + 1, -1.5) }));
+  const { slope, intercept } = fitPowerLaw(points, 'rms', 10);
+  assert.ok(Math.abs(slope + 1.5) < 1e-9);
+  assert.ok(Math.abs(intercept - Math.log10(3)) < 1e-9);
+});
+
+test('convergence steps are dense for small N and end at the maximum', () => {
+  const steps = convergenceSteps(2000);
+  assert.deepEqual(steps.slice(0, 20), Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.equal(steps[steps.length - 1], 2000);
+  assert.ok(steps.every((n, i) => i === 0 || n > steps[i - 1]));
+  assert.ok(steps.length < 80);
+  assert.deepEqual(convergenceSteps(5), [1, 2, 3, 4, 5]);
+});
+
+test('square wave L2 error decays like 1/√N', () => {
+  const xs = Array.from({ length: ERROR_SAMPLES }, (_, i) => -PI + ((i + 0.5) / ERROR_SAMPLES) * 2 * PI);
+  const fs = xs.map((x) => waveformValue(x, 'square'));
+  const points = [];
+  for (let N = 1; N <= 60; N++) {
+    points.push({ n: N, ...errorMetrics(fs, xs.map((x) => fourierValue(x, 'square', N))) });
+  }
+  const { slope } = fitPowerLaw(points, 'rms', 20);
+  assert.ok(Math.abs(slope + 0.5) < 0.05, `slope ${slope}`);
+});
+
+test('jumps of the square wave are located', () => {
+  const jumps = findJumps((x) => waveformValue(x, 'square'), -PI, 2 * PI);
+  // 周期端点处的跳跃可能落在区间任一端，按周期比较
+  const xs = jumps.map((j) => Math.abs(j.x)).sort((p, q) => p - q);
+  assert.equal(xs.length, 2);
+  assert.ok(xs[0] < 1e-6);
+  assert.ok(Math.abs(xs[1] - PI) < 1e-6);
+  assert.deepEqual(findJumps((x) => waveformValue(x, 'triangle'), -PI, 2 * PI), []);
+});
+
+test('Gibbs overshoot approaches the theoretical 8.95%', () => {
+  const [jump] = findJumps((x) => waveformValue(x, 'square'), -PI, 2 * PI).filter((j) => Math.abs(j.x) < 1);
+  const result = measureOvershoot((x) => fourierValue(x, 'square', 100), jump, PI / 4);
+  assert.ok(Math.abs(result.overshoot.pct - GIBBS_OVERSHOOT * 100) < 0.05);
+  assert.ok(Math.abs(result.undershoot.pct - GIBBS_OVERSHOOT * 100) < 0.05);
+});
+
+test('convergence curve matches the error of each partial sum', () => {
+  const size = 256;
+  const xs = Array.from({ length: size }, (_, i) => -PI + ((i + 0.5) / size) * 2 * PI);
+  const fs = xs.map((x) => waveformValue(x, 'sawtooth'));
+  const steps = [1, 2, 5, 10, 20, 40];
+  const orders = steps.map((N) => highestHarmonic('sawtooth', N));
+  const coeffs = analyticCoefficients('sawtooth', 40);
+  for (const method of ['partial', 'fejer', 'lanczos']) {
+    const { points, fits } = convergenceCurve(coeffs, Float64Array.from(xs), fs, steps, orders, method);
+    assert.deepEqual(points.map((p) => p.n), steps);
+    points.forEach(({ n, rms, linf }) => {
+      const expected = errorMetrics(fs, xs.map((x) => fourierValue(x, 'sawtooth', n, { method })));
+      assert.ok(Math.abs(rms - expected.rms) < 1e-9, `${method} N = ${n}`);
+      assert.ok(Math.abs(linf - expected.linf) < 1e-9, `${method} N = ${n}`);
+    });
+    assert.ok(fits.rms.slope < 0);
+  }
+});
+
+test('convergence curve stops at the available harmonics', () => {
+  const coeffs = { a0: 0, an: new Float64Array(3), bn: Float64Array.from([1, 0, 0]) };
+  const thetas = Float64Array.from({ length: 64 }, (_, i) => ((i + 0.5) / 64) * 2 * PI);
+  const fs = thetas.map((t) => Math.sin(t));
+  const { points } = convergenceCurve(coeffs, thetas, fs, [1, 2, 10], [1, 2, 10], 'partial');
+  assert.deepEqual(points.map((p) => p.n), [1, 2, 10]);
+  assert.ok(points.every((p) => p.linf < 1e-12));
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PI,
+  DEFAULT_INTERVAL,
+  makeInterval,
+  wrapToPeriod,
+  waveformValue,
+  analyticCoefficients,
+  fourierValue,
+  summationWeight,
+  summationWeights,
+  SUMMATION_METHODS,
+} from '../index.js';
+
+test('waveforms are periodic over the chosen interval', () => {
+  const interval = makeInterval(0, 2);
+  for (const type of ['square', 'triangle', 'sawtooth']) {
+    for (const x of [0.1, 0.7, 1.3, 1.9]) {
+      const value = waveformValue(x, type, interval);
+      assert.ok(Math.abs(waveformValue(x + 2, type, interval) - value) < 1e-12);
+      assert.ok(Math.abs(waveformValue(x - 4, type, interval) - value) < 1e-12);
+    }
+  }
+  assert.equal(wrapToPeriod(2, interval), 0);
+  assert.equal(wrapToPeriod(-0.5, interval), 1.5);
+});
+
+test('custom waveforms are evaluated on the wrapped x', () => {
+  const seen = [];
+  waveformValue(3 * PI, 'custom', DEFAULT_INTERVAL, (x) => seen.push(x));
+  assert.ok(Math.abs(seen[0] - -PI) < 1e-12);
+  assert.equal(waveformValue(1, 'custom', DEFAULT_INTERVAL, null), 0);
+});
+
+test('partial sums converge to the waveform away from jumps', () => {
+  for (const type of ['square', 'triangle', 'sawtooth']) {
+    for (const x of [-2, -0.7, 0.9, 2.3]) {
+      const error = Math.abs(fourierValue(x, type, 400) - waveformValue(x, type));
+      assert.ok(error < 0.01, `${type} at x = ${x}: error ${error}`);
+    }
+  }
+});
+
+test('custom coefficients reproduce the built-in series on [-π, π)', () => {
+  for (const type of ['square', 'triangle', 'sawtooth']) {
+    const N = 9;
+    const coeffs = analyticCoefficients(type, 100);
+    // 内置波形的 N 项对应最高谐波 2N − 1 (方波、三角波)，自定义按谐波次数截断
+    const M = type === 'sawtooth' ? N : 2 * N - 1;
+    for (const x of [-1.1, 0.4, 2.5]) {
+      const expected = fourierValue(x, type, N);
+      const actual = fourierValue(x, 'custom', M, { coeffs });
+      assert.ok(Math.abs(expected - actual) < 1e-12);
+    }
+  }
+});
+
+test('summation weights start near 1 and vanish past the highest harmonic', () => {
+  for (const { id } of SUMMATION_METHODS) {
+    assert.ok(summationWeight(id, 1, 1000) > 0.99);
+    if (id !== 'partial') assert.ok(Math.abs(summationWeight(id, 11, 10)) < 1e-12);
+  }
+});
+
+test('weight tables agree with the per-harmonic weights', () => {
+  for (const { id } of SUMMATION_METHODS) {
+    const table = summationWeights(id, 50);
+    for (const k of [1, 17, 50]) assert.equal(table[k], summationWeight(id, k, 50));
+  }
+});
+
+test('partial sums of the parameterised waveforms', () => {
+  const interval = makeInterval(-1, 3);
+  const cases = [
+    ['pulse', { duty: 0.3, amplitude: 2, phase: 0.5 }],
+    ['halfwave', { offset: 1 }],
+    ['fullwave', { amplitude: -0.5 }],
+    ['parabolic', { phase: -1 }],
+    ['triangle', { skew: 0.25, offset: 0.2 }],
+  ];
+  for (const [type, params] of cases) {
+    for (const x of [-0.6, 0.45, 1.7, 2.9]) {
+      const error = Math.abs(
+        fourierValue(x, type, 600, { interval, params }) - waveformValue(x, type, interval, null, params)
+      );
+      assert.ok(error < 0.01, `${type} at x = ${x}: error ${error}`);
+    }
+  }
+});
+
+test('the symmetric triangle matches the skew formula and the sawtooth limit', () => {
+  for (const x of [-2.5, -0.3, 1.2]) {
+    assert.ok(Math.abs(waveformValue(x, 'triangle', DEFAULT_INTERVAL, null, { skew: 0.5 }) - (1 - (2 * Math.abs(x)) / PI)) < 1e-12);
+    const nearSawtooth = waveformValue(x, 'triangle', DEFAULT_INTERVAL, null, { skew: 0.999999 });
+    assert.ok(Math.abs(nearSawtooth - waveformValue(x, 'sawtooth')) < 1e-5);
+  }
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_N, sliderToN, nToSlider } from '../index.js';
+
+test('slider endpoints map to N = 1 and N = MAX_N', () => {
+  assert.equal(sliderToN(0), 1);
+  assert.equal(sliderToN(100), MAX_N);
+  assert.equal(sliderToN(-20), 1);
+  assert.equal(sliderToN('150'), MAX_N);
+});
+
+test('slider mapping round-trips every N', () => {
+  for (let n = 1; n <= MAX_N; n++) assert.equal(sliderToN(nToSlider(n)), n);
+});
+
+test('the first third of the slider covers only small N', () => {
+  assert.ok(sliderToN(100 / 3) <= 100);
+});
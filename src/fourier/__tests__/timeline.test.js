@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_N,
+  TIMELINE_SCHEDULES,
+  DEFAULT_TIMELINE,
+  timelineN,
+  timelineProgress,
+  phaseProgress,
+  advancePhase,
+  timelineFrames,
+} from '../index.js';
+
+const schedules = TIMELINE_SCHEDULES.map((s) => s.id);
+
+test('every schedule runs from start to end monotonically', () => {
+  for (const schedule of schedules) {
+    for (const [start, end] of [[1, 100], [200, 3]]) {
+      const timeline = { ...DEFAULT_TIMELINE, start, end, schedule };
+      assert.equal(timelineN(0, timeline), start);
+      assert.equal(timelineN(1, timeline), end);
+      let previous = start;
+      for (let i = 1; i <= 200; i++) {
+        const n = timelineN(i / 200, timeline);
+        assert.ok(Math.sign(end - start) * (n - previous) >= 0, `${schedule} ${start}→${end} at ${i}`);
+        previous = n;
+      }
+    }
+  }
+});
+
+test('N is clamped to 1 … MAX_N', () => {
+  const timeline = { ...DEFAULT_TIMELINE, start: -5, end: MAX_N * 2 };
+  assert.equal(timelineN(0, timeline), 1);
+  assert.equal(timelineN(1, timeline), MAX_N);
+  assert.equal(timelineN(2, timeline), MAX_N);
+});
+
+test('timelineProgress finds where each N first appears', () => {
+  for (const schedule of schedules) {
+    for (const [start, end] of [[1, 100], [150, 10]]) {
+      const timeline = { ...DEFAULT_TIMELINE, start, end, schedule };
+      for (let n = Math.min(start, end); n <= Math.max(start, end); n++) {
+        const t = timelineProgress(n, timeline);
+        assert.equal(timelineN(t, timeline), n, `${schedule} ${start}→${end} N=${n}`);
+        if (n !== start) assert.notEqual(timelineN(t - 1e-6, timeline), n);
+      }
+    }
+  }
+  const timeline = { ...DEFAULT_TIMELINE, start: 10, end: 50 };
+  assert.equal(timelineProgress(3, timeline), 0);
+  assert.equal(timelineProgress(80, timeline), 1);
+});
+
+test('advancePhase wraps, reflects or stops according to the loop mode', () => {
+  const base = { duration: 4 };
+  assert.deepEqual(advancePhase(0.9, 0.8, { ...base, loop: 'loop' }), { phase: 0.9 + 0.2 - 1, done: false });
+  assert.equal(advancePhase(0.9, 0.8, { ...base, loop: 'pingpong' }).phase, 1.1);
+  assert.deepEqual(advancePhase(0.9, 0.8, { ...base, loop: 'once' }), { phase: 1, done: true });
+  assert.equal(phaseProgress(1.25, 'pingpong'), 0.75);
+  assert.equal(phaseProgress(0.25, 'pingpong'), 0.25);
+  assert.equal(phaseProgress(1.25, 'once'), 1);
+});
+
+test('timelineFrames samples one full cycle', () => {
+  const timeline = { ...DEFAULT_TIMELINE, start: 1, end: 20, duration: 2 };
+  const loop = timelineFrames(timeline, 10);
+  assert.equal(loop.length, 20);
+  assert.equal(loop[0], 1);
+
+  const once = timelineFrames({ ...timeline, loop: 'once' }, 10);
+  assert.equal(once.length, 20);
+  assert.equal(once[once.length - 1], 20);
+
+  const pingpong = timelineFrames({ ...timeline, loop: 'pingpong' }, 10);
+  assert.equal(pingpong.length, 40);
+  assert.equal(pingpong[20], 20);
+  assert.equal(pingpong[39], timelineN(1 / 20, timeline));
+});
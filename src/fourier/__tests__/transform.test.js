@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TRANSFORM_PULSES,
+  pulseValue,
+  pulseTransform,
+  periodicExtension,
+  lineSpectrum,
+  TRANSFORM_SAMPLES,
+} from '../index.js';
+
+const pulses = TRANSFORM_PULSES.map((p) => p.id);
+
+// 梯形公式在足够宽的区间上积分 ∫ f(t) e^{−iωt} dt (偶函数只剩余弦部分)
+const numericalTransform = (type, omega, width) => {
+  const L = 40 * width;
+  const steps = 200000;
+  const h = (2 * L) / steps;
+  let sum = 0;
+  for (let j = 0; j <= steps; j++) {
+    const t = -L + j * h;
+    const weight = j === 0 || j === steps ? 0.5 : 1;
+    sum += weight * pulseValue(type, t, width) * Math.cos(omega * t);
+  }
+  return sum * h;
+};
+
+test('analytic transforms match direct numerical integration', () => {
+  for (const type of pulses) {
+    for (const omega of [0, 1.3, 5, 12.5]) {
+      const expected = numericalTransform(type, omega, 1);
+      assert.ok(Math.abs(pulseTransform(type, omega, 1) - expected) < 1e-4, `${type} ω=${omega}`);
+    }
+  }
+});
+
+test('the periodic extension repeats the pulse and sums overlapping copies', () => {
+  const rect = periodicExtension('rect', 1, 3);
+  assert.equal(rect(0.2), 1);
+  assert.equal(rect(3.2), 1);
+  assert.equal(rect(1.5), 0);
+  // T = w：相邻两段恰好拼成常数
+  const flat = periodicExtension('rect', 1, 1);
+  assert.equal(flat(0.5), 1);
+  assert.equal(flat(0.123), 1);
+
+  const gaussian = periodicExtension('gaussian', 2, 3);
+  const direct = [-3, -2, -1, 0, 1, 2, 3].reduce((s, k) => s + pulseValue('gaussian', 0.4 - k * 3, 2), 0);
+  assert.ok(Math.abs(gaussian(0.4) - direct) < 1e-12);
+});
+
+// FFT 对光滑脉冲几乎精确；三角与双边指数有尖点，误差随采样间隔平方减小
+const SPECTRUM_TOLERANCE = { rect: 1e-12, gaussian: 1e-9, wavepacket: 1e-9, triangle: 2e-4, exponential: 5e-5 };
+
+test('T·|c_n| of the periodic extension samples |F(nω₀)| (Poisson summation)', () => {
+  for (const type of pulses) {
+    for (const width of [0.5, 1.5]) {
+      for (const ratio of [1.5, 4, 16]) {
+        const T = width * ratio;
+        const { omega0, magnitudes } = lineSpectrum(type, width, T, 30);
+        assert.ok((magnitudes.length - 1) * omega0 >= 30);
+        let peak = 0;
+        for (let n = 0; n < magnitudes.length; n++) peak = Math.max(peak, Math.abs(pulseTransform(type, n * omega0, width)));
+        for (let n = 0; n < magnitudes.length; n++) {
+          const expected = Math.abs(pulseTransform(type, n * omega0, width));
+          assert.ok(Math.abs(T * magnitudes[n] - expected) < SPECTRUM_TOLERANCE[type] * peak, `${type} w=${width} T=${T} n=${n}`);
+        }
+      }
+    }
+  }
+});
+
+test('the line spectrum uses a fixed-size FFT that is cheap enough for every frame', () => {
+  assert.ok(TRANSFORM_SAMPLES <= 8192);
+  // 最坏情况：双边指数脉冲很宽而周期很短，每个采样点要累加几十个延拓段
+  const cases = pulses.flatMap((type) => [[type, 2, 2], [type, 0.25, 8]]);
+  for (const [type, width, T] of cases) lineSpectrum(type, width, T, 40);
+  const start = performance.now();
+  for (let round = 0; round < 3; round++) {
+    for (const [type, width, T] of cases) lineSpectrum(type, width, T, 40);
+  }
+  const perCall = (performance.now() - start) / (3 * cases.length);
+  assert.ok(perCall < 30, `${perCall.toFixed(1)} ms per call`);
+});
@@ -0,0 +1,168 @@
+import { PI, TWO_PI, wrapToPeriod } from './interval.js';
+import { nextPowerOfTwo, coefficientsFromSamples } from './fft.js';
+import { findJumps } from './gibbs.js';
+import { DEFAULT_WAVE_PARAMS, waveParams } from './waveforms.js';
+
+/**
+ * 傅里叶系数
+ * 返回值统一为 { a0, an, bn }，an / bn 的下标 n − 1 对应第 n 次谐波。
+ * 由等距采样经 FFT 求系数见 fft.js。
+ */
+
+// 自适应求积的采样点数：从 MIN_SAMPLES 起每轮加倍，最多 MAX_SAMPLES
+const MIN_SAMPLES = 4096;
+const MAX_SAMPLES = 1 << 18;
+
+// 相邻两轮系数的最大变化不超过最大系数的 CONVERGENCE_TOLERANCE 倍即视为收敛
+const CONVERGENCE_TOLERANCE = 1e-9;
+
+// 单位跳跃锯齿波 s_c(x) = 1/2 − frac((x − c)/T)：在 c 处向上跳 1，周期平均为 0，
+// 其级数为 Σ sin(kω(x − c)) / (kπ)，ω = 2π/T
+const unitSawtooth = (x, c, T) => {
+  const t = (x - c) / T;
+  return 0.5 - (t - Math.floor(t));
+};
+
+/**
+ * 数值计算傅里叶系数 (自定义函数用)，返回前 N 个谐波，相位以 x = 0 为参考。
+ * fn 为一个周期 [a, b) 上的函数，此处按周期延拓；breakpoints 为已知的间断点。
+ *
+ * 做法：先找出周期内的全部跳跃 (已知间断点取精确的左右极限，其余由 findJumps 扫描)，
+ * 减去同样跳跃高度的锯齿波得到连续函数 g；g 的系数用等距中点采样 + FFT (即周期梯形公式) 求得，
+ * 采样点数逐轮加倍直到系数收敛；最后加回锯齿波的解析系数。
+ * 这样间断点附近不再有 O(h) 的采样误差，全程 Float64 计算，N 可以取到数千。
+ * 函数值为 NaN / ±Infinity 的采样点按 0 处理。
+ */
+export const calculateCoefficientsNumerical = (fn, N, interval = [-PI, PI], breakpoints = []) => {
+  const [a, b] = interval;
+  const T = b - a;
+  const period = { a, T };
+  const f = (x) => {
+    const value = fn(wrapToPeriod(x, period));
+    return Number.isFinite(value) ? value : 0;
+  };
+
+  // 跳跃点：已知间断点处用紧贴两侧的取值，扫描结果中与之重合的不再重复计入
+  const eps = 1e-12 * Math.max(T, Math.abs(a), Math.abs(b));
+  const known = [];
+  for (const c of breakpoints) {
+    if (!(c > a && c < b)) continue;
+    const left = f(c - eps);
+    const right = f(c);
+    if (left !== right) known.push({ x: c, left, right });
+  }
+  const jumps = [
+    ...known,
+    ...findJumps(f, a, T).filter((jump) => !known.some((k) => Math.abs(k.x - jump.x) < 1e-6 * T)),
+  ].map(({ x, left, right }) => ({ x, height: right - left }));
+
+  const g = (x) => jumps.reduce((value, { x: c, height }) => value - height * unitSawtooth(x, c, T), f(x));
+
+  // 中点网格 x_j = a + (j + ½)h 上的 FFT 系数
+  const sampled = (size) => {
+    const h = T / size;
+    const values = new Float64Array(size);
+    for (let j = 0; j < size; j++) values[j] = g(a + (j + 0.5) * h);
+    return coefficientsFromSamples(values, N, a + h / 2, T);
+  };
+
+  let size = Math.max(MIN_SAMPLES, nextPowerOfTwo(4 * (N + 1)));
+  let coeffs = sampled(size);
+  while (size < MAX_SAMPLES) {
+    size *= 2;
+    const next = sampled(size);
+    let change = Math.abs(next.a0 - coeffs.a0);
+    let scale = Math.abs(next.a0);
+    for (let k = 0; k < N; k++) {
+      change = Math.max(change, Math.abs(next.an[k] - coeffs.an[k]), Math.abs(next.bn[k] - coeffs.bn[k]));
+      scale = Math.max(scale, Math.abs(next.an[k]), Math.abs(next.bn[k]));
+    }
+    coeffs = next;
+    if (change <= CONVERGENCE_TOLERANCE * scale) break;
+  }
+
+  // 加回锯齿波：height · Σ [sin(kωx)cos(kωc) − cos(kωx)sin(kωc)] / (kπ)
+  const omega = TWO_PI / T;
+  for (const { x: c, height } of jumps) {
+    for (let k = 1; k <= N; k++) {
+      const angle = k * omega * c;
+      coeffs.an[k - 1] -= (height * Math.sin(angle)) / (k * PI);
+      coeffs.bn[k - 1] += (height * Math.cos(angle)) / (k * PI);
+    }
+  }
+  return coeffs;
+};
+
+// 内置波形未经缩放平移时的解析系数 (相对标准相位 v)
+const shapeCoefficients = (type, H, { duty, skew }) => {
+  const coeffs = { a0: 0, an: new Float64Array(H), bn: new Float64Array(H) };
+  if (type === 'pulse') coeffs.a0 = 2 * duty;
+  else if (type === 'halfwave') coeffs.a0 = 2 / PI;
+  else if (type === 'fullwave') coeffs.a0 = 4 / PI;
+  else if (type === 'parabolic') coeffs.a0 = 2 / 3;
+  // 非对称三角波：二阶导数是峰值 p 与 ±π 处的两个冲激，系数由此直接写出
+  const peak = -PI + TWO_PI * skew;
+  const triangleScale = 1 / (PI * PI * skew * (1 - skew));
+
+  for (let n = 1; n <= H; n++) {
+    const odd = n % 2 === 1;
+    const sign = odd ? -1 : 1;
+    if (type === 'square' && odd) {
+      coeffs.bn[n - 1] = 4 / (n * PI);
+    } else if (type === 'triangle') {
+      coeffs.an[n - 1] = (triangleScale * (Math.cos(n * peak) - sign)) / (n * n);
+      coeffs.bn[n - 1] = (triangleScale * Math.sin(n * peak)) / (n * n);
+    } else if (type === 'sawtooth') {
+      coeffs.bn[n - 1] = (odd ? 2 : -2) / (n * PI);
+    } else if (type === 'pulse') {
+      coeffs.an[n - 1] = (2 * Math.sin(n * PI * duty)) / (n * PI);
+    } else if (type === 'halfwave') {
+      // a_1 = 1/2，其余只有偶次项
+      if (n === 1) coeffs.an[0] = 0.5;
+      else if (!odd) coeffs.an[n - 1] = ((n % 4 === 0 ? -2 : 2) / PI) / (n * n - 1);
+    } else if (type === 'fullwave') {
+      coeffs.an[n - 1] = (-sign * 4) / (PI * (4 * n * n - 1));
+    } else if (type === 'parabolic') {
+      coeffs.an[n - 1] = (sign * 4) / (PI * PI * n * n);
+    }
+  }
+  return coeffs;
+};
+
+/**
+ * 内置波形的解析傅里叶系数 (相对标准相位 u)，下标 n-1 对应第 n 次谐波。
+ * params 见 DEFAULT_WAVE_PARAMS：相移 φ 把 (a_n, b_n) 旋转 nφ，幅值整体缩放，直流偏移只改变 a0。
+ */
+export const analyticCoefficients = (type, H, params = DEFAULT_WAVE_PARAMS) => {
+  const { amplitude, offset, phase, ...shape } = waveParams(params);
+  const coeffs = shapeCoefficients(type, H, shape);
+  coeffs.a0 = amplitude * coeffs.a0 + 2 * offset;
+  for (let n = 1; n <= H; n++) {
+    const a = coeffs.an[n - 1];
+    const b = coeffs.bn[n - 1];
+    const c = phase ? Math.cos(n * phase) : 1;
+    const s = phase ? Math.sin(n * phase) : 0;
+    coeffs.an[n - 1] = amplitude * (a * c - b * s);
+    coeffs.bn[n - 1] = amplitude * (a * s + b * c);
+  }
+  return coeffs;
+};
+
+// 部分和反复用同一组参数求值，缓存最近一次的系数表
+let cachedCoefficients = null;
+export const builtinCoefficients = (type, H, params = DEFAULT_WAVE_PARAMS) => {
+  const full = waveParams(params);
+  const key = [type, H, full.amplitude, full.offset, full.phase, full.duty, full.skew].join('|');
+  if (cachedCoefficients && cachedCoefficients.key === key) return cachedCoefficients.coeffs;
+  const coeffs = analyticCoefficients(type, H, full);
+  cachedCoefficients = { key, coeffs };
+  return coeffs;
+};
+
+// 只含奇次谐波的波形 (半波对称)：方波与对称三角波
+export const hasOddHarmonicsOnly = (type, params = DEFAULT_WAVE_PARAMS) =>
+  type === 'square' || (type === 'triangle' && waveParams(params).skew === 0.5);
+
+// N 项部分和所包含的最高谐波次数 (只含奇次谐波的波形为第 2N − 1 次)
+export const highestHarmonic = (type, N, params = DEFAULT_WAVE_PARAMS) =>
+  (hasOddHarmonicsOnly(type, params) ? 2 * N - 1 : N);
@@ -0,0 +1,106 @@
+import { fft } from './fft.js';
+
+/**
+ * 平面闭曲线的复傅里叶级数
+ * 曲线写成 z(t) = x(t) + i·y(t)，t ∈ [0, 1) 按弧长均匀参数化，
+ * z(t) = Σ c_k e^{2πikt}，c_k 由等距采样的 FFT 求得。
+ * 重建时保留 c_0 (曲线重心)，其余按 |c_k| 从大到小取前 N 项。
+ */
+
+// 每条曲线的采样点数 (FFT 长度，2 的幂)；可用的旋转项为 CURVE_SAMPLES − 1 个
+export const CURVE_SAMPLES = 2048;
+
+/**
+ * 沿闭合折线按弧长等距取 size 个点 (末点到首点的闭合边也计入)。
+ * points 为 [[x, y], ...]；总长度为 0 时返回 null。
+ */
+export const resampleClosedCurve = (points, size = CURVE_SAMPLES) => {
+  const count = points.length;
+  if (count < 2) return null;
+  const cumulative = new Float64Array(count + 1);
+  for (let i = 0; i < count; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % count];
+    cumulative[i + 1] = cumulative[i] + Math.hypot(x1 - x0, y1 - y0);
+  }
+  const total = cumulative[count];
+  if (!(total > 0)) return null;
+
+  const xs = new Float64Array(size);
+  const ys = new Float64Array(size);
+  let seg = 0;
+  for (let j = 0; j < size; j++) {
+    const s = (j / size) * total;
+    while (seg < count - 1 && cumulative[seg + 1] <= s) seg++;
+    const length = cumulative[seg + 1] - cumulative[seg];
+    const r = length > 0 ? (s - cumulative[seg]) / length : 0;
+    const [x0, y0] = points[seg];
+    const [x1, y1] = points[(seg + 1) % count];
+    xs[j] = x0 + r * (x1 - x0);
+    ys[j] = y0 + r * (y1 - y0);
+  }
+  return { xs, ys };
+};
+
+/**
+ * 由闭合折线求复傅里叶级数。
+ * 返回 { size, center: { re, im }, terms, samples }：
+ *  - terms   [{ k, re, im, amp, phase }]，k 为频率 (可正可负)，已按 amp 从大到小排序，不含 k = 0
+ *  - samples 弧长等距采样 { xs, ys }，用于绘制原曲线
+ * 曲线无效时返回 null。
+ */
+export const complexFourierSeries = (points, size = CURVE_SAMPLES) => {
+  const samples = resampleClosedCurve(points, size);
+  if (!samples) return null;
+  const re = Float64Array.from(samples.xs);
+  const im = Float64Array.from(samples.ys);
+  fft(re, im);
+
+  const terms = [];
+  for (let index = 1; index < size; index++) {
+    const k = index < size / 2 ? index : index - size;
+    const cRe = re[index] / size;
+    const cIm = im[index] / size;
+    terms.push({ k, re: cRe, im: cIm, amp: Math.hypot(cRe, cIm), phase: Math.atan2(cIm, cRe) });
+  }
+  terms.sort((p, q) => q.amp - p.amp || Math.abs(p.k) - Math.abs(q.k));
+  return { size, center: { re: re[0] / size, im: im[0] / size }, terms, samples };
+};
+
+// 前 N 项 (按模长) 在 t 处的值 z(t) = c_0 + Σ c_k e^{2πikt}
+export const curvePoint = (series, N, t) => {
+  let x = series.center.re;
+  let y = series.center.im;
+  const limit = Math.min(N, series.terms.length);
+  for (let i = 0; i < limit; i++) {
+    const { k, re, im } = series.terms[i];
+    const angle = 2 * Math.PI * k * t;
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    x += re * c - im * s;
+    y += re * s + im * c;
+  }
+  return { x, y };
+};
+
+/**
+ * 前 N 项重建的整条曲线，在 t = j / size 处取值 (j = 0 … size − 1)。
+ * 用逆 FFT 一次算出：z_j = conj(Σ conj(c_k) e^{−2πijk/size})。
+ */
+export const reconstructCurve = (series, N) => {
+  const { size } = series;
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  re[0] = series.center.re;
+  im[0] = -series.center.im;
+  const limit = Math.min(N, series.terms.length);
+  for (let i = 0; i < limit; i++) {
+    const { k, re: cRe, im: cIm } = series.terms[i];
+    const index = k < 0 ? k + size : k;
+    re[index] = cRe;
+    im[index] = -cIm;
+  }
+  fft(re, im);
+  for (let j = 0; j < size; j++) im[j] = -im[j];
+  return { xs: re, ys: im };
+};
@@ -0,0 +1,122 @@
+/**
+ * 误差指标与收敛速度拟合
+ */
+
+import { summationWeight } from './summation.js';
+
+// 误差指标所用的周期采样点数
+export const ERROR_SAMPLES = 2048;
+
+// 一个周期上的误差指标 (与视图无关)
+// fValues / sValues 为周期中点网格上的原函数与近似值，返回：
+//  - rms  均方根误差 (L2)
+//  - linf 最大绝对误差 (L∞)
+//  - rel  相对能量误差 ∫(f − S)² / ∫f²
+export const errorMetrics = (fValues, sValues) => {
+  let sq = 0;
+  let energy = 0;
+  let linf = 0;
+  for (let i = 0; i < fValues.length; i++) {
+    const e = fValues[i] - sValues[i];
+    sq += e * e;
+    energy += fValues[i] * fValues[i];
+    linf = Math.max(linf, Math.abs(e));
+  }
+  return {
+    rms: Math.sqrt(sq / fValues.length),
+    linf,
+    rel: energy > 0 ? sq / energy : NaN,
+  };
+};
+
+// 收敛曲线上取样的 N：N ≤ 20 逐个取，之后按约 12% 的等比间隔取到 maxN (含 maxN)
+// 在对数横轴上分布均匀，N 取到数千时计算量也不大
+export const convergenceSteps = (maxN) => {
+  const steps = [];
+  for (let n = 1; n <= Math.min(20, maxN); n++) steps.push(n);
+  let n = 20;
+  while (n < maxN) {
+    n = Math.min(maxN, Math.max(n + 1, Math.round(n * 1.12)));
+    steps.push(n);
+  }
+  return steps;
+};
+
+// 对数-对数最小二乘拟合 err ≈ 10^intercept · N^slope，只用后半段 (N ≥ nMin) 的点
+export const fitPowerLaw = (points, key, nMin) => {
+  const used = points.filter((p) => p.n >= nMin && p[key] > 0);
+  if (used.length < 2) return { slope: NaN, intercept: NaN };
+  let sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (const p of used) {
+    const lx = Math.log10(p.n);
+    const ly = Math.log10(p[key]);
+    sx += lx; sy += ly; sxx += lx * lx; sxy += lx * ly;
+  }
+  const m = used.length;
+  const slope = (m * sxy - sx * sy) / (m * sxx - sx * sx);
+  return { slope, intercept: (sy - slope * sx) / m };
+};
+
+/**
+ * 收敛曲线：对 steps 中的每个 N 求误差指标，并拟合 N ≥ 10 部分的幂律。
+ * coeffs 为 { a0, an, bn }，thetas 为网格各点的相位 ω(x − origin)，fValues 为原函数在网格上的值，
+ * orders[s] 为 N = steps[s] 时参与求和的最高谐波次数 (随 s 不减)。
+ * 逐个谐波算出它在网格上的取值，按求和方法加权后累加到所有包含它的 N 的部分和上；
+ * 直接截断时权重都是 1，只用一个累加器，依次在各 N 处计算误差。
+ * 返回 { points: [{ n, rms, linf, rel }], fits: { rms, linf } }。
+ */
+export const convergenceCurve = (coeffs, thetas, fValues, steps, orders, method) => {
+  const size = thetas.length;
+  const limits = orders.map((order) => Math.min(order, coeffs.an.length));
+  const highest = limits.length > 0 ? limits[limits.length - 1] : 0;
+  const partial = method === 'partial';
+  const sums = partial ? [] : steps.map(() => new Float64Array(size).fill(coeffs.a0 / 2));
+  const running = new Float64Array(size).fill(coeffs.a0 / 2);
+  const points = [];
+  let next = 0;
+  const recordUpTo = (k) => {
+    for (; partial && next < steps.length && limits[next] <= k; next++) {
+      points.push({ n: steps[next], ...errorMetrics(fValues, running) });
+    }
+  };
+
+  // 网格上的 cos(kθ)、sin(kθ) 由角度加法公式逐次递推
+  const stepCos = new Float64Array(size);
+  const stepSin = new Float64Array(size);
+  const cos = new Float64Array(size).fill(1);
+  const sin = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    stepCos[i] = Math.cos(thetas[i]);
+    stepSin[i] = Math.sin(thetas[i]);
+  }
+  const row = new Float64Array(size);
+  recordUpTo(0);
+  for (let k = 1; k <= highest; k++) {
+    for (let i = 0; i < size; i++) {
+      const c = cos[i] * stepCos[i] - sin[i] * stepSin[i];
+      sin[i] = sin[i] * stepCos[i] + cos[i] * stepSin[i];
+      cos[i] = c;
+    }
+    const a = coeffs.an[k - 1];
+    const b = coeffs.bn[k - 1];
+    if (a !== 0 || b !== 0) {
+      for (let i = 0; i < size; i++) row[i] = a * cos[i] + b * sin[i];
+      if (partial) {
+        for (let i = 0; i < size; i++) running[i] += row[i];
+      } else {
+        for (let s = steps.length - 1; s >= 0 && limits[s] >= k; s--) {
+          const w = summationWeight(method, k, limits[s]);
+          const sum = sums[s];
+          for (let i = 0; i < size; i++) sum[i] += w * row[i];
+        }
+      }
+    }
+    recordUpTo(k);
+  }
+
+  if (!partial) steps.forEach((n, s) => points.push({ n, ...errorMetrics(fValues, sums[s]) }));
+  return {
+    points,
+    fits: { rms: fitPowerLaw(points, 'rms', 10), linf: fitPowerLaw(points, 'linf', 10) },
+  };
+};
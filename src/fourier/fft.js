@@ -0,0 +1,83 @@
+/**
+ * 基 2 快速傅里叶变换 (迭代、原地)
+ * 以及由一个周期的等距采样求傅里叶级数系数。
+ */
+
+export const isPowerOfTwo = (n) => n > 0 && (n & (n - 1)) === 0;
+
+export const nextPowerOfTwo = (n) => {
+  let p = 1;
+  while (p < n) p <<= 1;
+  return p;
+};
+
+// 原地 FFT：re / im 为等长 Float64Array，长度必须是 2 的幂
+// X_k = Σ x_j e^{-2πi jk/M}
+export const fft = (re, im) => {
+  const size = re.length;
+  if (!isPowerOfTwo(size) || im.length !== size) {
+    throw new Error('fft: 长度必须是 2 的幂且实部虚部等长');
+  }
+
+  // 位反转重排
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // 蝶形运算
+  for (let len = 2; len <= size; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < size; start += len) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = start + k;
+        const b = a + len / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+};
+
+/**
+ * 由一个周期 [start, start + T) 上的 M 个等距采样求前 H 个谐波的系数。
+ * 返回的系数以 x = 0 为相位参考：f(x) ≈ a0/2 + Σ a_n cos(nωx) + b_n sin(nωx)，ω = 2π/T。
+ * M 必须是 2 的幂且大于 2H。
+ */
+export const coefficientsFromSamples = (values, H, start = 0, period = 2 * Math.PI) => {
+  const size = values.length;
+  const re = Float64Array.from(values);
+  const im = new Float64Array(size);
+  fft(re, im);
+
+  const omega = (2 * Math.PI) / period;
+  const coeffs = { a0: (2 * re[0]) / size, an: new Float64Array(H), bn: new Float64Array(H) };
+  const limit = Math.min(H, size / 2 - 1);
+  for (let k = 1; k <= limit; k++) {
+    // c_k 相对 start，乘以 e^{-ikωstart} 换算到以 0 为参考
+    const cRe = re[k] / size;
+    const cIm = im[k] / size;
+    const shift = -k * omega * start;
+    const sRe = cRe * Math.cos(shift) - cIm * Math.sin(shift);
+    const sIm = cRe * Math.sin(shift) + cIm * Math.cos(shift);
+    coeffs.an[k - 1] = 2 * sRe;
+    coeffs.bn[k - 1] = -2 * sIm;
+  }
+  return coeffs;
+};
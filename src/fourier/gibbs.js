@@ -0,0 +1,79 @@
+/**
+ * 吉布斯现象：跳跃点检测与过冲测量
+ */
+
+// 吉布斯现象理论过冲：(Si(π)/π − 1/2)，约为跳跃高度的 8.95%
+export const GIBBS_OVERSHOOT = 0.08949;
+
+// 在一个周期 [a, a+T) 上寻找 f 的跳跃间断点
+// 先以细步长扫描找出差值较大的相邻采样，再二分收缩：连续但陡峭的区段差值会随之消失，
+// 真正的跳跃则保持原有高度。返回 [{ x, left, right }]，left / right 为左右极限的近似值。
+export const findJumps = (f, a, T, samples = 4096) => {
+  const h = T / samples;
+  const values = [];
+  for (let i = 0; i <= samples; i++) values.push(f(a + (i - 0.5) * h));
+
+  const finite = values.filter(Number.isFinite);
+  const range = Math.max(...finite) - Math.min(...finite);
+  if (!(range > 0)) return [];
+  const threshold = 0.05 * range;
+
+  const jumps = [];
+  for (let i = 0; i < samples; i++) {
+    const delta = values[i + 1] - values[i];
+    if (!(Math.abs(delta) > threshold)) continue;
+
+    let lo = a + (i - 0.5) * h;
+    let hi = lo + h;
+    let fLo = values[i];
+    let fHi = values[i + 1];
+    for (let iter = 0; iter < 40; iter++) {
+      const mid = (lo + hi) / 2;
+      const fMid = f(mid);
+      if (Math.abs(fMid - fLo) >= Math.abs(fHi - fMid)) {
+        hi = mid;
+        fHi = fMid;
+      } else {
+        lo = mid;
+        fLo = fMid;
+      }
+    }
+    if (Math.abs(fHi - fLo) < 0.5 * Math.abs(delta)) continue;
+
+    let x = (lo + hi) / 2;
+    if (x < a) x += T;
+    if (x >= a + T) x -= T;
+    jumps.push({ x, left: fLo, right: fHi });
+  }
+  return jumps;
+};
+
+// 测量近似函数 approx 在跳跃点 jump 两侧 halfWidth 范围内的过冲与欠冲
+// 过冲取较高一侧 S_N 的最大值超出高位的部分，欠冲取较低一侧最小值低于低位的部分，
+// 均以跳跃高度的百分比表示
+export const measureOvershoot = (approx, jump, halfWidth, samples = 600) => {
+  const upper = Math.max(jump.left, jump.right);
+  const lower = Math.min(jump.left, jump.right);
+  const height = upper - lower;
+  const upperSide = jump.right >= jump.left ? 1 : -1;
+
+  const scan = (side, pick) => {
+    let best = null;
+    for (let i = 1; i <= samples; i++) {
+      const x = jump.x + side * (i / samples) * halfWidth;
+      const y = approx(x);
+      if (best === null || pick(y, best.y)) best = { x, y };
+    }
+    return best;
+  };
+
+  const peak = scan(upperSide, (y, b) => y > b);
+  const trough = scan(-upperSide, (y, b) => y < b);
+  return {
+    height,
+    upper,
+    lower,
+    overshoot: { ...peak, level: upper, pct: (100 * (peak.y - upper)) / height },
+    undershoot: { ...trough, level: lower, pct: (100 * (lower - trough.y)) / height },
+  };
+};
@@ -0,0 +1,17 @@
+/**
+ * 傅里叶级数计算核心 (纯函数，不依赖 React 与浏览器)
+ * 可直接在 Node 中使用：node --test 运行 __tests__ 下的单元测试。
+ */
+
+export * from './interval.js';
+export * from './waveforms.js';
+export * from './coefficients.js';
+export * from './fft.js';
+export * from './summation.js';
+export * from './series.js';
+export * from './error.js';
+export * from './gibbs.js';
+export * from './slider.js';
+export * from './complex.js';
+export * from './timeline.js';
+export * from './transform.js';
@@ -0,0 +1,23 @@
+/**
+ * 周期区间 [a, b)
+ */
+
+export const PI = Math.PI;
+export const TWO_PI = 2 * PI;
+
+// 由区间端点计算周期参数：T 周期，L 半周期，center 区间中点，omega 基频 π/L
+export const makeInterval = (a, b) => {
+  const T = b - a;
+  const L = T / 2;
+  return { a, b, T, L, center: a + L, omega: PI / L };
+};
+
+export const DEFAULT_INTERVAL = makeInterval(-PI, PI);
+
+// 把 x 按周期映射到 [a, a + T)
+export const wrapToPeriod = (x, { a, T }) => {
+  let wrapped = a + ((x - a) % T);
+  if (wrapped < a) wrapped += T;
+  if (wrapped >= a + T) wrapped -= T;
+  return wrapped;
+};
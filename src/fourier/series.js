@@ -0,0 +1,42 @@
+import { DEFAULT_INTERVAL } from './interval.js';
+import { highestHarmonic, hasOddHarmonicsOnly, builtinCoefficients } from './coefficients.js';
+import { BUILTIN_WAVEFORMS, DEFAULT_WAVE_PARAMS } from './waveforms.js';
+import { summationWeights } from './summation.js';
+
+/**
+ * 部分和 S_N(x)
+ * 内置波形用解析系数 (builtinCoefficients，写在标准相位 u = ω(x − center) 上，按 params 缩放平移)；
+ * 自定义函数使用给定系数 coeffs (相对 x = 0)。
+ * method 为求和方法，第 k 次谐波乘以 summationWeight(method, k, M)，M 为最高谐波次数 (权重表见 summationWeights)。
+ * cos(kθ)、sin(kθ) 由角度加法公式逐项递推，每项不再调用三角函数，N 取数千时仍然够快；
+ * 只含奇次谐波的波形每步旋转 2θ，跳过全为零的偶次项。
+ */
+export const fourierValue = (
+  x,
+  type,
+  N,
+  { interval = DEFAULT_INTERVAL, coeffs = null, method = 'partial', params = DEFAULT_WAVE_PARAMS } = {}
+) => {
+  const custom = type === 'custom';
+  if (custom ? !coeffs : !BUILTIN_WAVEFORMS.includes(type)) return 0;
+  const M = highestHarmonic(type, N, params);
+  const table = custom ? coeffs : builtinCoefficients(type, M, params);
+  const weights = method !== 'partial' ? summationWeights(method, M) : null;
+
+  const theta = custom ? interval.omega * x : interval.omega * (x - interval.center);
+  const stride = hasOddHarmonicsOnly(type, params) ? 2 : 1;
+  const stepCos = Math.cos(stride * theta);
+  const stepSin = Math.sin(stride * theta);
+  let c = Math.cos(theta);
+  let s = Math.sin(theta);
+  let sum = table.a0 / 2;
+  const limit = Math.min(M, table.an.length);
+  for (let k = 1; k <= limit; k += stride) {
+    const w = weights ? weights[k] : 1;
+    sum += w * (table.an[k - 1] * c + table.bn[k - 1] * s);
+    const next = c * stepCos - s * stepSin;
+    s = s * stepCos + c * stepSin;
+    c = next;
+  }
+  return sum;
+};
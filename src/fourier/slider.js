@@ -0,0 +1,20 @@
+/**
+ * N 值滑块的非线性映射 (三次曲线)
+ * 滑块位置 0 ~ 100 对应 N = 1 + (MAX_N − 1) · (slider / 100)³：
+ * 前三分之一约覆盖 N ≤ 100，后段变化加快，一直延伸到数千项。
+ */
+
+// N 的上限 (自定义函数的系数也计算到第 MAX_N 次谐波)
+export const MAX_N = 2000;
+
+export const sliderToN = (sliderVal) => {
+  const s = Math.max(0, Math.min(100, parseFloat(sliderVal)));
+  const n = 1 + (MAX_N - 1) * Math.pow(s / 100, 3);
+  return Math.round(n);
+};
+
+// 逆映射：slider = 100 · ∛((N − 1) / (MAX_N − 1))
+export const nToSlider = (n) => {
+  const val = Math.max(1, Math.min(MAX_N, n));
+  return 100 * Math.cbrt((val - 1) / (MAX_N - 1));
+};
@@ -0,0 +1,35 @@
+import { PI } from './interval.js';
+
+// 求和方法 (抑制吉布斯现象)
+export const SUMMATION_METHODS = [
+  { id: 'partial', label: '部分和', desc: '直接截断 S_N' },
+  { id: 'fejer', label: 'Fejér', desc: 'Cesàro 平均，权重 1 − k/(M+1)' },
+  { id: 'lanczos', label: 'Lanczos σ', desc: 'σ 因子 sinc(k/(M+1))' },
+  { id: 'hann', label: '升余弦', desc: 'Hann 窗 ½(1 + cos(πk/(M+1)))' },
+];
+
+// 第 k 次谐波在求和方法 method 下的权重，M 为参与求和的最高谐波次数
+export const summationWeight = (method, k, M) => {
+  const r = k / (M + 1);
+  switch (method) {
+    case 'fejer':
+      return 1 - r;
+    case 'lanczos':
+      return Math.sin(PI * r) / (PI * r);
+    case 'hann':
+      return 0.5 * (1 + Math.cos(PI * r));
+    default:
+      return 1;
+  }
+};
+
+// 第 1 ~ M 次谐波的权重表 (下标 k 对应第 k 次谐波)
+// 同一条曲线的每个采样点都用同一张表，缓存最近一次的结果
+let cachedWeights = null;
+export const summationWeights = (method, M) => {
+  if (cachedWeights && cachedWeights.method === method && cachedWeights.M === M) return cachedWeights.table;
+  const table = new Float64Array(M + 1);
+  for (let k = 1; k <= M; k++) table[k] = summationWeight(method, k, M);
+  cachedWeights = { method, M, table };
+  return table;
+};
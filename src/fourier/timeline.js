@@ -0,0 +1,100 @@
+/**
+ * 自动演示的时间轴
+ * 一轮演示把进度 t ∈ [0, 1] 映射为项数 N，从 start 变到 end (start > end 时倒着播放)。
+ * 播放位置 phase 按经过的时间推进：循环模式 phase ∈ [0, 1)，往返模式 phase ∈ [0, 2) 且后半段倒放，
+ * 单次模式停在 1。
+ */
+
+import { MAX_N } from './slider.js';
+
+// N 随进度变化的节奏
+export const TIMELINE_SCHEDULES = [
+  { id: 'linear', label: '匀速' },
+  { id: 'ease', label: '缓入缓出' },
+  { id: 'accelerate', label: '先慢后快' },
+  { id: 'geometric', label: '对数' },
+];
+
+export const TIMELINE_LOOPS = [
+  { id: 'loop', label: '循环' },
+  { id: 'pingpong', label: '往返' },
+  { id: 'once', label: '单次' },
+];
+
+// duration 为单程时长 (秒)
+export const DEFAULT_TIMELINE = { start: 1, end: 100, duration: 5, schedule: 'linear', loop: 'loop' };
+
+const clampN = (n) => Math.max(1, Math.min(MAX_N, Math.round(n)));
+
+// 进度 t 对应的连续 N (未取整)
+const continuousN = (t, { start, end, schedule }) => {
+  const a = clampN(start);
+  const b = clampN(end);
+  switch (schedule) {
+    case 'ease':
+      return a + (b - a) * (t < 0.5 ? 4 * t ** 3 : 1 - (2 - 2 * t) ** 3 / 2);
+    case 'accelerate':
+      return a + (b - a) * t * t;
+    // 等比变化：每段时间内 N 乘以相同倍数，小 N 处停留更久
+    case 'geometric':
+      return a * (b / a) ** t;
+    default:
+      return a + (b - a) * t;
+  }
+};
+
+// 进度 t ∈ [0, 1] 对应的项数 N
+export const timelineN = (t, timeline) => clampN(continuousN(Math.max(0, Math.min(1, t)), timeline));
+
+/**
+ * 逆映射：项数 N 第一次出现时的进度 (N 不在 start 与 end 之间时取较近的一端)。
+ * 各节奏都是单调的，二分即可。
+ */
+export const timelineProgress = (n, timeline) => {
+  const a = clampN(timeline.start);
+  const b = clampN(timeline.end);
+  if (a === b) return 0;
+  const sign = b > a ? 1 : -1;
+  if (sign * (n - a) <= 0) return 0;
+  if (sign * (n - b) > 0) return 1;
+  // timelineN 四舍五入，N 从连续值越过 n ∓ 0.5 处开始出现 (留一点余量，倒放时 .5 会舍入到较大的一侧)
+  const target = n - sign * (0.5 - 1e-9);
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (sign * (continuousN(mid, timeline) - target) < 0) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+};
+
+// 播放位置 -> 进度 (往返模式的后半段倒放)
+export const phaseProgress = (phase, loop) => (loop === 'pingpong' && phase > 1 ? 2 - phase : Math.min(1, phase));
+
+/**
+ * 播放位置前进 elapsed 秒，返回 { phase, done }；done 为真表示单次模式已播放到结尾。
+ */
+export const advancePhase = (phase, elapsed, { duration, loop }) => {
+  const next = phase + elapsed / Math.max(duration, 1e-3);
+  if (loop === 'once') return next >= 1 ? { phase: 1, done: true } : { phase: next, done: false };
+  const span = loop === 'pingpong' ? 2 : 1;
+  return { phase: next % span, done: false };
+};
+
+/**
+ * 导出动画用的逐帧 N：以 fps 帧率采样一个完整周期 (往返模式为去程加回程)。
+ * 单次模式最后一帧正好落在 end 上。
+ */
+export const timelineFrames = (timeline, fps) => {
+  const perPass = Math.max(2, Math.round(timeline.duration * fps));
+  const frames = [];
+  if (timeline.loop === 'once') {
+    for (let i = 0; i < perPass; i++) frames.push(timelineN(i / (perPass - 1), timeline));
+    return frames;
+  }
+  const span = timeline.loop === 'pingpong' ? 2 : 1;
+  const count = perPass * span;
+  for (let i = 0; i < count; i++) frames.push(timelineN(phaseProgress((i / count) * span, timeline.loop), timeline));
+  return frames;
+};
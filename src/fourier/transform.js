@@ -0,0 +1,117 @@
+/**
+ * 从傅里叶级数到傅里叶变换
+ * 非周期脉冲 f(t) 的傅里叶变换 F(ω) = ∫ f(t) e^{−iωt} dt (解析式)，
+ * 以及把 f 以周期 T 延拓后 f_T(t) = Σ_k f(t − kT) 的复系数 c_n (一个周期上等距采样后做 FFT)。
+ * 两者满足 T·c_n = F(nω₀)，ω₀ = 2π/T：T 增大时谱线间距 ω₀ 变小，T·|c_n| 逐渐铺满 |F(ω)|。
+ * 所有脉冲都是偶函数，F 为实数。
+ */
+
+import { TWO_PI } from './interval.js';
+import { coefficientsFromSamples } from './fft.js';
+
+// 参数 w 为脉冲的特征宽度 (矩形、三角为底宽，高斯与波包 σ = w/2，双边指数 τ = w/2)
+export const TRANSFORM_PULSES = [
+  { id: 'rect', label: '矩形脉冲', formula: 'F(ω) = w·sinc(ωw/2)' },
+  { id: 'triangle', label: '三角脉冲', formula: 'F(ω) = (w/2)·sinc²(ωw/4)' },
+  { id: 'gaussian', label: '高斯函数', formula: 'F(ω) = σ√(2π)·e^{−σ²ω²/2}' },
+  { id: 'exponential', label: '双边指数', formula: 'F(ω) = 2τ / (1 + ω²τ²)' },
+  { id: 'wavepacket', label: '高斯波包', formula: 'F(ω) = σ√(π/2)·[e^{−σ²(ω−ω_c)²/2} + e^{−σ²(ω+ω_c)²/2}]' },
+];
+
+// 高斯波包的载波角频率
+export const WAVEPACKET_CARRIER = 4 * Math.PI;
+
+const sinc = (x) => (Math.abs(x) < 1e-8 ? 1 : Math.sin(x) / x);
+
+/**
+ * 脉冲在 t 处的值。矩形脉冲取左闭右开的 [−w/2, w/2) (间断点处右连续)，
+ * 这样 T = w 时相邻两段恰好拼成常数 1。
+ */
+export const pulseValue = (type, t, width) => {
+  const half = width / 2;
+  const a = Math.abs(t);
+  switch (type) {
+    case 'rect':
+      return t >= -half && t < half ? 1 : 0;
+    case 'triangle':
+      return a < half ? 1 - a / half : 0;
+    case 'gaussian':
+      return Math.exp(-(t * t) / (2 * half * half));
+    case 'exponential':
+      return Math.exp(-a / half);
+    case 'wavepacket':
+      return Math.exp(-(t * t) / (2 * half * half)) * Math.cos(WAVEPACKET_CARRIER * t);
+    default:
+      return 0;
+  }
+};
+
+// 连续傅里叶变换 F(ω)
+export const pulseTransform = (type, omega, width) => {
+  const half = width / 2;
+  switch (type) {
+    case 'rect':
+      return width * sinc((omega * width) / 2);
+    case 'triangle':
+      return half * sinc((omega * width) / 4) ** 2;
+    case 'gaussian':
+      return half * Math.sqrt(TWO_PI) * Math.exp(-((half * omega) ** 2) / 2);
+    case 'exponential':
+      return (2 * half) / (1 + (omega * half) ** 2);
+    case 'wavepacket': {
+      const lobe = (w) => Math.exp(-((half * w) ** 2) / 2);
+      return half * Math.sqrt(Math.PI / 2) * (lobe(omega - WAVEPACKET_CARRIER) + lobe(omega + WAVEPACKET_CARRIER));
+    }
+    default:
+      return 0;
+  }
+};
+
+// |t| 超过该值后脉冲可以忽略 (相对误差 < 1e-13)
+export const pulseExtent = (type, width) => {
+  const half = width / 2;
+  if (type === 'gaussian' || type === 'wavepacket') return 8 * half;
+  if (type === 'exponential') return 30 * half;
+  return half;
+};
+
+/**
+ * 以周期 T 延拓的函数 f_T(t) = Σ_k f(t − kT)，只累加 |t − kT| 不超过 pulseExtent 的各段。
+ */
+export const periodicExtension = (type, width, T) => {
+  const extent = pulseExtent(type, width);
+  return (t) => {
+    const kMin = Math.ceil((t - extent) / T);
+    const kMax = Math.floor((t + extent) / T);
+    let sum = 0;
+    for (let k = kMin; k <= kMax; k++) sum += pulseValue(type, t - k * T, width);
+    return sum;
+  };
+};
+
+// 离散谱的采样点数：拖动周期滑块或自动拉长时每帧都要重算，固定大小的 FFT 在几毫秒内完成
+export const TRANSFORM_SAMPLES = 4096;
+
+/**
+ * 周期延拓后的离散谱：ω_n = nω₀ (n = 0 … N，nω₀ 覆盖到 omegaMax) 处的 |c_n|。
+ * 系数由 [−T/2, T/2) 上 TRANSFORM_SAMPLES 个等距采样的 FFT 得到 (三角、双边指数的尖点带来 O(h²) 的误差)；
+ * 矩形脉冲有跳跃，采样误差只有 O(h)，改用一个周期上的积分闭式 c_n = (1/T)∫_{−w/2}^{w/2} e^{−inω₀t} dt。
+ * 返回 { omega0, magnitudes }，magnitudes[n] = |c_n| (负频率与之对称)。
+ */
+export const lineSpectrum = (type, width, T, omegaMax) => {
+  const omega0 = TWO_PI / T;
+  const N = Math.max(1, Math.min(TRANSFORM_SAMPLES / 2 - 1, Math.ceil(omegaMax / omega0)));
+  const magnitudes = new Float64Array(N + 1);
+  if (type === 'rect') {
+    for (let n = 0; n <= N; n++) magnitudes[n] = Math.abs((width / T) * sinc((n * omega0 * width) / 2));
+    return { omega0, magnitudes };
+  }
+  const a = -T / 2;
+  const f = periodicExtension(type, width, T);
+  const values = new Float64Array(TRANSFORM_SAMPLES);
+  for (let j = 0; j < TRANSFORM_SAMPLES; j++) values[j] = f(a + (j / TRANSFORM_SAMPLES) * T);
+  const { a0, an, bn } = coefficientsFromSamples(values, N, a, T);
+  magnitudes[0] = Math.abs(a0) / 2;
+  for (let n = 1; n <= N; n++) magnitudes[n] = Math.hypot(an[n - 1], bn[n - 1]) / 2;
+  return { omega0, magnitudes };
+};
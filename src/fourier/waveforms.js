@@ -0,0 +1,74 @@
+import { PI, TWO_PI, DEFAULT_INTERVAL, wrapToPeriod } from './interval.js';
+
+/**
+ * 波形定义
+ * 内置波形定义在标准区间 [-π, π) 上，任意周期区间通过相位 u 映射过去；
+ * 自定义函数直接在 [a, b) 上按 x 取值，再按周期延拓。
+ */
+
+export const BUILTIN_WAVEFORMS = ['square', 'triangle', 'sawtooth', 'pulse', 'halfwave', 'fullwave', 'parabolic'];
+
+/**
+ * 内置波形的参数：f(u) = offset + amplitude · shape(u − phase)
+ *  - amplitude 幅值，offset 直流偏移，phase 相移 (弧度，按标准相位 u 计)
+ *  - duty      脉冲串的占空比 (高电平占周期的比例)
+ *  - skew      三角波上升段占周期的比例，0.5 为对称三角波，趋于 1 时接近锯齿波
+ */
+export const DEFAULT_WAVE_PARAMS = { amplitude: 1, offset: 0, phase: 0, duty: 0.5, skew: 0.5 };
+
+// 补全缺省参数
+export const waveParams = (params) => ({ ...DEFAULT_WAVE_PARAMS, ...params });
+
+// 标准相位 v ∈ [-π, π) 上未经缩放平移的波形
+const shapeValue = (type, v, { duty, skew }) => {
+  switch (type) {
+    case 'square':
+      return v >= 0 ? 1 : -1;
+    case 'triangle': {
+      // 从 −π 处的 −1 线性升到峰值位置 p 处的 1，再降回 −1
+      const peak = -PI + TWO_PI * skew;
+      return v <= peak ? -1 + 2 * (v + PI) / (peak + PI) : 1 - 2 * (v - peak) / (PI - peak);
+    }
+    case 'sawtooth':
+      return v / PI;
+    case 'pulse':
+      // 以 v = 0 为中心、宽度为 duty · 2π 的矩形脉冲
+      return v >= -PI * duty && v < PI * duty ? 1 : 0;
+    case 'halfwave':
+      return Math.max(0, Math.cos(v));
+    case 'fullwave':
+      // |cos| 的一个拱正好占一个周期
+      return Math.cos(v / 2);
+    case 'parabolic':
+      return (v / PI) * (v / PI);
+    default:
+      return 0;
+  }
+};
+
+// 标准相位 u ∈ [-π, π) 上的内置波形
+export const builtinValue = (type, u, params = DEFAULT_WAVE_PARAMS) => {
+  const { amplitude, offset, phase, ...shape } = waveParams(params);
+  const v = phase ? wrapToPeriod(u - phase, DEFAULT_INTERVAL) : u;
+  return offset + amplitude * shapeValue(type, v, shape);
+};
+
+// 内置波形在一个周期 [a, a+T) 内的跳跃点 (x 坐标，升序)
+export const builtinJumps = (type, interval = DEFAULT_INTERVAL, params = DEFAULT_WAVE_PARAMS) => {
+  const { phase, duty } = waveParams(params);
+  let phases;
+  if (type === 'square') phases = [-PI, 0];
+  else if (type === 'sawtooth') phases = [-PI];
+  else if (type === 'pulse' && duty > 0 && duty < 1) phases = [-PI * duty, PI * duty];
+  else return [];
+  return phases
+    .map((v) => wrapToPeriod(interval.center + (v + phase) / interval.omega, interval))
+    .sort((p, q) => p - q);
+};
+
+// 波形在 x 处的值；type 为 'custom' 时使用 customFn (为空时取 0)，内置波形按 params 缩放平移
+export const waveformValue = (x, type, interval = DEFAULT_INTERVAL, customFn = null, params = DEFAULT_WAVE_PARAMS) => {
+  const periodic = wrapToPeriod(x, interval);
+  if (type === 'custom') return customFn ? customFn(periodic) : 0;
+  return builtinValue(type, -PI + TWO_PI * (periodic - interval.a) / interval.T, params);
+};
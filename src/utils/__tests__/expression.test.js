@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileExpression, compileConstant } from '../expression.js';
+
+const evaluate = (src, x = 0) => {
+  const { fn, error } = compileExpression(src);
+  assert.equal(error, null, `${src}: ${error && error.message}`);
+  return fn(x);
+};
+
+const errorOf = (src) => {
+  const { fn, error } = compileExpression(src);
+  assert.equal(fn, null, `${src} should not compile`);
+  return error;
+};
+
+test('unary minus binds looser than the power operator', () => {
+  assert.equal(evaluate('-x^2', 3), -9);
+  assert.equal(evaluate('-2**2'), -4);
+  assert.equal(evaluate('(-2)^2'), 4);
+  assert.equal(evaluate('2^-1'), 0.5);
+});
+
+test('the power operator is right-associative', () => {
+  assert.equal(evaluate('2^3^2'), 512);
+  assert.equal(evaluate('2**3**2'), 512);
+  assert.equal(evaluate('(2^3)^2'), 64);
+});
+
+test('arithmetic, comparison and conditional precedence', () => {
+  assert.equal(evaluate('1 + 2 * 3'), 7);
+  assert.equal(evaluate('7 % 4 * 2'), 6);
+  assert.equal(evaluate('1 + 1 < 3 && 2 > 1'), 1);
+  assert.equal(evaluate('x < 0 ? -1 : x > 0 ? 1 : 0', -5), -1);
+  assert.equal(evaluate('x < 0 ? -1 : x > 0 ? 1 : 0', 5), 1);
+  assert.equal(evaluate('max(1, x, 3)', 7), 7);
+  assert.ok(Math.abs(evaluate('sin(pi / 2) + ln(e)') - 2) < 1e-12);
+});
+
+test('errors report the offending character position', () => {
+  assert.deepEqual(errorOf('1 + * 2'), { message: "此处不应出现 '*'", position: 4 });
+  assert.equal(errorOf('2 $ 3').position, 2);
+  assert.equal(errorOf('(x + 1').position, 6);
+  assert.equal(errorOf('x 1').position, 2);
+  assert.equal(errorOf('sin x').position, 3);
+  assert.equal(errorOf('atan2(1)').position, 0);
+  assert.equal(errorOf('   ').position, 0);
+});
+
+test('prototype properties and unknown identifiers are rejected', () => {
+  for (const name of ['constructor', '__proto__', 'toString', 'y', 'Math']) {
+    assert.equal(errorOf(name).position, 0, name);
+    assert.equal(errorOf(`${name}(1)`).position, 0, name);
+  }
+  assert.equal(errorOf('x + window').position, 4);
+});
+
+test('non-finite results evaluate to 0', () => {
+  assert.equal(evaluate('1 / x', 0), 0);
+  assert.equal(evaluate('log(x)', -1), 0);
+  assert.equal(evaluate('sqrt(x)', -4), 0);
+  assert.equal(evaluate('exp(x)', 1000), 0);
+});
+
+test('deep nesting returns a positioned error instead of throwing', () => {
+  const parens = `${'('.repeat(5000)}x${')'.repeat(5000)}`;
+  const error = errorOf(parens);
+  assert.equal(typeof error.position, 'number');
+  assert.ok(error.position > 0 && error.position < 5000);
+  assert.equal(typeof errorOf('-'.repeat(5000) + 'x').position, 'number');
+  assert.equal(typeof errorOf(Array(200000).fill('x').join('+')).position, 'number');
+  assert.equal(evaluate(`${'('.repeat(50)}x${')'.repeat(50)}`, 2), 2);
+});
+
+test('compileConstant rejects expressions that use x', () => {
+  assert.equal(compileConstant('-PI / 2').value, -Math.PI / 2);
+  assert.ok(compileConstant('2 * x').error);
+  assert.ok(Number.isNaN(compileConstant('1 +').value));
+});
@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPalette, createGifEncoder } from '../gif.js';
+
+// 256 种 15 位格子互不相同的颜色，调色板可以精确表示
+const COLORS = Array.from({ length: 256 }, (_, i) => [(i & 15) * 16 + 8, (i >> 4) * 16 + 8, 128]);
+
+// 由颜色编号生成 RGBA 帧
+const rgbaFrame = (colorIndices) => {
+  const data = new Uint8Array(colorIndices.length * 4);
+  colorIndices.forEach((c, p) => {
+    data.set(COLORS[c], p * 4);
+    data[p * 4 + 3] = 255;
+  });
+  return data;
+};
+
+// 固定种子的伪随机序列，几乎没有重复的串，码表很快被填满
+const noise = (length, seed) => {
+  let state = seed;
+  return Array.from({ length }, () => {
+    state = (state * 1103515245 + 12345) >>> 0;
+    return state >>> 24;
+  });
+};
+
+const lzwDecode = (minCodeSize, data, pixelCount) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let clears = 0;
+  let dict;
+  let codeSize;
+  let prev = null;
+  let bit = 0;
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    return code;
+  };
+  const reset = () => {
+    dict = Array.from({ length: clearCode }, (_, i) => [i]);
+    dict.push(null, null);
+    codeSize = minCodeSize + 1;
+    prev = null;
+  };
+  reset();
+  for (;;) {
+    assert.ok(bit + codeSize <= data.length * 8, 'LZW 数据缺少结束码');
+    const code = readCode();
+    if (code === clearCode) {
+      clears++;
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+    let entry;
+    if (code < dict.length) entry = dict[code];
+    else if (code === dict.length && prev) entry = [...prev, prev[0]];
+    else assert.fail(`无效的 LZW 码 ${code}`);
+    out.push(...entry);
+    if (prev && dict.length < 4096) dict.push([...prev, entry[0]]);
+    if (dict.length === 1 << codeSize && codeSize < 12) codeSize++;
+    prev = entry;
+  }
+  assert.equal(out.length, pixelCount);
+  return { indices: out, clears };
+};
+
+// 按 GIF89a 结构逐块读取，返回尺寸、调色板、循环次数与各帧
+const decodeGif = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+  const ascii = (length) => {
+    const str = String.fromCharCode(...bytes.subarray(pos, pos + length));
+    pos += length;
+    return str;
+  };
+  const subBlocks = () => {
+    const chunks = [];
+    for (let size = bytes[pos++]; size > 0; size = bytes[pos++]) {
+      chunks.push(...bytes.subarray(pos, pos + size));
+      pos += size;
+    }
+    return Uint8Array.from(chunks);
+  };
+
+  assert.equal(ascii(6), 'GIF89a');
+  const width = view.getUint16(pos, true);
+  const height = view.getUint16(pos + 2, true);
+  const packed = bytes[pos + 4];
+  pos += 7;
+  assert.equal(packed & 0x80, 0x80, '应有全局调色板');
+  const palette = bytes.subarray(pos, pos + 3 * (2 << (packed & 7)));
+  pos += palette.length;
+
+  let repeat = null;
+  let delay = null;
+  const frames = [];
+  for (;;) {
+    const block = bytes[pos++];
+    if (block === 0x3b) break;
+    if (block === 0x21) {
+      const label = bytes[pos++];
+      const body = subBlocks();
+      if (label === 0xff && String.fromCharCode(...body.subarray(0, 11)) === 'NETSCAPE2.0') repeat = body[12] | (body[13] << 8);
+      if (label === 0xf9) delay = body[1] | (body[2] << 8);
+    } else if (block === 0x2c) {
+      const frameWidth = view.getUint16(pos + 4, true);
+      const frameHeight = view.getUint16(pos + 6, true);
+      assert.equal(bytes[pos + 8], 0, '帧应使用全局调色板');
+      pos += 9;
+      const minCodeSize = bytes[pos++];
+      frames.push({ delay, ...lzwDecode(minCodeSize, subBlocks(), frameWidth * frameHeight) });
+    } else {
+      assert.fail(`未知的块类型 0x${block.toString(16)} (位置 ${pos - 1})`);
+    }
+  }
+  assert.equal(pos, bytes.length, '结束符之后不应还有数据');
+  return { width, height, palette, repeat, frames };
+};
+
+const encode = (width, height, frameColors, options = {}) => {
+  const images = frameColors.map(rgbaFrame);
+  const encoder = createGifEncoder({ width, height, palette: buildPalette(images), delay: 100, ...options });
+  images.forEach((image) => encoder.addFrame(image));
+  return { bytes: encoder.finish(), images };
+};
+
+const assertPixels = (gif, frame, image) => {
+  frame.indices.forEach((index, p) => {
+    const rgb = Array.from(gif.palette.subarray(index * 3, index * 3 + 3));
+    assert.deepEqual(rgb, Array.from(image.subarray(p * 4, p * 4 + 3)), `像素 ${p}`);
+  });
+};
+
+test('buildPalette orders colours by frequency and pads with black', () => {
+  const palette = buildPalette([rgbaFrame([3, 3, 3, 7, 7, 1])]);
+  assert.equal(palette.length, 256 * 3);
+  assert.deepEqual(Array.from(palette.subarray(0, 9)), [...COLORS[3], ...COLORS[7], ...COLORS[1]]);
+  assert.ok(palette.subarray(9).every((v) => v === 0));
+});
+
+test('a small animation decodes to the same frames', () => {
+  const frames = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    [11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+    Array(12).fill(5),
+  ];
+  const { bytes, images } = encode(4, 3, frames, { delay: 66, repeat: 3 });
+  const gif = decodeGif(bytes);
+  assert.equal(gif.width, 4);
+  assert.equal(gif.height, 3);
+  assert.equal(gif.repeat, 3);
+  assert.equal(gif.frames.length, 3);
+  assert.equal(bytes[bytes.length - 1], 0x3b);
+  gif.frames.forEach((frame, i) => {
+    assert.equal(frame.delay, 7);
+    assert.equal(frame.clears, 1);
+    assertPixels(gif, frame, images[i]);
+  });
+});
+
+test('frames that fill the 4096-entry code table reset it with a clear code', () => {
+  const { bytes, images } = encode(120, 100, [noise(12000, 1), noise(12000, 2)]);
+  const gif = decodeGif(bytes);
+  assert.equal(gif.repeat, 0);
+  assert.equal(gif.frames.length, 2);
+  gif.frames.forEach((frame, i) => {
+    assert.ok(frame.clears > 1, `第 ${i} 帧应多次清空码表`);
+    assertPixels(gif, frame, images[i]);
+  });
+});
+
+test('long runs of one colour compress well', () => {
+  const { bytes } = encode(200, 200, [Array(40000).fill(0)]);
+  assert.ok(bytes.length < 800 + 4000);
+  const gif = decodeGif(bytes);
+  assert.ok(gif.frames[0].indices.every((index) => index === gif.frames[0].indices[0]));
+});
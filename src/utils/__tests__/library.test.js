@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLibrary, saveLibrary, serializeLibrary, parseLibraryFile, mergeLibrary } from '../library.js';
+
+const entry = (label, expr, desc = '') => ({ id: `${label}-id`, label, expr, desc });
+
+test('an exported library file imports back', () => {
+  const text = serializeLibrary([entry('方波', 'sign(sin(x))', '奇函数'), entry('锯齿', 'x')]);
+  const parsed = JSON.parse(text);
+  assert.equal(parsed.format, 'fourier-visualizer-library');
+  assert.equal(parsed.version, 1);
+  assert.deepEqual(parsed.functions[0], { label: '方波', expr: 'sign(sin(x))', desc: '奇函数' });
+
+  const { entries, error } = parseLibraryFile(text);
+  assert.equal(error, null);
+  assert.deepEqual(entries.map(({ label, expr, desc }) => ({ label, expr, desc })), parsed.functions);
+  assert.ok(entries.every((e) => typeof e.id === 'string' && e.id.length > 0));
+});
+
+test('a bare array of entries is accepted and fields are trimmed', () => {
+  const { entries, error } = parseLibraryFile(JSON.stringify([{ label: '  a ', expr: ' x^2 ', desc: 3 }]));
+  assert.equal(error, null);
+  assert.equal(entries[0].label, 'a');
+  assert.equal(entries[0].expr, 'x^2');
+  assert.equal(entries[0].desc, '');
+});
+
+test('entries missing a label or an expression are dropped', () => {
+  const { entries } = parseLibraryFile(JSON.stringify([{ label: 'a' }, { expr: 'x' }, null, 'x', { label: 'b', expr: 'x' }]));
+  assert.deepEqual(entries.map((e) => e.label), ['b']);
+  assert.equal(parseLibraryFile(JSON.stringify([{ label: 'a' }])).error, '文件中没有有效的函数 (每项需要 label 与 expr)');
+});
+
+test('malformed files are reported', () => {
+  assert.equal(parseLibraryFile('{oops').error, '不是有效的 JSON 文件');
+  assert.equal(parseLibraryFile('{"functions": []}').error, '文件中没有函数库数据');
+  assert.equal(parseLibraryFile('null').error, '文件中没有函数库数据');
+  const future = JSON.stringify({ format: 'fourier-visualizer-library', version: 2, functions: [{ label: 'a', expr: 'x' }] });
+  assert.equal(parseLibraryFile(future).error, '不支持的函数库文件版本 (2)');
+  assert.deepEqual(parseLibraryFile(future).entries, []);
+});
+
+test('imported entries get fresh ids even when the file repeats one', () => {
+  const { entries } = parseLibraryFile(JSON.stringify([
+    { id: 'same', label: 'a', expr: 'x' },
+    { id: 'same', label: 'b', expr: '-x' },
+  ]));
+  assert.equal(new Set(entries.map((e) => e.id)).size, 2);
+  assert.ok(!entries.some((e) => e.id === 'same'));
+});
+
+test('mergeLibrary skips entries already present or repeated in the import', () => {
+  const current = [entry('a', 'x')];
+  const merged = mergeLibrary(current, [entry('a', 'x'), entry('a', '-x'), entry('b', 'x'), entry('b', 'x')]);
+  assert.deepEqual(merged.map((e) => `${e.label}:${e.expr}`), ['a:x', 'a:-x', 'b:x']);
+});
+
+test('the stored library survives a save / load round trip with unique ids', () => {
+  const store = new Map();
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, value),
+    },
+  };
+  try {
+    assert.deepEqual(loadLibrary(), []);
+    saveLibrary([entry('a', 'x'), { ...entry('b', 'x'), id: 'a-id' }]);
+    const loaded = loadLibrary();
+    assert.deepEqual(loaded.map((e) => e.label), ['a', 'b']);
+    assert.equal(loaded[0].id, 'a-id');
+    assert.notEqual(loaded[1].id, 'a-id');
+
+    store.set([...store.keys()][0], 'not json');
+    assert.deepEqual(loadLibrary(), []);
+  } finally {
+    delete globalThis.window;
+  }
+});
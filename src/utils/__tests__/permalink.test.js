@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePermalink, buildPermalink, MAX_STRING_LENGTH } from '../permalink.js';
+
+// 与界面中的字段同构的一组字段
+const FIELDS = [
+  { key: 'waveType', param: 'w', type: 'enum', values: ['square', 'sawtooth', 'custom'], default: 'square' },
+  { key: 'summation', param: 's', type: 'enum', values: ['partial', 'fejer'], default: 'partial' },
+  { key: 'customMode', param: 'm', type: 'enum', values: ['expr', 'piecewise'], default: 'expr' },
+  { key: 'nTerms', param: 'n', type: 'int', min: 1, max: 200, default: 5 },
+  { key: 'zoom', param: 'z', type: 'number', min: 0.1, max: 50, default: 1 },
+  { key: 'showGibbs', param: 'g', type: 'bool', default: true },
+  { key: 'customExpr', param: 'e', type: 'string', default: 'x * x' },
+  { key: 'probes', param: 'pr', type: 'json', validate: (v) => Array.isArray(v) && v.every(Number.isFinite), default: [] },
+];
+
+const DEFAULTS = { waveType: 'square', summation: 'partial', customMode: 'expr', nTerms: 5, zoom: 1, showGibbs: true, customExpr: 'x * x', probes: [] };
+
+test('a missing or empty hash gives the defaults', () => {
+  assert.deepEqual(parsePermalink('', FIELDS), DEFAULTS);
+  assert.deepEqual(parsePermalink('#', FIELDS), DEFAULTS);
+  assert.deepEqual(parsePermalink(undefined, FIELDS), DEFAULTS);
+  assert.equal(buildPermalink(DEFAULTS, FIELDS), '');
+});
+
+test('state survives a build / parse round trip', () => {
+  const state = {
+    waveType: 'custom',
+    summation: 'fejer',
+    customMode: 'piecewise',
+    nTerms: 137,
+    zoom: 2.5,
+    showGibbs: false,
+    customExpr: 'sin(x) + x^2 / 3 & # ?',
+    probes: [0.5, -1.25],
+  };
+  assert.deepEqual(parsePermalink(`#${buildPermalink(state, FIELDS)}`, FIELDS), state);
+});
+
+test('only fields that differ from the default are written', () => {
+  assert.equal(buildPermalink({ ...DEFAULTS, nTerms: 12 }, FIELDS), 'n=12');
+  assert.equal(buildPermalink({ ...DEFAULTS, zoom: 1 / 3 }, FIELDS), 'z=0.333333');
+});
+
+test('unknown enum values fall back to the default', () => {
+  const state = parsePermalink('#w=triangle2&s=cesaro&m=EXPR', FIELDS);
+  assert.equal(state.waveType, 'square');
+  assert.equal(state.summation, 'partial');
+  assert.equal(state.customMode, 'expr');
+  assert.equal(parsePermalink('#w=constructor', FIELDS).waveType, 'square');
+});
+
+test('out-of-range and non-finite numbers fall back to the default', () => {
+  for (const raw of ['0', '201', '-3', '1.5', '1e2', 'abc', '', 'NaN']) {
+    assert.equal(parsePermalink(`#n=${raw}`, FIELDS).nTerms, 5, raw);
+  }
+  for (const raw of ['0.01', '51', 'Infinity', '-Infinity', 'NaN', '', ' ']) {
+    assert.equal(parsePermalink(`#z=${encodeURIComponent(raw)}`, FIELDS).zoom, 1, raw);
+  }
+  assert.equal(parsePermalink('#z=1e1', FIELDS).zoom, 10);
+  assert.equal(parsePermalink('#n=200', FIELDS).nTerms, 200);
+});
+
+test('booleans accept only 1 and 0', () => {
+  assert.equal(parsePermalink('#g=0', FIELDS).showGibbs, false);
+  assert.equal(parsePermalink('#g=true', FIELDS).showGibbs, true);
+});
+
+test('oversized strings and hashes are ignored', () => {
+  const long = 'x'.repeat(MAX_STRING_LENGTH + 1);
+  assert.equal(parsePermalink(`#e=${long}`, FIELDS).customExpr, 'x * x');
+  assert.equal(parsePermalink(`#e=${'x'.repeat(MAX_STRING_LENGTH)}`, FIELDS).customExpr.length, MAX_STRING_LENGTH);
+  assert.deepEqual(parsePermalink(`#n=9&pad=${'x'.repeat(20000)}`, FIELDS), DEFAULTS);
+});
+
+test('invalid JSON or JSON rejected by validate falls back to the default', () => {
+  for (const raw of ['[1,2', '{"a":1}', '[1,"2"]', '%5B1%2C', 'WzEsMl0=', '[1e999]']) {
+    assert.deepEqual(parsePermalink(`#pr=${raw}`, FIELDS).probes, [], raw);
+  }
+  assert.deepEqual(parsePermalink(`#pr=${encodeURIComponent('[1,2]')}`, FIELDS).probes, [1, 2]);
+});
+
+test('malformed percent escapes do not break the other fields', () => {
+  const state = parsePermalink('#e=%E0%A4%A&n=9', FIELDS);
+  assert.equal(state.nTerms, 9);
+  assert.equal(typeof state.customExpr, 'string');
+});
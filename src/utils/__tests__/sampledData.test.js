@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseWav, makeInterpolator, detectPeriod } from '../sampledData.js';
+import { encodeWav } from '../wav.js';
+
+// 按给定的块拼出 RIFF/WAVE 文件：chunks 为 [id, Uint8Array] 列表
+const riff = (chunks) => {
+  const size = chunks.reduce((sum, [, body]) => sum + 8 + body.length + (body.length % 2), 12);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, str) => [...str].forEach((ch, i) => { bytes[offset + i] = ch.charCodeAt(0); });
+  ascii(0, 'RIFF');
+  view.setUint32(4, size - 8, true);
+  ascii(8, 'WAVE');
+  let offset = 12;
+  for (const [id, body] of chunks) {
+    ascii(offset, id);
+    view.setUint32(offset + 4, body.length, true);
+    bytes.set(body, offset + 8);
+    offset += 8 + body.length + (body.length % 2);
+  }
+  return bytes.buffer;
+};
+
+const fmtChunk = ({ audioFormat = 1, channels = 1, sampleRate = 8000, bits = 16 }) => {
+  const body = new Uint8Array(16);
+  const view = new DataView(body.buffer);
+  view.setUint16(0, audioFormat, true);
+  view.setUint16(2, channels, true);
+  view.setUint32(4, sampleRate, true);
+  view.setUint32(8, (sampleRate * channels * bits) / 8, true);
+  view.setUint16(12, (channels * bits) / 8, true);
+  view.setUint16(14, bits, true);
+  return body;
+};
+
+test('parseCsv skips the header and rows that are not numbers', () => {
+  const { data, error } = parseCsv('t,y\n0,1\n0.5,2\noops,3\n1,3\n\n1.5;4\n2\t5\n');
+  assert.equal(error, null);
+  assert.deepEqual(Array.from(data.t), [0, 0.5, 1, 1.5, 2]);
+  assert.deepEqual(Array.from(data.y), [1, 2, 3, 4, 5]);
+});
+
+test('parseCsv uses the row number as t for a single column', () => {
+  const { data } = parseCsv('y\r\n4\r\n3\r\n2\r\n1\r\n');
+  assert.deepEqual(Array.from(data.t), [0, 1, 2, 3]);
+  assert.deepEqual(Array.from(data.y), [4, 3, 2, 1]);
+});
+
+test('parseCsv sorts non-uniform t and keeps the last value of a repeated t', () => {
+  const { data } = parseCsv('3 30\n0 0\n0.1 1\n2 20\n0.1 5\n');
+  assert.deepEqual(Array.from(data.t), [0, 0.1, 2, 3]);
+  assert.deepEqual(Array.from(data.y), [0, 5, 20, 30]);
+});
+
+test('parseCsv reports too few valid rows', () => {
+  const { data, error } = parseCsv('t,y\n0,1\nbad,row\n1,2\n2,3\n');
+  assert.equal(data, null);
+  assert.equal(error, '有效数据不足 4 行 (每行应为 "t, y" 或单列 y)');
+  assert.equal(parseCsv('').error, error);
+});
+
+test('parseWav turns samples into seconds', () => {
+  const { data, error } = parseWav(encodeWav([0, 0.5, -0.5, 0.25, -0.25], 4).buffer);
+  assert.equal(error, null);
+  assert.deepEqual(Array.from(data.t), [0, 0.25, 0.5, 0.75, 1]);
+  assert.ok(Math.abs(data.y[1] - 0.5) < 1e-4);
+  assert.ok(Math.abs(data.y[2] + 0.5) < 1e-4);
+});
+
+test('parseWav averages the channels of an 8-bit stereo file', () => {
+  const samples = Uint8Array.from([128, 192, 255, 1, 64, 64, 128, 128]);
+  const { data, error } = parseWav(riff([['fmt ', fmtChunk({ channels: 2, bits: 8 })], ['data', samples]]));
+  assert.equal(error, null);
+  assert.deepEqual(Array.from(data.y), [0.25, 0, -0.5, 0]);
+});
+
+test('parseWav reports malformed files', () => {
+  const data16 = new Uint8Array(16);
+  assert.equal(parseWav(new ArrayBuffer(8)).error, '不是有效的 WAV 文件');
+  assert.equal(parseWav(riff([['data', data16]])).error, 'WAV 文件缺少 fmt 块');
+  assert.equal(parseWav(riff([['fmt ', fmtChunk({})]])).error, 'WAV 文件中没有音频数据');
+  assert.equal(parseWav(riff([['fmt ', new Uint8Array(8)], ['data', data16]])).error, 'WAV 文件的 fmt 块不完整');
+  assert.equal(parseWav(riff([['fmt ', fmtChunk({ audioFormat: 2 })], ['data', data16]])).error, '不支持的 WAV 编码 (格式 2，16 位)');
+  assert.equal(parseWav(riff([['fmt ', fmtChunk({})], ['data', new Uint8Array(4)]])).error, 'WAV 文件中的样本太少');
+});
+
+test('parseWav rejects a fmt chunk that runs past the end of the file', () => {
+  const bytes = new Uint8Array(riff([['fmt ', fmtChunk({})]]));
+  const truncated = bytes.slice(0, bytes.length - 4);
+  assert.equal(parseWav(truncated.buffer).error, 'WAV 文件的 fmt 块不完整');
+});
+
+test('makeInterpolator interpolates linearly and clamps at the ends', () => {
+  const f = makeInterpolator({ t: Float64Array.from([0, 1, 3]), y: Float64Array.from([0, 2, 0]) });
+  assert.equal(f(-1), 0);
+  assert.equal(f(0.5), 1);
+  assert.equal(f(2), 1);
+  assert.equal(f(5), 0);
+});
+
+test('detectPeriod finds the period of a sampled sine', () => {
+  const t = Float64Array.from({ length: 1000 }, (_, i) => i * 0.01);
+  const y = t.map((ti) => Math.sin((2 * Math.PI * ti) / 1.7));
+  assert.ok(Math.abs(detectPeriod({ t, y }) - 1.7) < 0.01);
+  assert.equal(detectPeriod({ t, y: new Float64Array(1000) }), null);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSvgPath, joinSubpaths } from '../svgPath.js';
+
+const parse = (d) => {
+  const { subpaths, error } = parseSvgPath(d);
+  assert.equal(error, null, `${d}: ${error && error.message}`);
+  return subpaths;
+};
+
+const near = (p, q, tol = 1e-9) => Math.abs(p[0] - q[0]) < tol && Math.abs(p[1] - q[1]) < tol;
+
+test('straight segments with absolute, relative and implicitly repeated commands', () => {
+  const square = [[10, 10], [20, 10], [20, 20], [10, 20], [10, 10]];
+  assert.deepEqual(parse('M10 10 L20 10 L20 20 L10 20 Z'), [square]);
+  assert.deepEqual(parse('m10 10 l10 0 0 10 -10 0 z'), [square]);
+  assert.deepEqual(parse('M10,10 20,10 20,20 10,20z'), [square]);
+  assert.deepEqual(parse('M10 10h10v10H10V10'), [square]);
+  assert.deepEqual(parse('m10 10 10 0 0 10h-10v-10'), [square]);
+});
+
+test('numbers without separators are split like a browser would', () => {
+  assert.deepEqual(parse('M0-5L.5.5 1e1-2'), [[[0, -5], [0.5, 0.5], [10, -2]]]);
+});
+
+test('cubic and quadratic curves end on their end points and reflect S / T control points', () => {
+  const [cubic] = parse('M0 0 C0 10 10 10 10 0 S20 -10 20 0');
+  assert.equal(cubic.length, 1 + 2 * 24);
+  assert.ok(near(cubic[12], [5, 7.5]));
+  assert.ok(near(cubic[24], [10, 0]));
+  assert.ok(near(cubic[36], [15, -7.5]));
+  assert.ok(near(cubic[48], [20, 0]));
+
+  const [quadratic] = parse('M0 0 q5 10 10 0 t10 0');
+  assert.ok(near(quadratic[12], [5, 5]));
+  assert.ok(near(quadratic[36], [15, -5]));
+  assert.ok(near(quadratic[48], [20, 0]));
+
+  // S 前不是三次曲线时第一个控制点取当前点
+  const [plain] = parse('M0 0 L10 0 S20 10 20 0');
+  assert.ok(near(plain[1 + 24], [20, 0]));
+});
+
+test('arcs are flattened on the ellipse and honour the sweep flag', () => {
+  const [upper] = parse('M10 0 A10 10 0 0 1 -10 0');
+  assert.ok(near(upper[upper.length - 1], [-10, 0]));
+  for (const p of upper) {
+    assert.ok(Math.abs(Math.hypot(p[0], p[1]) - 10) < 1e-9);
+    assert.ok(p[1] >= -1e-9);
+  }
+  const [lower] = parse('M10 0 a10 10 0 0 0 -20 0');
+  assert.ok(lower.slice(1, -1).every((p) => p[1] < 0));
+});
+
+test('arc flags may be written without separators', () => {
+  assert.deepEqual(parse('M10 0a10 10 0 01-20 0'), parse('M10 0 a10 10 0 0 1 -20 0'));
+  assert.deepEqual(parse('M0 0A5 5 0 1110 0'), parse('M0 0 A5 5 0 1 1 10 0'));
+});
+
+test('arc radii that are too small are scaled up to reach the end point', () => {
+  const [path] = parse('M0 0 A1 1 0 0 1 10 0');
+  assert.ok(near(path[path.length - 1], [10, 0]));
+  for (const p of path) assert.ok(Math.abs(Math.hypot(p[0] - 5, p[1]) - 5) < 1e-9);
+});
+
+test('M after Z starts a new subpath and single points are dropped', () => {
+  const subpaths = parse('M0 0 L1 0 Z M5 5 L6 5 M9 9');
+  assert.equal(subpaths.length, 2);
+  assert.deepEqual(subpaths[1], [[5, 5], [6, 5]]);
+  assert.deepEqual(joinSubpaths(subpaths), [[0, 0], [1, 0], [0, 0], [5, 5], [6, 5]]);
+});
+
+test('malformed paths report a message and position', () => {
+  const errorOf = (d) => parseSvgPath(d).error;
+  assert.deepEqual(errorOf(''), { message: '路径为空', position: 0 });
+  assert.deepEqual(errorOf('L0 0 1 1'), { message: '路径必须以 M 命令开头', position: 0 });
+  assert.deepEqual(errorOf('M0 0 L1'), { message: 'L 命令的参数个数应为 2 的倍数', position: 5 });
+  assert.deepEqual(errorOf('M0 0 X1 1'), { message: '无法识别的字符 "X"', position: 5 });
+  assert.deepEqual(errorOf('M0 0 L1 #'), { message: '无法识别的字符 "#"', position: 8 });
+  assert.deepEqual(errorOf('M0 0 A1 1 0 2 0 5 5'), { message: '圆弧标志位只能是 0 或 1', position: 12 });
+  assert.deepEqual(errorOf('M0 0 L1 1 Z2'), { message: 'Z 命令不带参数', position: 10 });
+  assert.deepEqual(errorOf('M0 0'), { message: '路径中没有可绘制的线段', position: 0 });
+  assert.deepEqual(errorOf('M0 0 L1e400 0'), { message: '路径坐标不是有限数值', position: 0 });
+  assert.deepEqual(parseSvgPath('M0 0 L1').subpaths, []);
+});
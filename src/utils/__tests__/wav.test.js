@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav, floatToInt16, tilePeriod, decodeWav } from '../wav.js';
+
+const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+test('encodeWav writes a mono 16-bit PCM RIFF header', () => {
+  const bytes = encodeWav(new Float32Array(10), 8000);
+  const view = new DataView(bytes.buffer);
+  assert.equal(bytes.length, 44 + 20);
+  assert.equal(ascii(bytes, 0, 4), 'RIFF');
+  assert.equal(view.getUint32(4, true), 36 + 20);
+  assert.equal(ascii(bytes, 8, 4), 'WAVE');
+  assert.equal(ascii(bytes, 12, 4), 'fmt ');
+  assert.equal(view.getUint32(16, true), 16);
+  assert.equal(view.getUint16(20, true), 1);
+  assert.equal(view.getUint16(22, true), 1);
+  assert.equal(view.getUint32(24, true), 8000);
+  assert.equal(view.getUint32(28, true), 16000);
+  assert.equal(view.getUint16(32, true), 2);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(ascii(bytes, 36, 4), 'data');
+  assert.equal(view.getUint32(40, true), 20);
+});
+
+test('floatToInt16 scales negatives by 0x8000 and positives by 0x7fff', () => {
+  assert.equal(floatToInt16(-1), -0x8000);
+  assert.equal(floatToInt16(1), 0x7fff);
+  assert.equal(floatToInt16(0), 0);
+  assert.equal(floatToInt16(0.5), Math.round(0.5 * 0x7fff));
+  assert.equal(floatToInt16(-0.5), -0x4000);
+});
+
+test('floatToInt16 clamps out-of-range samples and maps NaN to 0', () => {
+  assert.equal(floatToInt16(3), 0x7fff);
+  assert.equal(floatToInt16(-3), -0x8000);
+  assert.equal(floatToInt16(NaN), 0);
+  assert.equal(floatToInt16(Infinity), 0);
+});
+
+test('encodeWav stores clamped samples little-endian', () => {
+  const view = new DataView(encodeWav([2, -2, NaN]).buffer);
+  assert.equal(view.getInt16(44, true), 0x7fff);
+  assert.equal(view.getInt16(46, true), -0x8000);
+  assert.equal(view.getInt16(48, true), 0);
+});
+
+test('tilePeriod repeats the period to the requested length', () => {
+  const out = tilePeriod([1, 2, 3], 7);
+  assert.equal(out.length, 7);
+  assert.deepEqual(Array.from(out), [1, 2, 3, 1, 2, 3, 1]);
+  assert.deepEqual(Array.from(tilePeriod([], 4)), [0, 0, 0, 0]);
+});
+
+test('decodeWav reads back what encodeWav wrote', () => {
+  const samples = Array.from({ length: 64 }, (_, i) => Math.sin((2 * Math.PI * i) / 64));
+  const { samples: decoded, sampleRate, error } = decodeWav(encodeWav(samples, 22050).buffer);
+  assert.equal(error, null);
+  assert.equal(sampleRate, 22050);
+  assert.equal(decoded.length, samples.length);
+  for (let i = 0; i < samples.length; i++) assert.ok(Math.abs(decoded[i] - samples[i]) < 1e-4);
+});
@@ -0,0 +1,36 @@
+/**
+ * 平面曲线模式的内置形状 (SVG 路径，坐标范围约 100 × 100，y 轴向下)
+ */
+
+export const CURVE_SHAPES = [
+  {
+    id: 'heart',
+    label: '心形',
+    path: 'M50 88 C20 65 0 45 0 27 C0 10 13 0 27 0 C38 0 46 7 50 16 C54 7 62 0 73 0 C87 0 100 10 100 27 C100 45 80 65 50 88 Z',
+  },
+  {
+    id: 'star',
+    label: '五角星',
+    path: 'M50 2 L61.2 36.5 L97.6 36.5 L68.2 57.9 L79.4 92.5 L50 71.1 L20.6 92.5 L31.8 57.9 L2.4 36.5 L38.8 36.5 Z',
+  },
+  {
+    id: 'crescent',
+    label: '月牙',
+    path: 'M70 9 A45 45 0 1 0 70 91 A50 50 0 0 1 70 9 Z',
+  },
+  {
+    id: 'infinity',
+    label: '∞ 字形',
+    path: 'M50 50 C70 20 100 20 100 50 C100 80 70 80 50 50 C30 20 0 20 0 50 C0 80 30 80 50 50 Z',
+  },
+  {
+    id: 'letterF',
+    label: '字母 F',
+    path: 'M20 0 H85 V16 H40 V40 H75 V56 H40 V100 H20 Z',
+  },
+  {
+    id: 'square',
+    label: '正方形',
+    path: 'M0 0 H100 V100 H0 Z',
+  },
+];
@@ -0,0 +1,84 @@
+/**
+ * 手绘波形
+ * 一个周期被等分为 SKETCH_SIZE 个格子，每个格子存一个 y 值 (NaN 表示尚未绘制)。
+ * 笔画的位置以周期内的相位 u = (x - a) / T 表示 (可以超出 [0, 1)，按周期折回)，
+ * 后画的笔画覆盖先前同一位置的值，因此结果始终是单值函数。
+ */
+
+export const SKETCH_SIZE = 512;
+
+export const createSketch = () => new Float64Array(SKETCH_SIZE).fill(NaN);
+
+const wrapIndex = (j) => ((j % SKETCH_SIZE) + SKETCH_SIZE) % SKETCH_SIZE;
+
+export const isSketchEmpty = (sketch) => sketch.every((v) => Number.isNaN(v));
+
+/**
+ * 把笔画的一段 (u0, y0) → (u1, y1) 画进格子，返回新的数组。
+ * 格子中心位于 (j + 0.5) / SKETCH_SIZE，落在线段范围内的格子取线性插值；
+ * 线段太短、没有覆盖任何格子中心时，直接写入终点所在的格子。
+ */
+export const paintSegment = (sketch, u0, y0, u1, y1) => {
+  const next = Float64Array.from(sketch);
+  const lo = Math.min(u0, u1);
+  const hi = Math.max(u0, u1);
+  const jStart = Math.ceil(lo * SKETCH_SIZE - 0.5);
+  const jEnd = Math.floor(hi * SKETCH_SIZE - 0.5);
+  if (jEnd < jStart) {
+    next[wrapIndex(Math.floor(u1 * SKETCH_SIZE))] = y1;
+    return next;
+  }
+  for (let j = jStart; j <= jEnd; j++) {
+    const u = (j + 0.5) / SKETCH_SIZE;
+    const r = hi > lo ? (u - u0) / (u1 - u0) : 1;
+    next[wrapIndex(j)] = y0 + r * (y1 - y0);
+  }
+  return next;
+};
+
+// 周期性 [1, 2, 1] / 4 平滑，未绘制的格子保持不变
+export const smoothSketch = (sketch) => {
+  const next = Float64Array.from(sketch);
+  for (let j = 0; j < SKETCH_SIZE; j++) {
+    if (Number.isNaN(sketch[j])) continue;
+    let sum = 2 * sketch[j];
+    let weight = 2;
+    for (const k of [j - 1, j + 1]) {
+      const v = sketch[wrapIndex(k)];
+      if (!Number.isNaN(v)) {
+        sum += v;
+        weight += 1;
+      }
+    }
+    next[j] = sum / weight;
+  }
+  return next;
+};
+
+/**
+ * 把格子转换为定义在 [a, a + T) 上的函数 (在格子中心之间线性插值，周期首尾相接)。
+ * 未绘制的格子由两侧已绘制的格子线性插值补齐；全部为空时返回 null。
+ */
+export const sketchToFunction = (sketch, a, T) => {
+  const known = [];
+  for (let j = 0; j < SKETCH_SIZE; j++) {
+    if (!Number.isNaN(sketch[j])) known.push(j);
+  }
+  if (known.length === 0) return null;
+
+  const filled = Float64Array.from(sketch);
+  known.forEach((j, i) => {
+    const next = known[(i + 1) % known.length];
+    const gap = (next - j + SKETCH_SIZE) % SKETCH_SIZE || SKETCH_SIZE;
+    for (let d = 1; d < gap; d++) {
+      filled[wrapIndex(j + d)] = sketch[j] + (d / gap) * (sketch[next] - sketch[j]);
+    }
+  });
+
+  return (x) => {
+    const pos = ((x - a) / T) * SKETCH_SIZE - 0.5;
+    const j = Math.floor(pos);
+    const r = pos - j;
+    return filled[wrapIndex(j)] * (1 - r) + filled[wrapIndex(j + 1)] * r;
+  };
+};
@@ -0,0 +1,106 @@
+/**
+ * 系数与近似结果的文本导出 (CSV / JSON / LaTeX / JS / Python)
+ *
+ * series 的结构：
+ *   { name, N, interval: { a, b, T }, omega, origin, summation, a0,
+ *     terms: [{ n, a, b, weight }] }
+ * 第 n 项为 weight · (a cos(nω(x − origin)) + b sin(nω(x − origin)))，
+ * 即 S_N(x) = a0/2 + Σ weight_n · (...)。partial 求和时 weight 均为 1。
+ */
+
+// 有效数字位数
+const DIGITS = 10;
+
+const clean = (v) => (Math.abs(v) < 1e-12 ? 0 : Number(v.toPrecision(DIGITS)));
+
+// 振幅与相位：a cos θ + b sin θ = A cos(θ − φ)
+const polar = (a, b) => ({ amplitude: Math.hypot(a, b), phase: Math.atan2(b, a) });
+
+// 参与近似的项 (已乘权重、去掉为 0 的项)
+const activeTerms = (series) => series.terms
+  .map(({ n, a, b, weight }) => ({ n, a: clean(a * weight), b: clean(b * weight) }))
+  .filter(({ a, b }) => a !== 0 || b !== 0);
+
+export const coefficientsCsv = (series) => {
+  const lines = ['n,a_n,b_n,amplitude,phase,weight'];
+  lines.push(`0,${clean(series.a0)},0,${clean(Math.abs(series.a0 / 2))},${series.a0 < 0 ? clean(Math.PI) : 0},1`);
+  for (const { n, a, b, weight } of series.terms) {
+    const { amplitude, phase } = polar(a, b);
+    lines.push([n, clean(a), clean(b), clean(amplitude), clean(phase), clean(weight)].join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+export const coefficientsJson = (series) => JSON.stringify({
+  function: series.name,
+  N: series.N,
+  interval: { a: clean(series.interval.a), b: clean(series.interval.b), T: clean(series.interval.T) },
+  omega: clean(series.omega),
+  origin: clean(series.origin),
+  summation: series.summation,
+  a0: clean(series.a0),
+  terms: series.terms.map(({ n, a, b, weight }) => {
+    const { amplitude, phase } = polar(a, b);
+    return { n, a: clean(a), b: clean(b), amplitude: clean(amplitude), phase: clean(phase), weight: clean(weight) };
+  }),
+}, null, 2) + '\n';
+
+// 第 n 项的角度，如 "3x"、"4.71238898 (x - 0.5)"
+const argument = (series, n, { times, group, variable = 'x' }) => {
+  const k = clean(n * series.omega);
+  const shifted = series.origin === 0
+    ? variable
+    : `${group[0]}${variable} ${series.origin > 0 ? '-' : '+'} ${clean(Math.abs(series.origin))}${group[1]}`;
+  if (k === 1) return shifted;
+  return `${k}${times}${shifted}`;
+};
+
+// 把 [系数, 文本] 列表连成 "c0 + c1 t1 - c2 t2 ..."，gap 为各项之间的分隔
+const joinTerms = (parts, times, gap = ' ') => {
+  const nonZero = parts.filter(([c]) => c !== 0);
+  if (nonZero.length === 0) return '0';
+  return nonZero.map(([c, text], i) => {
+    const abs = Math.abs(c);
+    const body = text === null ? `${abs}` : `${abs}${times}${text}`;
+    if (i === 0) return c < 0 ? `-${body}` : body;
+    return `${c < 0 ? '-' : '+'} ${body}`;
+  }).join(gap);
+};
+
+export const seriesLatex = (series) => {
+  const opts = { times: ' ', group: ['\\left(', '\\right)'] };
+  const parts = [[clean(series.a0 / 2), null]];
+  for (const { n, a, b } of activeTerms(series)) {
+    const arg = argument(series, n, opts);
+    parts.push([a, `\\cos\\left(${arg}\\right)`]);
+    parts.push([b, `\\sin\\left(${arg}\\right)`]);
+  }
+  return `S_{${series.N}}(x) = ${joinTerms(parts, ' ')}\n`;
+};
+
+// 代码形式：每项一行，便于阅读与粘贴
+const codeTerms = (series, fn, indent) => {
+  const opts = { times: ' * ', group: ['(', ')'] };
+  const parts = [[clean(series.a0 / 2), null]];
+  for (const { n, a, b } of activeTerms(series)) {
+    const arg = argument(series, n, opts);
+    parts.push([a, `${fn.cos}(${arg})`]);
+    parts.push([b, `${fn.sin}(${arg})`]);
+  }
+  return indent + joinTerms(parts, ' * ', `\n${indent}`);
+};
+
+export const seriesJs = (series) =>
+  `// ${series.name}\nconst S = (x) => (\n${codeTerms(series, { cos: 'Math.cos', sin: 'Math.sin' }, '  ')}\n);\n`;
+
+export const seriesPython = (series) =>
+  `# ${series.name}\nfrom math import cos, sin\n\n\ndef S(x):\n    return (\n${codeTerms(series, { cos: 'cos', sin: 'sin' }, '        ')}\n    )\n`;
+
+// 一个周期上的采样：x, f(x), S_N(x)
+export const samplesCsv = ({ xs, fs, ss }) => {
+  const lines = ['x,f,S_N'];
+  for (let i = 0; i < xs.length; i++) {
+    lines.push(`${clean(xs[i])},${clean(fs[i])},${clean(ss[i])}`);
+  }
+  return lines.join('\n') + '\n';
+};
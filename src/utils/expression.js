@@ -0,0 +1,380 @@
+/**
+ * 自定义函数表达式解析器
+ * 词法分析 -> 递归下降语法分析 (AST) -> 编译为闭包。
+ * 只允许白名单内的运算符、常量与函数，不再使用 new Function 执行任意代码。
+ *
+ * 语法 (优先级从低到高)：
+ *   条件     a ? b : c
+ *   逻辑     ||  &&
+ *   比较     <  <=  >  >=  ==  !=
+ *   加减     +  -
+ *   乘除     *  /  %
+ *   一元     +  -  !
+ *   乘方     ^  ** (右结合)
+ *   基本项   数字 / x / 常量 / 函数调用 / 括号
+ */
+
+// 白名单常量
+const CONSTANTS = {
+  PI: Math.PI,
+  pi: Math.PI,
+  'π': Math.PI,
+  E: Math.E,
+  e: Math.E,
+};
+
+// 白名单函数：[实现, 最少参数, 最多参数]
+const FUNCTIONS = {
+  sin: [Math.sin, 1, 1],
+  cos: [Math.cos, 1, 1],
+  tan: [Math.tan, 1, 1],
+  asin: [Math.asin, 1, 1],
+  acos: [Math.acos, 1, 1],
+  atan: [Math.atan, 1, 1],
+  atan2: [Math.atan2, 2, 2],
+  sinh: [Math.sinh, 1, 1],
+  cosh: [Math.cosh, 1, 1],
+  tanh: [Math.tanh, 1, 1],
+  exp: [Math.exp, 1, 1],
+  log: [Math.log, 1, 1],
+  ln: [Math.log, 1, 1],
+  log10: [Math.log10, 1, 1],
+  sqrt: [Math.sqrt, 1, 1],
+  abs: [Math.abs, 1, 1],
+  floor: [Math.floor, 1, 1],
+  ceil: [Math.ceil, 1, 1],
+  round: [Math.round, 1, 1],
+  sign: [Math.sign, 1, 1],
+  pow: [Math.pow, 2, 2],
+  max: [Math.max, 1, Infinity],
+  min: [Math.min, 1, Infinity],
+};
+
+const VARIABLE = 'x';
+
+// 括号、一元运算与乘方的最大嵌套层数，超出后报错而不是让递归爆栈
+const MAX_DEPTH = 256;
+
+const OPERATORS = ['**', '<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', ','];
+
+const BINARY_OPS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '^': (a, b) => Math.pow(a, b),
+  '**': (a, b) => Math.pow(a, b),
+  '<': (a, b) => (a < b ? 1 : 0),
+  '<=': (a, b) => (a <= b ? 1 : 0),
+  '>': (a, b) => (a > b ? 1 : 0),
+  '>=': (a, b) => (a >= b ? 1 : 0),
+  '==': (a, b) => (a === b ? 1 : 0),
+  '!=': (a, b) => (a !== b ? 1 : 0),
+};
+
+const makeError = (message, position) => ({ message, position });
+
+// 只认白名单对象自身的键，避免 constructor / toString 等原型属性混入
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// --- 词法分析 ---
+
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+const isIdentStart = (ch) => /[A-Za-z_π]/.test(ch);
+const isIdentPart = (ch) => /[A-Za-z0-9_π]/.test(ch);
+
+const tokenize = (src) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // 数字：123, 1.5, .5, 1e-3
+    if (isDigit(ch) || (ch === '.' && isDigit(src[i + 1] || ''))) {
+      const start = i;
+      while (isDigit(src[i] || '')) i++;
+      if (src[i] === '.') {
+        i++;
+        while (isDigit(src[i] || '')) i++;
+      }
+      if (src[i] === 'e' || src[i] === 'E') {
+        const save = i;
+        i++;
+        if (src[i] === '+' || src[i] === '-') i++;
+        if (isDigit(src[i] || '')) {
+          while (isDigit(src[i] || '')) i++;
+        } else {
+          // 不是指数，回退 (例如 "2e" 视为 2 后接常量 e，由语法分析报错)
+          i = save;
+        }
+      }
+      tokens.push({ type: 'num', value: parseFloat(src.slice(start, i)), pos: start });
+      continue;
+    }
+
+    if (isIdentStart(ch)) {
+      const start = i;
+      while (i < src.length && isIdentPart(src[i])) i++;
+      tokens.push({ type: 'ident', value: src.slice(start, i), pos: start });
+      continue;
+    }
+
+    const op = OPERATORS.find((o) => src.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += op.length;
+      continue;
+    }
+
+    throw makeError(`无法识别的字符 '${ch}'`, i);
+  }
+
+  tokens.push({ type: 'eof', value: '', pos: src.length });
+  return tokens;
+};
+
+// --- 语法分析 (递归下降) ---
+
+const describe = (token) => (token.type === 'eof' ? '表达式结尾' : `'${token.value}'`);
+
+const parse = (src) => {
+  const tokens = tokenize(src);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOp = (value) => peek().type === 'op' && peek().value === value;
+  const expectOp = (value) => {
+    const token = peek();
+    if (!isOp(value)) {
+      throw makeError(`此处应为 '${value}'，但遇到了 ${describe(token)}`, token.pos);
+    }
+    return next();
+  };
+
+  const parseBinaryLevel = (ops, parseOperand) => () => {
+    let left = parseOperand();
+    while (peek().type === 'op' && ops.includes(peek().value)) {
+      const token = next();
+      const right = parseOperand();
+      left = { type: 'binary', op: token.value, left, right, pos: token.pos };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === 'num') {
+      next();
+      return { type: 'num', value: token.value, pos: token.pos };
+    }
+
+    if (token.type === 'ident') {
+      next();
+      const name = token.value;
+
+      if (isOp('(')) {
+        const spec = hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+        if (!spec) throw makeError(`未知函数 '${name}'`, token.pos);
+        next();
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseConditional());
+          while (isOp(',')) {
+            next();
+            args.push(parseConditional());
+          }
+        }
+        expectOp(')');
+        const [, minArgs, maxArgs] = spec;
+        if (args.length < minArgs || args.length > maxArgs) {
+          const expected = minArgs === maxArgs ? `${minArgs}` : `至少 ${minArgs}`;
+          throw makeError(`函数 '${name}' 需要 ${expected} 个参数，实际为 ${args.length} 个`, token.pos);
+        }
+        return { type: 'call', name, args, pos: token.pos };
+      }
+
+      if (name === VARIABLE) return { type: 'var', pos: token.pos };
+      if (hasOwn(CONSTANTS, name)) return { type: 'num', value: CONSTANTS[name], pos: token.pos };
+      if (hasOwn(FUNCTIONS, name)) throw makeError(`函数 '${name}' 后缺少 '('`, token.pos + name.length);
+      throw makeError(`未知变量 '${name}'，只支持 x`, token.pos);
+    }
+
+    if (isOp('(')) {
+      next();
+      const inner = parseConditional();
+      expectOp(')');
+      return inner;
+    }
+
+    throw makeError(`此处不应出现 ${describe(token)}`, token.pos);
+  };
+
+  // 乘方右结合，且优先级高于一元负号：-x^2 = -(x^2)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^') || isOp('**')) {
+      const token = next();
+      const exponent = parseUnary();
+      return { type: 'binary', op: token.value, left: base, right: exponent, pos: token.pos };
+    }
+    return base;
+  };
+
+  const parseUnary = () => {
+    if (++depth > MAX_DEPTH) throw makeError('表达式嵌套层数过多', peek().pos);
+    let node;
+    if (isOp('-') || isOp('+') || isOp('!')) {
+      const token = next();
+      node = { type: 'unary', op: token.value, arg: parseUnary(), pos: token.pos };
+    } else {
+      node = parsePower();
+    }
+    depth--;
+    return node;
+  };
+
+  const parseMultiplicative = parseBinaryLevel(['*', '/', '%'], parseUnary);
+  const parseAdditive = parseBinaryLevel(['+', '-'], parseMultiplicative);
+  const parseComparison = parseBinaryLevel(['<', '<=', '>', '>=', '==', '!='], parseAdditive);
+  const parseAnd = parseBinaryLevel(['&&'], parseComparison);
+  const parseOr = parseBinaryLevel(['||'], parseAnd);
+
+  function parseConditional() {
+    const test = parseOr();
+    if (isOp('?')) {
+      const token = next();
+      const consequent = parseConditional();
+      expectOp(':');
+      const alternate = parseConditional();
+      return { type: 'cond', test, consequent, alternate, pos: token.pos };
+    }
+    return test;
+  }
+
+  if (peek().type === 'eof') throw makeError('表达式为空', 0);
+
+  const ast = parseConditional();
+  const rest = peek();
+  if (rest.type !== 'eof') {
+    throw makeError(`多余的 ${describe(rest)}`, rest.pos);
+  }
+  return ast;
+};
+
+// --- 编译：AST -> 闭包 ---
+
+const compileNode = (node) => {
+  switch (node.type) {
+    case 'num': {
+      const value = node.value;
+      return () => value;
+    }
+    case 'var':
+      return (x) => x;
+    case 'unary': {
+      const arg = compileNode(node.arg);
+      if (node.op === '-') return (x) => -arg(x);
+      if (node.op === '!') return (x) => (arg(x) ? 0 : 1);
+      return arg;
+    }
+    case 'binary': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      if (node.op === '&&') return (x) => (left(x) && right(x) ? 1 : 0);
+      if (node.op === '||') return (x) => (left(x) || right(x) ? 1 : 0);
+      const op = BINARY_OPS[node.op];
+      return (x) => op(left(x), right(x));
+    }
+    case 'call': {
+      const fn = FUNCTIONS[node.name][0];
+      const args = node.args.map(compileNode);
+      if (args.length === 1) {
+        const [a] = args;
+        return (x) => fn(a(x));
+      }
+      if (args.length === 2) {
+        const [a, b] = args;
+        return (x) => fn(a(x), b(x));
+      }
+      return (x) => fn(...args.map((arg) => arg(x)));
+    }
+    case 'cond': {
+      const test = compileNode(node.test);
+      const consequent = compileNode(node.consequent);
+      const alternate = compileNode(node.alternate);
+      return (x) => (test(x) ? consequent(x) : alternate(x));
+    }
+    default:
+      throw makeError('内部错误：未知的语法节点', node.pos);
+  }
+};
+
+/**
+ * 编译表达式字符串。
+ * 成功时返回 { fn, ast, error: null }，fn(x) 对非有限结果返回 0；
+ * 失败时返回 { fn: null, ast: null, error: { message, position } }，position 为 0 起始的字符下标。
+ */
+export const compileExpression = (src) => {
+  try {
+    const ast = parse(src);
+    const raw = compileNode(ast);
+    const fn = (x) => {
+      const y = raw(x);
+      return Number.isFinite(y) ? y : 0;
+    };
+    return { fn, ast, error: null };
+  } catch (err) {
+    if (err && typeof err.position === 'number') {
+      return { fn: null, ast: null, error: err };
+    }
+    // 很长的运算链 (如上万项相加) 在编译时仍可能超出调用栈
+    if (err instanceof RangeError) {
+      return { fn: null, ast: null, error: makeError('表达式过长或嵌套过深', 0) };
+    }
+    throw err;
+  }
+};
+
+export const EXPRESSION_CONSTANTS = Object.keys(CONSTANTS);
+export const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
+
+const usesVariable = (node) => {
+  switch (node.type) {
+    case 'var':
+      return true;
+    case 'unary':
+      return usesVariable(node.arg);
+    case 'binary':
+      return usesVariable(node.left) || usesVariable(node.right);
+    case 'call':
+      return node.args.some(usesVariable);
+    case 'cond':
+      return usesVariable(node.test) || usesVariable(node.consequent) || usesVariable(node.alternate);
+    default:
+      return false;
+  }
+};
+
+/**
+ * 编译不含 x 的常量表达式 (如 -PI、PI/2、1e-3)，用于区间端点等数值输入。
+ * 返回 { value, error }，失败时 value 为 NaN。
+ */
+export const compileConstant = (src) => {
+  const compiled = compileExpression(src);
+  if (compiled.error) return { value: NaN, error: compiled.error };
+  if (usesVariable(compiled.ast)) {
+    return { value: NaN, error: { message: '此处只能填写常数，不能包含 x', position: 0 } };
+  }
+  const value = compiled.fn(0);
+  return { value, error: null };
+};
@@ -0,0 +1,83 @@
+/**
+ * 导出图像的附加元素：图例、坐标轴标签、底部说明文字
+ * 与主场景一样只使用 Canvas 2D 的基本指令，因此同样适用于 SvgContext。
+ */
+
+const FONT_FAMILY = 'sans-serif';
+
+// 底部说明栏高度 (逻辑像素)
+export const CAPTION_HEIGHT = 28;
+
+// 估算文字宽度 (SvgContext 无法测量文字)：汉字按一个字号宽，其余按 0.6 个字号
+const textWidth = (text, size) => {
+  let units = 0;
+  for (const ch of text) units += /[\u3000-\u9fff\uff00-\uffef]/.test(ch) ? 1 : 0.6;
+  return units * size;
+};
+
+/**
+ * 右上角图例。items 为 [{ label, color, lineWidth, dash }]。
+ */
+export const drawLegend = (ctx, items, width) => {
+  if (items.length === 0) return;
+  const size = 12;
+  const rowHeight = 18;
+  const swatch = 24;
+  const pad = 8;
+  const boxWidth = pad * 3 + swatch + Math.max(...items.map((item) => textWidth(item.label, size)));
+  const boxHeight = pad * 2 + rowHeight * items.length - (rowHeight - size);
+  const left = width - boxWidth - 12;
+  const top = 12;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(left, top, boxWidth, boxHeight);
+  ctx.strokeStyle = '#cbd5e1';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([]);
+  ctx.strokeRect(left, top, boxWidth, boxHeight);
+
+  ctx.font = `${size}px ${FONT_FAMILY}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  items.forEach((item, i) => {
+    const cy = top + pad + size / 2 + i * rowHeight;
+    ctx.strokeStyle = item.color;
+    ctx.lineWidth = item.lineWidth;
+    ctx.setLineDash(item.dash || []);
+    ctx.beginPath();
+    ctx.moveTo(left + pad, cy);
+    ctx.lineTo(left + pad + swatch, cy);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#334155';
+    ctx.fillText(item.label, left + pad * 2 + swatch, cy);
+  });
+};
+
+/**
+ * 坐标轴名称：坐标轴在视图内时贴着轴线，否则贴着图的边缘。
+ * xAxisY / yAxisX 为 y = 0 与 x = 0 两条轴的像素位置。
+ */
+export const drawAxisLabels = (ctx, { width, height, xAxisY, yAxisX, xLabel = 'x', yLabel = 'y' }) => {
+  ctx.fillStyle = '#475569';
+  ctx.font = 'italic 13px serif';
+
+  const labelY = xAxisY >= 0 && xAxisY <= height ? Math.min(Math.max(xAxisY - 6, 16), height - 4) : height - 22;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(xLabel, width - 8, labelY);
+
+  const labelX = yAxisX >= 0 && yAxisX <= width ? Math.min(Math.max(yAxisX + 6, 4), width - 40) : 8;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText(yLabel, labelX, 8);
+};
+
+// 图下方的说明文字 (居中，位于 [top, top + CAPTION_HEIGHT))
+export const drawCaption = (ctx, text, width, top) => {
+  ctx.fillStyle = '#334155';
+  ctx.font = `13px ${FONT_FAMILY}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, width / 2, top + CAPTION_HEIGHT / 2);
+};
@@ -0,0 +1,228 @@
+/**
+ * GIF89a 动画编码 (纯 JS，不依赖浏览器 API)
+ * 所有帧共用一个全局调色板 (最多 256 色)：按 15 位 RGB 统计各帧出现最多的颜色，
+ * 像素映射到调色板中最近的颜色；帧数据用 GIF 的变长 LZW 压缩。
+ * 输入帧为 RGBA 字节数组 (如 ImageData.data)，透明度忽略。
+ */
+
+const PALETTE_SIZE = 256;
+const MAX_CODE = 4096;
+
+// 可增长的字节缓冲
+const createWriter = () => {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+  const ensure = (extra) => {
+    if (length + extra <= bytes.length) return;
+    let size = bytes.length * 2;
+    while (size < length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(bytes.subarray(0, length));
+    bytes = next;
+  };
+  return {
+    byte(b) {
+      ensure(1);
+      bytes[length++] = b;
+    },
+    word(w) {
+      ensure(2);
+      bytes[length++] = w & 0xff;
+      bytes[length++] = (w >> 8) & 0xff;
+    },
+    string(str) {
+      ensure(str.length);
+      for (let i = 0; i < str.length; i++) bytes[length++] = str.charCodeAt(i);
+    },
+    array(arr) {
+      ensure(arr.length);
+      bytes.set(arr, length);
+      length += arr.length;
+    },
+    result: () => bytes.slice(0, length),
+  };
+};
+
+const colorKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/**
+ * 由若干代表帧生成调色板，返回 256 × 3 字节 (不足的部分补黑色)。
+ * 每个 15 位颜色格子取格内像素的平均色，按出现次数取前 256 个。
+ */
+export const buildPalette = (images) => {
+  const count = new Uint32Array(1 << 15);
+  const sums = new Float64Array((1 << 15) * 3);
+  for (const data of images) {
+    for (let i = 0; i < data.length; i += 4) {
+      const key = colorKey(data[i], data[i + 1], data[i + 2]);
+      count[key]++;
+      sums[key * 3] += data[i];
+      sums[key * 3 + 1] += data[i + 1];
+      sums[key * 3 + 2] += data[i + 2];
+    }
+  }
+  const keys = [];
+  for (let key = 0; key < count.length; key++) if (count[key] > 0) keys.push(key);
+  keys.sort((a, b) => count[b] - count[a]);
+
+  const palette = new Uint8Array(PALETTE_SIZE * 3);
+  keys.slice(0, PALETTE_SIZE).forEach((key, i) => {
+    for (let c = 0; c < 3; c++) palette[i * 3 + c] = Math.round(sums[key * 3 + c] / count[key]);
+  });
+  return palette;
+};
+
+// 像素 -> 调色板下标；同一 15 位格子内的颜色共用一次最近色搜索的结果
+const createIndexer = (palette) => {
+  const cache = new Int16Array(1 << 15).fill(-1);
+  return (data, out) => {
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+      const key = colorKey(data[i], data[i + 1], data[i + 2]);
+      let index = cache[key];
+      if (index < 0) {
+        let best = Infinity;
+        for (let j = 0; j < PALETTE_SIZE; j++) {
+          const dr = palette[j * 3] - data[i];
+          const dg = palette[j * 3 + 1] - data[i + 1];
+          const db = palette[j * 3 + 2] - data[i + 2];
+          const d = dr * dr + dg * dg + db * db;
+          if (d < best) {
+            best = d;
+            index = j;
+          }
+        }
+        cache[key] = index;
+      }
+      out[p] = index;
+    }
+    return out;
+  };
+};
+
+/**
+ * GIF 的 LZW 压缩 (最小码长 8)，输出按 255 字节分块的数据子块。
+ * 码表满 4096 项时发出清除码重新开始。
+ */
+const writeLzw = (writer, indices) => {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    if (blockLength === 0) return;
+    writer.byte(blockLength);
+    writer.array(block.subarray(0, blockLength));
+    blockLength = 0;
+  };
+  const emit = (code, size) => {
+    bitBuffer |= code << bitCount;
+    bitCount += size;
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 0xff;
+      if (blockLength === 255) flushBlock();
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writer.byte(minCodeSize);
+
+  let table = new Map();
+  let nextCode = endCode + 1;
+  let codeSize = minCodeSize + 1;
+  emit(clearCode, codeSize);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * PALETTE_SIZE + k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix, codeSize);
+    if (nextCode < MAX_CODE) {
+      // 新码超出当前码长能表示的范围时码长加一
+      if (nextCode === 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    } else {
+      emit(clearCode, codeSize);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = k;
+  }
+  emit(prefix, codeSize);
+  emit(endCode, codeSize);
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 0xff;
+    if (blockLength === 255) flushBlock();
+  }
+  flushBlock();
+  writer.byte(0);
+};
+
+/**
+ * 创建动画编码器。delay 为每帧时长 (毫秒，GIF 以 10 ms 为单位)，repeat 为循环次数 (0 = 无限)。
+ * 返回 { addFrame(rgba), finish() }；finish 返回完整文件的 Uint8Array。
+ */
+export const createGifEncoder = ({ width, height, palette, delay, repeat = 0 }) => {
+  const writer = createWriter();
+  const indexPixels = createIndexer(palette);
+  const indices = new Uint8Array(width * height);
+
+  writer.string('GIF89a');
+  writer.word(width);
+  writer.word(height);
+  writer.byte(0xf7); // 全局调色板，256 色
+  writer.byte(0); // 背景色下标
+  writer.byte(0); // 像素宽高比
+
+  writer.array(palette);
+
+  // NETSCAPE2.0 扩展：循环播放
+  writer.byte(0x21);
+  writer.byte(0xff);
+  writer.byte(11);
+  writer.string('NETSCAPE2.0');
+  writer.byte(3);
+  writer.byte(1);
+  writer.word(repeat);
+  writer.byte(0);
+
+  const delayCs = Math.max(2, Math.round(delay / 10));
+
+  return {
+    addFrame(rgba) {
+      // 图形控制扩展：帧时长，无透明色
+      writer.byte(0x21);
+      writer.byte(0xf9);
+      writer.byte(4);
+      writer.byte(0);
+      writer.word(delayCs);
+      writer.byte(0);
+      writer.byte(0);
+
+      // 图像描述符：整幅画面，使用全局调色板
+      writer.byte(0x2c);
+      writer.word(0);
+      writer.word(0);
+      writer.word(width);
+      writer.word(height);
+      writer.byte(0);
+
+      writeLzw(writer, indexPixels(rgba, indices));
+    },
+    finish() {
+      writer.byte(0x3b);
+      return writer.result();
+    },
+  };
+};
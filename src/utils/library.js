@@ -0,0 +1,91 @@
+/**
+ * 个人函数库：保存到 localStorage，并可导出 / 导入为 JSON 文件
+ * 每个条目为 { id, label, expr, desc }。
+ */
+
+const STORAGE_KEY = 'fourier-visualizer.library';
+const FILE_FORMAT = 'fourier-visualizer-library';
+const FILE_VERSION = 1;
+
+// 单个库最多保存的条目数与字段长度
+const MAX_ENTRIES = 200;
+const MAX_FIELD_LENGTH = 500;
+
+export const createEntryId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// 校验并整理一个条目，无效时返回 null
+const normalizeEntry = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const field = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_FIELD_LENGTH) : '');
+  const label = field(raw.label);
+  const expr = field(raw.expr);
+  if (!label || !expr) return null;
+  return { id: typeof raw.id === 'string' && raw.id ? raw.id : createEntryId(), label, expr, desc: field(raw.desc) };
+};
+
+// 重复的 id 会让列表的 key 冲突，后出现的条目换一个新 id
+const normalizeList = (list) => {
+  if (!Array.isArray(list)) return [];
+  const ids = new Set();
+  return list.map(normalizeEntry).filter(Boolean).slice(0, MAX_ENTRIES).map((entry) => {
+    const unique = ids.has(entry.id) ? { ...entry, id: createEntryId() } : entry;
+    ids.add(unique.id);
+    return unique;
+  });
+};
+
+export const loadLibrary = () => {
+  try {
+    return normalizeList(JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]'));
+  } catch {
+    return [];
+  }
+};
+
+// 存储不可用 (隐私模式、配额已满) 时静默忽略，库只在本次会话内有效
+export const saveLibrary = (entries) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // 忽略
+  }
+};
+
+export const serializeLibrary = (entries) => JSON.stringify({
+  format: FILE_FORMAT,
+  version: FILE_VERSION,
+  functions: entries.map(({ label, expr, desc }) => ({ label, expr, desc })),
+}, null, 2) + '\n';
+
+/**
+ * 解析导入的 JSON 文件，接受本应用导出的格式或直接的条目数组。
+ * 返回 { entries, error }。
+ */
+export const parseLibraryFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { entries: [], error: '不是有效的 JSON 文件' };
+  }
+  if (data && data.format === FILE_FORMAT && data.version !== FILE_VERSION) {
+    return { entries: [], error: `不支持的函数库文件版本 (${data.version})` };
+  }
+  const list = Array.isArray(data) ? data : data && data.format === FILE_FORMAT ? data.functions : null;
+  if (!list) return { entries: [], error: '文件中没有函数库数据' };
+  const entries = normalizeList(list).map((entry) => ({ ...entry, id: createEntryId() }));
+  if (entries.length === 0) return { entries: [], error: '文件中没有有效的函数 (每项需要 label 与 expr)' };
+  return { entries, error: null };
+};
+
+// 合并导入的条目：名称与表达式都相同的视为重复 (包括导入文件内部的重复)，跳过
+export const mergeLibrary = (current, incoming) => {
+  const key = (entry) => `${entry.label}\u0000${entry.expr}`;
+  const seen = new Set(current.map(key));
+  const added = incoming.filter((entry) => {
+    if (seen.has(key(entry))) return false;
+    seen.add(key(entry));
+    return true;
+  });
+  return [...current, ...added].slice(0, MAX_ENTRIES);
+};
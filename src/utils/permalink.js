@@ -0,0 +1,74 @@
+/**
+ * 把界面状态编码到 URL hash (形如 #w=triangle&n=12)，以及从 hash 恢复
+ *
+ * fields 描述每个状态：{ key, param, type, default, ... }
+ *  - type 'enum'：values 为允许的取值
+ *  - type 'int' / 'number'：min、max 为允许范围
+ *  - type 'bool'：编码为 1 / 0
+ *  - type 'string'：长度不超过 MAX_STRING_LENGTH
+ *  - type 'json'：validate(value) 返回 true 才接受
+ * 只写入与默认值不同的字段，链接更短；任何无法解析或越界的字段都回退为默认值。
+ */
+
+export const MAX_STRING_LENGTH = 500;
+
+// 过长的 hash 直接忽略
+const MAX_HASH_LENGTH = 20000;
+
+const decoders = {
+  enum: (raw, field) => (field.values.includes(raw) ? raw : undefined),
+  int: (raw, field) => {
+    if (!/^-?\d+$/.test(raw)) return undefined;
+    const value = parseInt(raw, 10);
+    return value >= field.min && value <= field.max ? value : undefined;
+  },
+  number: (raw, field) => {
+    const value = raw.trim() === '' ? NaN : Number(raw);
+    return Number.isFinite(value) && value >= field.min && value <= field.max ? value : undefined;
+  },
+  bool: (raw) => (raw === '1' ? true : raw === '0' ? false : undefined),
+  string: (raw) => (raw.length <= MAX_STRING_LENGTH ? raw : undefined),
+  json: (raw, field) => {
+    try {
+      const value = JSON.parse(raw);
+      return field.validate(value) ? value : undefined;
+    } catch {
+      return undefined;
+    }
+  },
+};
+
+const encoders = {
+  enum: String,
+  int: String,
+  number: (v) => String(Number(v.toPrecision(6))),
+  bool: (v) => (v ? '1' : '0'),
+  string: String,
+  json: (v) => JSON.stringify(v),
+};
+
+// 由 hash 得到完整状态 (缺失或无效的字段取默认值)
+export const parsePermalink = (hash, fields) => {
+  const state = Object.fromEntries(fields.map((field) => [field.key, field.default]));
+  if (typeof hash !== 'string' || hash.length > MAX_HASH_LENGTH) return state;
+
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  for (const field of fields) {
+    const raw = params.get(field.param);
+    if (raw === null) continue;
+    const value = decoders[field.type](raw, field);
+    if (value !== undefined) state[field.key] = value;
+  }
+  return state;
+};
+
+// 由状态得到 hash 内容 (不含 #)，全部为默认值时返回空字符串
+export const buildPermalink = (state, fields) => {
+  const params = new URLSearchParams();
+  for (const field of fields) {
+    const encode = encoders[field.type];
+    const value = encode(state[field.key]);
+    if (value !== encode(field.default)) params.set(field.param, value);
+  }
+  return params.toString();
+};
@@ -0,0 +1,62 @@
+import { compileConstant, compileExpression } from './expression';
+
+/**
+ * 分段函数
+ * 每一行为 { start, end, expr }，start / end 是不含 x 的常量表达式 (如 -PI、PI/2)，
+ * 表示半开区间 [start, end) 上取值为 expr。未被任何分段覆盖的位置取 0。
+ */
+
+export const DEFAULT_PIECES = [
+  { start: '-PI', end: '0', expr: '-1' },
+  { start: '0', end: 'PI', expr: 'x' },
+];
+
+const compileBound = (src, field) => {
+  const bound = compileConstant(src);
+  return bound.error ? { value: NaN, error: { ...bound.error, field } } : bound;
+};
+
+/**
+ * 编译分段定义。
+ * 返回 { fn, breakpoints, errors }：
+ *  - fn(x)        在 x 所在分段上求值，无有效分段时为 null
+ *  - breakpoints  所有有效分段的端点 (升序去重)，供积分与绘图断线使用
+ *  - errors       与 rows 一一对应，每项为 null 或 { field, message, position }
+ */
+export const compilePiecewise = (rows) => {
+  const errors = [];
+  const pieces = [];
+
+  rows.forEach((row) => {
+    const start = compileBound(row.start, 'start');
+    const end = compileBound(row.end, 'end');
+    const body = compileExpression(row.expr);
+
+    let error = start.error || end.error || (body.error ? { ...body.error, field: 'expr' } : null);
+    if (!error && !(end.value > start.value)) {
+      error = { message: '区间右端点必须大于左端点', position: 0, field: 'end' };
+    }
+    errors.push(error);
+
+    if (!error) {
+      pieces.push({ a: start.value, b: end.value, fn: body.fn });
+    }
+  });
+
+  if (pieces.length === 0) {
+    return { fn: null, breakpoints: [], errors };
+  }
+
+  // 靠前的行优先：按输入顺序查找第一个包含 x 的分段
+  const fn = (x) => {
+    for (let i = 0; i < pieces.length; i++) {
+      const piece = pieces[i];
+      if (x >= piece.a && x < piece.b) return piece.fn(x);
+    }
+    return 0;
+  };
+
+  const breakpoints = Array.from(new Set(pieces.flatMap((p) => [p.a, p.b]))).sort((u, v) => u - v);
+
+  return { fn, breakpoints, errors };
+};
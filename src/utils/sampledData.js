@@ -0,0 +1,136 @@
+import { decodeWav } from './wav.js';
+
+/**
+ * 采样数据导入
+ * 支持 CSV / 文本 (每行 "t, y"，或只有一列 y 时以行号为 t) 与 WAV 音频。
+ * 导入结果统一为 { t: Float64Array, y: Float64Array }，t 严格递增。
+ */
+
+// WAV 数据过长时只保留开头这么多样本 (约 3 秒 @ 44.1 kHz)，足够选取周期
+const MAX_WAV_SAMPLES = 131072;
+
+// 排序并去掉重复的 t
+const normalize = (points) => {
+  points.sort((p, q) => p[0] - q[0]);
+  const t = [];
+  const y = [];
+  for (const [ti, yi] of points) {
+    if (t.length > 0 && ti === t[t.length - 1]) {
+      y[y.length - 1] = yi;
+    } else {
+      t.push(ti);
+      y.push(yi);
+    }
+  }
+  return { t: Float64Array.from(t), y: Float64Array.from(y) };
+};
+
+/**
+ * 解析 CSV 文本。分隔符可为逗号、分号、制表符或空白；无法解析为数字的行 (如表头) 会被跳过。
+ * 返回 { data, error }。
+ */
+export const parseCsv = (text) => {
+  const points = [];
+  let singleColumn = null;
+  text.split(/\r?\n/).forEach((line) => {
+    const cells = line.trim().split(/[,;\t ]+/).filter(Boolean);
+    if (cells.length === 0) return;
+    const nums = cells.map(Number);
+    if (nums.some((v) => !Number.isFinite(v))) return;
+    if (singleColumn === null) singleColumn = nums.length === 1;
+    if (singleColumn) points.push([points.length, nums[0]]);
+    else if (nums.length >= 2) points.push([nums[0], nums[1]]);
+  });
+
+  if (points.length < 4) {
+    return { data: null, error: '有效数据不足 4 行 (每行应为 "t, y" 或单列 y)' };
+  }
+  return { data: normalize(points), error: null };
+};
+
+/**
+ * 解析 WAV 文件字节，t 以秒为单位。返回 { data, error }。
+ */
+export const parseWav = (arrayBuffer) => {
+  const { samples, sampleRate, error } = decodeWav(arrayBuffer);
+  if (error) return { data: null, error };
+  const count = Math.min(samples.length, MAX_WAV_SAMPLES);
+  if (count < 4) return { data: null, error: 'WAV 文件中的样本太少' };
+  const t = new Float64Array(count);
+  const y = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    t[i] = i / sampleRate;
+    y[i] = samples[i];
+  }
+  return { data: { t, y }, error: null };
+};
+
+// 线性插值，超出数据范围时取端点值
+export const makeInterpolator = ({ t, y }) => {
+  const last = t.length - 1;
+  return (x) => {
+    if (x <= t[0]) return y[0];
+    if (x >= t[last]) return y[last];
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (t[mid] <= x) lo = mid;
+      else hi = mid;
+    }
+    const r = (x - t[lo]) / (t[hi] - t[lo]);
+    return y[lo] + r * (y[hi] - y[lo]);
+  };
+};
+
+/**
+ * 用自相关估计周期。
+ * 以平均采样间隔从开头重采样到等距网格 (最多 8192 点，长数据只看开头一段，避免混叠)，
+ * 去均值后计算自相关，
+ * 取第一次过零之后、数值不低于最大值 80% 的第一个局部极大，并做抛物线插值细化。
+ * 返回周期长度 (与 t 同单位)，找不到明显周期时返回 null。
+ */
+export const detectPeriod = (data) => {
+  const { t } = data;
+  const span = t[t.length - 1] - t[0];
+  const size = Math.min(8192, t.length);
+  if (size < 16 || !(span > 0)) return null;
+
+  const f = makeInterpolator(data);
+  const dt = span / (t.length - 1);
+  const v = new Float64Array(size);
+  let mean = 0;
+  for (let i = 0; i < size; i++) {
+    v[i] = f(t[0] + i * dt);
+    mean += v[i];
+  }
+  mean /= size;
+  for (let i = 0; i < size; i++) v[i] -= mean;
+
+  // 只考虑至少重复两次的周期
+  const maxLag = Math.floor(size / 2);
+  const r = new Float64Array(maxLag + 1);
+  for (let lag = 0; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < size; i++) sum += v[i] * v[i + lag];
+    r[lag] = sum / (size - lag);
+  }
+  if (!(r[0] > 0)) return null;
+
+  let firstNegative = 1;
+  while (firstNegative <= maxLag && r[firstNegative] > 0) firstNegative++;
+  if (firstNegative > maxLag) return null;
+
+  let peak = 0;
+  for (let lag = firstNegative; lag <= maxLag; lag++) peak = Math.max(peak, r[lag]);
+  if (peak < 0.3 * r[0]) return null;
+
+  for (let lag = firstNegative + 1; lag < maxLag; lag++) {
+    if (r[lag] >= 0.8 * peak && r[lag] >= r[lag - 1] && r[lag] >= r[lag + 1]) {
+      const denom = r[lag - 1] - 2 * r[lag] + r[lag + 1];
+      const offset = denom !== 0 ? (0.5 * (r[lag - 1] - r[lag + 1])) / denom : 0;
+      return (lag + offset) * dt;
+    }
+  }
+  return null;
+};
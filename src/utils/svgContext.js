@@ -0,0 +1,161 @@
+/**
+ * 记录绘图指令并输出 SVG 的 Canvas 2D 替身
+ * 只实现主画布绘图用到的子集 (路径、描边填充、虚线、文字、线性渐变、save/restore)，
+ * 这样同一套绘图代码既能画到 <canvas>，也能导出为矢量图。
+ */
+
+const escapeXml = (str) => String(str).replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+const num = (v) => (Math.round(v * 100) / 100).toString();
+
+// rgba()/hsla() 拆成不透明颜色与 opacity，兼容不支持带透明度颜色的 SVG 编辑器
+const splitAlpha = (color) => {
+  const match = /^(rgb|hsl)a\((.*),\s*([\d.]+)\s*\)$/.exec(color);
+  if (!match) return { color, opacity: 1 };
+  return { color: `${match[1]}(${match[2]})`, opacity: parseFloat(match[3]) };
+};
+
+// "italic bold 11px sans-serif" -> { style, weight, size, family }
+const parseFont = (font) => {
+  const match = /^(?:(italic|normal)\s+)?(?:(bold|normal|\d{3})\s+)?([\d.]+)px\s+(.+)$/.exec(font.trim());
+  if (!match) return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+  return { style: match[1] || 'normal', weight: match[2] || 'normal', size: parseFloat(match[3]), family: match[4] };
+};
+
+const ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', alphabetic: 'auto' };
+
+class SvgGradient {
+  constructor(id, x1, y1, x2, y2) {
+    Object.assign(this, { id, x1, y1, x2, y2, stops: [] });
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+  }
+
+  toDef() {
+    const stops = this.stops.map(({ offset, color }) => {
+      const { color: c, opacity } = splitAlpha(color);
+      return `<stop offset="${offset}" stop-color="${c}"${opacity < 1 ? ` stop-opacity="${opacity}"` : ''}/>`;
+    }).join('');
+    return `<linearGradient id="${this.id}" gradientUnits="userSpaceOnUse" x1="${num(this.x1)}" y1="${num(this.y1)}" x2="${num(this.x2)}" y2="${num(this.y2)}">${stops}</linearGradient>`;
+  }
+}
+
+export class SvgContext {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.defs = [];
+    this.elements = [];
+    this.path = '';
+    this.stack = [];
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.lineDash = [];
+  }
+
+  // --- 状态 ---
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, lineDash } = this;
+    this.stack.push({ fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, lineDash });
+  }
+
+  restore() {
+    const state = this.stack.pop();
+    if (state) Object.assign(this, state);
+  }
+
+  setLineDash(dash) {
+    this.lineDash = dash.slice();
+  }
+
+  // --- 路径 ---
+
+  beginPath() {
+    this.path = '';
+  }
+
+  moveTo(x, y) {
+    this.path += `M${num(x)} ${num(y)}`;
+  }
+
+  lineTo(x, y) {
+    this.path += `L${num(x)} ${num(y)}`;
+  }
+
+  rect(x, y, w, h) {
+    this.path += `M${num(x)} ${num(y)}h${num(w)}v${num(h)}h${num(-w)}Z`;
+  }
+
+  closePath() {
+    this.path += 'Z';
+  }
+
+  arc(cx, cy, r, start, end) {
+    const sweep = end - start;
+    if (Math.abs(sweep) >= 2 * Math.PI - 1e-9) {
+      // 整圆拆成两段半圆弧
+      this.path += `M${num(cx + r)} ${num(cy)}A${num(r)} ${num(r)} 0 1 1 ${num(cx - r)} ${num(cy)}A${num(r)} ${num(r)} 0 1 1 ${num(cx + r)} ${num(cy)}`;
+      return;
+    }
+    const x0 = cx + r * Math.cos(start);
+    const y0 = cy + r * Math.sin(start);
+    const x1 = cx + r * Math.cos(end);
+    const y1 = cy + r * Math.sin(end);
+    this.path += `${this.path ? 'L' : 'M'}${num(x0)} ${num(y0)}A${num(r)} ${num(r)} 0 ${Math.abs(sweep) > Math.PI ? 1 : 0} ${sweep > 0 ? 1 : 0} ${num(x1)} ${num(y1)}`;
+  }
+
+  // --- 绘制 ---
+
+  createLinearGradient(x1, y1, x2, y2) {
+    const gradient = new SvgGradient(`grad${this.defs.length}`, x1, y1, x2, y2);
+    this.defs.push(gradient);
+    return gradient;
+  }
+
+  paint(style, kind) {
+    if (style instanceof SvgGradient) return `${kind}="url(#${style.id})"`;
+    const { color, opacity } = splitAlpha(style);
+    return `${kind}="${color}"${opacity < 1 ? ` ${kind}-opacity="${opacity}"` : ''}`;
+  }
+
+  stroke() {
+    if (!this.path) return;
+    const dash = this.lineDash.length ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+    this.elements.push(`<path d="${this.path}" fill="none" ${this.paint(this.strokeStyle, 'stroke')} stroke-width="${this.lineWidth}" stroke-linejoin="round"${dash}/>`);
+  }
+
+  fill() {
+    if (!this.path) return;
+    this.elements.push(`<path d="${this.path}" ${this.paint(this.fillStyle, 'fill')}/>`);
+  }
+
+  fillRect(x, y, w, h) {
+    this.elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" ${this.paint(this.fillStyle, 'fill')}/>`);
+  }
+
+  strokeRect(x, y, w, h) {
+    this.elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" fill="none" ${this.paint(this.strokeStyle, 'stroke')} stroke-width="${this.lineWidth}"/>`);
+  }
+
+  fillText(text, x, y) {
+    const { style, weight, size, family } = parseFont(this.font);
+    const anchor = ANCHORS[this.textAlign] || 'start';
+    const baseline = BASELINES[this.textBaseline] || 'auto';
+    this.elements.push(
+      `<text x="${num(x)}" y="${num(y)}" font-family="${escapeXml(family)}" font-size="${size}"${style !== 'normal' ? ` font-style="${style}"` : ''}${weight !== 'normal' ? ` font-weight="${weight}"` : ''} text-anchor="${anchor}" dominant-baseline="${baseline}" ${this.paint(this.fillStyle, 'fill')}>${escapeXml(text)}</text>`
+    );
+  }
+
+  toString() {
+    const defs = this.defs.length ? `<defs>${this.defs.map((d) => d.toDef()).join('')}</defs>` : '';
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n${defs}${this.elements.join('\n')}\n</svg>\n`;
+  }
+}
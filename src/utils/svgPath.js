@@ -0,0 +1,288 @@
+/**
+ * SVG 路径解析：把 path 的 d 属性 (以及 polygon、rect、circle 等基本图形) 展平为折线
+ * 支持 M L H V C S Q T A Z 及其小写相对形式；曲线与圆弧按固定细分数取点。
+ * 结果为若干子路径 [[x, y], ...]，坐标沿用 SVG 的方向 (y 轴向下)。
+ * 元素上的 transform 不做处理。
+ */
+
+// 每段贝塞尔曲线的细分数
+const CURVE_STEPS = 24;
+
+// 圆弧每段对应的最大角度 (弧度)
+const ARC_STEP = Math.PI / 36;
+
+// 每个命令的参数个数
+const PARAM_COUNTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+const NUMBER_RE = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+
+const makeError = (message, position) => ({ message, position });
+
+// 逐个读取命令字母与数字；圆弧的两个标志位可能不带分隔符 (如 "a5 5 0 1010 10")，单独按一个字符读取
+const tokenize = (d) => {
+  const commands = [];
+  let i = 0;
+  const skipSeparators = () => {
+    while (i < d.length && /[\s,]/.test(d[i])) i++;
+  };
+
+  skipSeparators();
+  while (i < d.length) {
+    const ch = d[i];
+    const type = ch.toLowerCase();
+    if (!(type in PARAM_COUNTS)) {
+      return { commands, error: makeError(`无法识别的字符 "${ch}"`, i) };
+    }
+    const start = i;
+    i++;
+    const args = [];
+    for (;;) {
+      skipSeparators();
+      if (i >= d.length || /[a-zA-Z]/.test(d[i])) break;
+      const slot = args.length % 7;
+      if (type === 'a' && (slot === 3 || slot === 4)) {
+        if (d[i] !== '0' && d[i] !== '1') return { commands, error: makeError('圆弧标志位只能是 0 或 1', i) };
+        args.push(d[i] === '1' ? 1 : 0);
+        i++;
+        continue;
+      }
+      const match = NUMBER_RE.exec(d.slice(i));
+      if (!match) return { commands, error: makeError(`无法识别的字符 "${d[i]}"`, i) };
+      args.push(parseFloat(match[0]));
+      i += match[0].length;
+    }
+
+    const count = PARAM_COUNTS[type];
+    if (count === 0) {
+      if (args.length > 0) return { commands, error: makeError('Z 命令不带参数', start) };
+      commands.push({ cmd: ch, args: [] });
+    } else {
+      if (args.length === 0 || args.length % count !== 0) {
+        return { commands, error: makeError(`${ch} 命令的参数个数应为 ${count} 的倍数`, start) };
+      }
+      // 同一命令后接多组参数时拆成多条；M 之后的多组参数视为 L
+      for (let k = 0; k < args.length; k += count) {
+        const repeated = k > 0 && type === 'm' ? (ch === 'm' ? 'l' : 'L') : ch;
+        commands.push({ cmd: repeated, args: args.slice(k, k + count) });
+      }
+    }
+  }
+  return { commands, error: null };
+};
+
+// 按 SVG 规范 (端点参数 -> 中心参数) 把圆弧展开为折线，不含起点
+const arcPoints = (x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) => {
+  if (x1 === x2 && y1 === y2) return [];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return [[x2, y2]];
+
+  const phi = (rotation * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const xp = cosPhi * dx + sinPhi * dy;
+  const yp = -sinPhi * dx + cosPhi * dy;
+
+  // 半径过小时等比放大
+  const lambda = (xp * xp) / (rx * rx) + (yp * yp) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * yp * yp - ry * ry * xp * xp;
+  const den = rx * rx * yp * yp + ry * ry * xp * xp;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = (coef * rx * yp) / ry;
+  const cyp = (-coef * ry * xp) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (xp - cxp) / rx, (yp - cyp) / ry);
+  let delta = angle((xp - cxp) / rx, (yp - cyp) / ry, (-xp - cxp) / rx, (-yp - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const steps = Math.max(4, Math.ceil(Math.abs(delta) / ARC_STEP));
+  const points = [];
+  for (let s = 1; s <= steps; s++) {
+    const theta = theta1 + (delta * s) / steps;
+    const ex = rx * Math.cos(theta);
+    const ey = ry * Math.sin(theta);
+    points.push([cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy]);
+  }
+  points[points.length - 1] = [x2, y2];
+  return points;
+};
+
+const cubicPoints = (x0, y0, x1, y1, x2, y2, x3, y3) => {
+  const points = [];
+  for (let s = 1; s <= CURVE_STEPS; s++) {
+    const t = s / CURVE_STEPS;
+    const u = 1 - t;
+    points.push([
+      u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+      u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3,
+    ]);
+  }
+  return points;
+};
+
+const quadraticPoints = (x0, y0, x1, y1, x2, y2) => {
+  const points = [];
+  for (let s = 1; s <= CURVE_STEPS; s++) {
+    const t = s / CURVE_STEPS;
+    const u = 1 - t;
+    points.push([u * u * x0 + 2 * u * t * x1 + t * t * x2, u * u * y0 + 2 * u * t * y1 + t * t * y2]);
+  }
+  return points;
+};
+
+/**
+ * 解析 path 的 d 属性。
+ * 返回 { subpaths, error }，error 为 null 或 { message, position }。
+ */
+export const parseSvgPath = (d) => {
+  const { commands, error } = tokenize(String(d || ''));
+  if (error) return { subpaths: [], error };
+  if (commands.length === 0) return { subpaths: [], error: makeError('路径为空', 0) };
+  if (commands[0].cmd.toLowerCase() !== 'm') return { subpaths: [], error: makeError('路径必须以 M 命令开头', 0) };
+
+  const subpaths = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  // 上一条曲线的控制点，用于 S / T 的反射
+  let lastControl = null;
+  let lastType = '';
+
+  for (const { cmd, args } of commands) {
+    const type = cmd.toLowerCase();
+    const relative = cmd !== cmd.toUpperCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    let control = null;
+
+    if (type === 'm') {
+      x = ox + args[0];
+      y = oy + args[1];
+      startX = x;
+      startY = y;
+      current = [[x, y]];
+      subpaths.push(current);
+    } else if (type === 'z') {
+      if (current) current.push([startX, startY]);
+      x = startX;
+      y = startY;
+      // 闭合后若继续绘制，新子路径从起点开始
+      current = [[x, y]];
+      subpaths.push(current);
+    } else {
+      let points;
+      if (type === 'l') {
+        points = [[ox + args[0], oy + args[1]]];
+      } else if (type === 'h') {
+        points = [[(relative ? x : 0) + args[0], y]];
+      } else if (type === 'v') {
+        points = [[x, (relative ? y : 0) + args[0]]];
+      } else if (type === 'c' || type === 's') {
+        let c1;
+        if (type === 'c') {
+          c1 = [ox + args[0], oy + args[1]];
+        } else {
+          c1 = lastControl && (lastType === 'c' || lastType === 's') ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        }
+        const rest = type === 'c' ? args.slice(2) : args;
+        const c2 = [ox + rest[0], oy + rest[1]];
+        const end = [ox + rest[2], oy + rest[3]];
+        points = cubicPoints(x, y, c1[0], c1[1], c2[0], c2[1], end[0], end[1]);
+        control = c2;
+      } else if (type === 'q' || type === 't') {
+        let c1;
+        if (type === 'q') {
+          c1 = [ox + args[0], oy + args[1]];
+        } else {
+          c1 = lastControl && (lastType === 'q' || lastType === 't') ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        }
+        const end = type === 'q' ? [ox + args[2], oy + args[3]] : [ox + args[0], oy + args[1]];
+        points = quadraticPoints(x, y, c1[0], c1[1], end[0], end[1]);
+        control = c1;
+      } else {
+        points = arcPoints(x, y, args[0], args[1], args[2], args[3], args[4], ox + args[5], oy + args[6]);
+        if (points.length === 0) points = [[x, y]];
+      }
+      if (!current) {
+        current = [[x, y]];
+        subpaths.push(current);
+      }
+      current.push(...points);
+      [x, y] = points[points.length - 1];
+    }
+    lastControl = control;
+    lastType = type;
+  }
+
+  const nonEmpty = subpaths.filter((path) => path.length > 1);
+  if (nonEmpty.length === 0) return { subpaths: [], error: makeError('路径中没有可绘制的线段', 0) };
+  if (nonEmpty.flat().some(([px, py]) => !Number.isFinite(px) || !Number.isFinite(py))) {
+    return { subpaths: [], error: makeError('路径坐标不是有限数值', 0) };
+  }
+  return { subpaths: nonEmpty, error: null };
+};
+
+// 基本图形 -> 等价的 path d
+const shapeToPath = (el) => {
+  const num = (name) => parseFloat(el.getAttribute(name) || '0') || 0;
+  switch (el.tagName.toLowerCase()) {
+    case 'path':
+      return el.getAttribute('d') || '';
+    case 'polygon':
+    case 'polyline': {
+      const values = (el.getAttribute('points') || '').trim().split(/[\s,]+/).filter(Boolean);
+      if (values.length < 4) return '';
+      return `M${values.slice(0, 2).join(' ')}L${values.slice(2).join(' ')}${el.tagName.toLowerCase() === 'polygon' ? 'Z' : ''}`;
+    }
+    case 'rect': {
+      const [x, y, w, h] = [num('x'), num('y'), num('width'), num('height')];
+      return w > 0 && h > 0 ? `M${x} ${y}h${w}v${h}h${-w}Z` : '';
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = num('cx');
+      const cy = num('cy');
+      const rx = el.tagName.toLowerCase() === 'circle' ? num('r') : num('rx');
+      const ry = el.tagName.toLowerCase() === 'circle' ? num('r') : num('ry');
+      return rx > 0 && ry > 0 ? `M${cx + rx} ${cy}A${rx} ${ry} 0 1 1 ${cx - rx} ${cy}A${rx} ${ry} 0 1 1 ${cx + rx} ${cy}Z` : '';
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * 解析 SVG 文件，按文档顺序收集 path、polygon、polyline、rect、circle、ellipse。
+ * 返回 { subpaths, error }。
+ */
+export const parseSvgDocument = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  if (doc.getElementsByTagName('parsererror').length > 0 || !doc.documentElement || doc.documentElement.tagName.toLowerCase() !== 'svg') {
+    return { subpaths: [], error: makeError('不是有效的 SVG 文件', 0) };
+  }
+  const subpaths = [];
+  for (const el of doc.querySelectorAll('path, polygon, polyline, rect, circle, ellipse')) {
+    const d = shapeToPath(el);
+    if (!d) continue;
+    const result = parseSvgPath(d);
+    if (!result.error) subpaths.push(...result.subpaths);
+  }
+  if (subpaths.length === 0) return { subpaths: [], error: makeError('文件中没有可用的路径或图形', 0) };
+  return { subpaths, error: null };
+};
+
+// 把多个子路径按顺序首尾相连成一条闭合折线 (子路径之间以直线连接)
+export const joinSubpaths = (subpaths) => subpaths.flat();
@@ -0,0 +1,134 @@
+/**
+ * PCM / WAV 编码与解码 (纯 JS，不依赖浏览器 API)
+ * 编码输出 RIFF/WAVE 格式：单声道、16 位有符号整数 PCM、小端序。
+ */
+
+const writeString = (view, offset, str) => {
+  for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+};
+
+// [-1, 1] 浮点样本 -> 16 位整数 (超出范围的样本截断)
+export const floatToInt16 = (v) => {
+  const clamped = Math.max(-1, Math.min(1, Number.isFinite(v) ? v : 0));
+  return clamped < 0 ? Math.round(clamped * 0x8000) : Math.round(clamped * 0x7fff);
+};
+
+/**
+ * 把浮点样本编码为 WAV 文件字节。
+ * samples 为 [-1, 1] 范围的数组或 Float32Array，返回 Uint8Array。
+ */
+export const encodeWav = (samples, sampleRate = 44100) => {
+  const bytesPerSample = 2;
+  const dataSize = samples.length * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF 头
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt 子块
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // 子块大小
+  view.setUint16(20, 1, true); // 音频格式：1 = PCM
+  view.setUint16(22, 1, true); // 声道数
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerSample, true); // 字节率
+  view.setUint16(32, bytesPerSample, true); // 块对齐
+  view.setUint16(34, 16, true); // 位深
+
+  // data 子块
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+  for (let i = 0; i < samples.length; i++) {
+    view.setInt16(44 + i * bytesPerSample, floatToInt16(samples[i]), true);
+  }
+
+  return new Uint8Array(buffer);
+};
+
+// 把一个周期的样本重复铺满 length 个样本
+export const tilePeriod = (period, length) => {
+  const out = new Float32Array(length);
+  if (period.length === 0) return out;
+  for (let i = 0; i < length; i++) out[i] = period[i % period.length];
+  return out;
+};
+
+const readString = (view, offset, length) => {
+  let str = '';
+  for (let i = 0; i < length; i++) str += String.fromCharCode(view.getUint8(offset + i));
+  return str;
+};
+
+/**
+ * 解码 WAV 文件 (PCM 8/16/24/32 位整数或 32/64 位浮点)。
+ * 多声道时取各声道平均。返回 { samples: Float32Array, sampleRate, error: null }，
+ * 格式不支持时返回 { samples: null, sampleRate: 0, error: '原因' }。
+ */
+export const decodeWav = (arrayBuffer) => {
+  const fail = (error) => ({ samples: null, sampleRate: 0, error });
+  const view = new DataView(arrayBuffer);
+  if (view.byteLength < 12 || readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    return fail('不是有效的 WAV 文件');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readString(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      if (size < 16 || body + size > view.byteLength) return fail('WAV 文件的 fmt 块不完整');
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+      // WAVE_FORMAT_EXTENSIBLE：真实格式在子格式 GUID 的前两个字节
+      if (format.audioFormat === 0xfffe && size >= 26) {
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (id === 'data') {
+      if (!format) return fail('WAV 文件缺少 fmt 块');
+      const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+      const bytes = bitsPerSample / 8;
+      const isFloat = audioFormat === 3;
+      if (channels === 0 || !(audioFormat === 1 || isFloat) || ![8, 16, 24, 32, 64].includes(bitsPerSample) || (!isFloat && bitsPerSample === 64) || (isFloat && bitsPerSample < 32)) {
+        return fail(`不支持的 WAV 编码 (格式 ${audioFormat}，${bitsPerSample} 位)`);
+      }
+
+      const available = Math.min(size, view.byteLength - body);
+      const frames = Math.floor(available / (bytes * channels));
+      const samples = new Float32Array(frames);
+      const readSample = (pos) => {
+        if (isFloat) return bitsPerSample === 32 ? view.getFloat32(pos, true) : view.getFloat64(pos, true);
+        switch (bitsPerSample) {
+          case 8:
+            return (view.getUint8(pos) - 128) / 128;
+          case 16:
+            return view.getInt16(pos, true) / 0x8000;
+          case 24: {
+            const value = view.getUint8(pos) | (view.getUint8(pos + 1) << 8) | (view.getInt8(pos + 2) << 16);
+            return value / 0x800000;
+          }
+          default:
+            return view.getInt32(pos, true) / 0x80000000;
+        }
+      };
+      for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) sum += readSample(body + (i * channels + c) * bytes);
+        samples[i] = sum / channels;
+      }
+      return { samples, sampleRate, error: null };
+    }
+
+    offset = body + size + (size % 2);
+  }
+  return fail('WAV 文件中没有音频数据');
+};
@@ -0,0 +1,38 @@
+import { calculateCoefficientsNumerical, coefficientsFromSamples } from '../fourier/index.js';
+import { compileExpression } from '../utils/expression';
+import { compilePiecewise } from '../utils/piecewise';
+
+/**
+ * 自定义函数傅里叶系数的后台计算 (Web Worker)
+ * 函数无法跨线程传递，因此主线程发送源数据，由 Worker 重新编译后计算：
+ *   { source, interval: { a, b }, harmonics }
+ *   source 为 { kind: 'expr', expr }、{ kind: 'piecewise', pieces }
+ *   或 { kind: 'samples', values } (一个周期上从 a 开始的等距采样，长度为 2 的幂)
+ * 回复 { coeffs } 或 { error }。
+ * 计算是同步的，取消任务由主线程直接 terminate() 本 Worker。
+ */
+
+const compileSource = (source) => {
+  if (source.kind === 'piecewise') {
+    const { fn, breakpoints } = compilePiecewise(source.pieces);
+    return { fn, breakpoints };
+  }
+  return { fn: compileExpression(source.expr).fn, breakpoints: [] };
+};
+
+self.onmessage = (e) => {
+  const { source, interval, harmonics } = e.data;
+  try {
+    let coeffs;
+    if (source.kind === 'samples') {
+      coeffs = coefficientsFromSamples(source.values, harmonics, interval.a, interval.b - interval.a);
+    } else {
+      const { fn, breakpoints } = compileSource(source);
+      if (!fn) throw new Error('函数无效，无法计算系数');
+      coeffs = calculateCoefficientsNumerical(fn, harmonics, [interval.a, interval.b], breakpoints);
+    }
+    self.postMessage({ coeffs }, [coeffs.an.buffer, coeffs.bn.buffer]);
+  } catch (err) {
+    self.postMessage({ error: err instanceof Error ? err.message : String(err) });
+  }
+};
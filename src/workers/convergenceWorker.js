@@ -0,0 +1,17 @@
+import { convergenceCurve } from '../fourier/index.js';
+
+/**
+ * 收敛曲线的后台计算 (Web Worker)
+ * N 取到 MAX_N 时要在整个误差网格上累加数千次谐波，放在主线程会让拖动滑块卡顿。
+ * 主线程发送 { coeffs, thetas, fValues, steps, orders, method } (参数含义见 convergenceCurve)，
+ * 回复 { convergence } 或 { error }；输入改变时主线程直接 terminate() 本 Worker。
+ */
+
+self.onmessage = (e) => {
+  const { coeffs, thetas, fValues, steps, orders, method } = e.data;
+  try {
+    self.postMessage({ convergence: convergenceCurve(coeffs, thetas, fValues, steps, orders, method) });
+  } catch (err) {
+    self.postMessage({ error: err instanceof Error ? err.message : String(err) });
+  }
+};